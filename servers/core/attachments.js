@@ -0,0 +1,324 @@
+/**
+ * File attachments for chat and analyze tools, so the host can name files
+ * instead of pasting their contents into `prompt`.
+ *
+ * `files` (paths or directories) and `globs` are relative to `cwd`. In a git
+ * repo the candidates come from `git ls-files`, so anything .gitignore'd is
+ * left out, even when named explicitly; outside a repo the directory is
+ * walked with the patterns of its own .gitignore. Binary files (a NUL byte
+ * in the first 8000 bytes, git's test) are skipped. Contents are read in
+ * order until `maxBytes`: the file that crosses the budget is cut at a line
+ * boundary and later files are left out. Each file goes into the prompt as
+ *
+ *   <file path="src/app.js">
+ *   ...
+ *   </file>
+ *
+ * which map-reduce analysis (mapreduce.js) splits on. What was truncated or
+ * skipped, and why, comes back in the result's `warning` and `attachments`.
+ */
+
+import { readdir, readFile, stat } from "fs/promises";
+import { join, relative, sep } from "path";
+import { runProcess } from "./process.js";
+import { runProvider } from "./provider.js";
+import { checkCwd, resolveInside } from "./paths.js";
+
+export const DEFAULT_ATTACHMENT_BYTES = 200000;
+
+const GIT_TIMEOUT_MS = 30000;
+const BINARY_SNIFF_BYTES = 8000;
+const ALWAYS_SKIPPED = new Set([".git", "node_modules"]);
+
+const toPosix = (path) => path.split(sep).join("/");
+
+/**
+ * Regex for a glob relative to cwd: `*` and `?` stay within a path
+ * segment, `**` spans segments, `{a,b}` alternates, `[...]` is a class.
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else if (ch === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      source += `(?:${glob
+        .slice(i + 1, end)
+        .split(",")
+        .map((alt) => globToRegExp(alt).source.slice(1, -1))
+        .join("|")})`;
+      i = end;
+    } else if (ch === "[" && glob.indexOf("]", i + 2) > i) {
+      const end = glob.indexOf("]", i + 2);
+      const body = glob.slice(i + 1, end).replace(/^!/, "^").replace(/[\\\]]/g, "\\$&");
+      source += `[${body}]`;
+      i = end;
+    } else {
+      source += ch.replace(/[.+^$()|\\[\]{}]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Matcher for the patterns of a .gitignore at the walk root: negation,
+ * directory-only patterns (trailing /) and anchored patterns (with a /).
+ */
+function gitignoreMatcher(text) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim();
+    if (!line || line.startsWith("#")) continue;
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    const dirOnly = line.endsWith("/");
+    line = line.replace(/\/+$/, "");
+    const anchored = line.includes("/");
+    rules.push({ negate, dirOnly, anchored, regex: globToRegExp(line.replace(/^\//, "")) });
+  }
+  return (path, isDir) => {
+    let ignored = false;
+    for (const { negate, dirOnly, anchored, regex } of rules) {
+      if (dirOnly && !isDir) continue;
+      if (regex.test(anchored ? path : path.slice(path.lastIndexOf("/") + 1))) ignored = !negate;
+    }
+    return ignored;
+  };
+}
+
+/**
+ * Non-ignored files under `root`, relative to it with / separators.
+ */
+async function listFiles(root) {
+  let run;
+  try {
+    run = await runProcess("git", ["ls-files", "-z", "--cached", "--others", "--exclude-standard"], { cwd: root, timeoutMs: GIT_TIMEOUT_MS, label: "git" });
+  } catch {
+    run = null; // no git on PATH: walk like any other directory
+  }
+  if (run?.exitCode === 0) return [...new Set(run.stdout.split("\0").filter(Boolean))];
+
+  const ignored = gitignoreMatcher(await readFile(join(root, ".gitignore"), "utf-8").catch(() => ""));
+  const files = [];
+  const walk = async (dir) => {
+    const entries = await readdir(join(root, dir), { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      if (ALWAYS_SKIPPED.has(entry.name) || ignored(path, entry.isDirectory())) continue;
+      if (entry.isDirectory()) await walk(path);
+      else if (entry.isFile()) files.push(path);
+    }
+  };
+  await walk("");
+  return files;
+}
+
+/**
+ * Paths to attach, in order: explicit files (directories expanded), then
+ * glob matches sorted. Returns { paths, skipped }.
+ */
+async function selectPaths(root, files, globs) {
+  const candidates = await listFiles(root);
+  const known = new Set(candidates);
+  const paths = [];
+  const skipped = [];
+  const add = (path) => {
+    if (!paths.includes(path)) paths.push(path);
+  };
+
+  for (const file of files) {
+    const real = await resolveInside(root, file);
+    if (!real) {
+      skipped.push({ path: file, reason: "outside cwd" });
+      continue;
+    }
+    const path = toPosix(relative(root, real));
+    const info = await stat(real).catch(() => null);
+    if (!info) {
+      skipped.push({ path: file, reason: "not found" });
+    } else if (info.isDirectory()) {
+      const inside = path ? candidates.filter((c) => c.startsWith(`${path}/`)) : candidates;
+      if (inside.length === 0) skipped.push({ path: file, reason: "no files that are not ignored" });
+      inside.sort().forEach(add);
+    } else if (!known.has(path)) {
+      skipped.push({ path: file, reason: "ignored by .gitignore" });
+    } else {
+      add(path);
+    }
+  }
+
+  for (const glob of globs) {
+    const regex = globToRegExp(glob.replace(/^\.\//, ""));
+    const matches = candidates.filter((c) => regex.test(c)).sort();
+    if (matches.length === 0) skipped.push({ path: glob, reason: "no matches" });
+    matches.forEach(add);
+  }
+  return { paths, skipped };
+}
+
+function fileBlock(path, text, truncated) {
+  const attrs = `path="${path.replace(/"/g, "&quot;")}"${truncated ? ` truncated="${truncated}"` : ""}`;
+  return `<file ${attrs}>\n${text}${text.endsWith("\n") ? "" : "\n"}</file>\n`;
+}
+
+/**
+ * Read `files` and `globs` under `cwd` within `maxBytes`. Resolves
+ * { text, attachments } where `text` holds the file blocks and
+ * `attachments` is { files: [{ path, bytes, sentBytes, truncated }],
+ * skipped: [{ path, reason }], sentBytes, maxBytes }, or { error }:
+ * CWD_NOT_ALLOWED for a cwd outside the allowlist (see paths.js), NO_FILES
+ * when nothing could be attached. Paths that lead out of cwd, symlinks
+ * included, are skipped.
+ */
+export async function collectAttachments({ cwd, files = [], globs = [], maxBytes = DEFAULT_ATTACHMENT_BYTES }) {
+  const checked = await checkCwd(cwd ?? process.cwd());
+  if (checked.error) return checked;
+  const root = checked.cwd;
+
+  const { paths, skipped } = await selectPaths(root, files, globs);
+  const attached = [];
+  const blocks = [];
+  let sentBytes = 0;
+  let full = false;
+  for (const path of paths) {
+    const remaining = maxBytes - sentBytes;
+    if (full || remaining <= 0) {
+      skipped.push({ path, reason: `over the ${maxBytes}-byte budget` });
+      continue;
+    }
+    // Listed files can be symlinks to anywhere
+    const real = await resolveInside(root, path);
+    if (!real) {
+      skipped.push({ path, reason: "outside cwd" });
+      continue;
+    }
+    const data = await readFile(real).catch(() => null);
+    if (!data) {
+      skipped.push({ path, reason: "unreadable" });
+      continue;
+    }
+    if (data.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+      skipped.push({ path, reason: "binary" });
+      continue;
+    }
+
+    let sent = data;
+    if (data.length > remaining) {
+      const lineEnd = data.lastIndexOf(0x0a, remaining - 1);
+      sent = data.subarray(0, lineEnd >= 0 ? lineEnd + 1 : remaining);
+    }
+    const truncated = sent.length < data.length;
+    full = truncated;
+    blocks.push(fileBlock(path, sent.toString("utf-8"), truncated && `first ${sent.length} of ${data.length} bytes`));
+    attached.push({ path, bytes: data.length, sentBytes: sent.length, truncated });
+    sentBytes += sent.length;
+  }
+
+  if (attached.length === 0) {
+    const why = skipped.map(({ path, reason }) => `${path} (${reason})`).join(", ");
+    return { error: { errorType: "NO_FILES", message: `No files attached${why ? `: ${why}` : ""}.` } };
+  }
+  return { text: blocks.join("\n"), attachments: { files: attached, skipped, sentBytes, maxBytes } };
+}
+
+/**
+ * One-line account of truncated and skipped attachments, or null.
+ */
+export function describeAttachments({ files, skipped }) {
+  const notes = [];
+  const cut = files.filter((file) => file.truncated);
+  if (cut.length > 0) notes.push(`truncated ${cut.map((f) => `${f.path} (first ${f.sentBytes} of ${f.bytes} bytes)`).join(", ")}`);
+  if (skipped.length > 0) notes.push(`left out ${skipped.map(({ path, reason }) => `${path} (${reason})`).join(", ")}`);
+  return notes.length > 0 ? `Attachments: ${notes.join("; ")}.` : null;
+}
+
+/**
+ * Attach `files` and `globs` to the prompt, then call `run` (runProvider,
+ * or runChunkedAnalysis for large inputs). Without attachments this is
+ * just `run`. Resolves its result with `attachments` added and anything
+ * truncated or skipped in `warning`; NO_FILES and CWD_NOT_ALLOWED come
+ * back as errors without calling the CLI.
+ */
+export async function runWithAttachments(adapter, options, run = runProvider) {
+  const { files, globs, maxBytes, log, ...request } = options;
+  if (!files?.length && !globs?.length) return run(adapter, request);
+
+  const collected = await collectAttachments({ cwd: request.cwd, files, globs, maxBytes });
+  if (collected.error) {
+    return {
+      provider: adapter.name,
+      model: request.model || adapter.defaultModel || null,
+      error: collected.error,
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      elapsed: "0.0",
+    };
+  }
+
+  const { text, attachments } = collected;
+  log?.(`Attached ${attachments.files.length} files, ${attachments.sentBytes} bytes${attachments.skipped.length > 0 ? `, ${attachments.skipped.length} left out` : ""}`);
+
+  const result = await run(adapter, { ...request, prompt: `${request.prompt}\n\n${text}` });
+  result.attachments = attachments;
+  const notice = describeAttachments(attachments);
+  if (notice) result.warning = result.warning ? `${result.warning} ${notice}` : notice;
+  return result;
+}
+
+/**
+ * Zod input fields for tools that take attachments.
+ */
+export function attachmentInputShape(z, { maxBytes = DEFAULT_ATTACHMENT_BYTES } = {}) {
+  return {
+    files: z
+      .array(z.string())
+      .optional()
+      .describe("Files or directories to attach, relative to cwd (.gitignore'd and binary files are skipped)"),
+    globs: z
+      .array(z.string())
+      .optional()
+      .describe("Glob patterns of files to attach, relative to cwd, e.g. src/**/*.ts"),
+    maxBytes: z
+      .number()
+      .int()
+      .positive()
+      .default(maxBytes)
+      .describe(`Byte budget for attached file contents (default ${maxBytes}); the file that crosses it is truncated, later ones left out`),
+  };
+}
+
+/**
+ * Zod shape for the `attachments` field of results.
+ */
+export function attachmentsShape(z) {
+  return z
+    .object({
+      files: z.array(
+        z.object({
+          path: z.string().describe("Path relative to cwd"),
+          bytes: z.number().describe("File size"),
+          sentBytes: z.number().describe("Bytes included in the prompt"),
+          truncated: z.boolean(),
+        })
+      ),
+      skipped: z.array(
+        z.object({
+          path: z.string().describe("File, directory or glob as given, or the file left out"),
+          reason: z.string().describe("not found, outside cwd, ignored by .gitignore, binary, no matches, over the budget, ..."),
+        })
+      ),
+      sentBytes: z.number().describe("Attached bytes in total"),
+      maxBytes: z.number().describe("Byte budget"),
+    })
+    .optional()
+    .describe("Files read into the prompt from `files` and `globs`");
+}
@@ -0,0 +1,128 @@
+/**
+ * Per-provider quota circuit breaker, persisted across processes.
+ *
+ * When a provider reports QUOTA_EXCEEDED the breaker opens until the reset
+ * time it gave (Codex "try again at"), or for a cool-down when it gave none
+ * (Gemini, Qwen). While open, runProvider fails fast instead of spawning a
+ * CLI that will only hit the same limit again.
+ *
+ * Cool-down per provider: <PROVIDER>_QUOTA_COOLDOWN env var in seconds
+ * (e.g. GEMINI_QUOTA_COOLDOWN=7200), default 1 hour.
+ */
+
+import { readState, updateState } from "./state.js";
+
+const BREAKER_FILE = "breakers.json";
+const DEFAULT_COOLDOWN_SECONDS = 3600;
+
+export function cooldownSeconds(provider) {
+  const value = Number(process.env[`${provider.toUpperCase()}_QUOTA_COOLDOWN`]);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_COOLDOWN_SECONDS;
+}
+
+/**
+ * Return the breaker entry for a provider if it is currently open, else null.
+ * Entry: { openUntil, openedAt, errorType, message }.
+ */
+export async function openBreaker(provider, now = Date.now()) {
+  const entry = (await readState(BREAKER_FILE))[provider];
+  if (!entry || Date.parse(entry.openUntil) <= now) return null;
+  return entry;
+}
+
+/**
+ * Open the breaker after a quota error. Uses the provider's reset time when
+ * it is in the future, otherwise the cool-down. Never throws: a read-only
+ * state dir must not turn a quota error into a crash.
+ */
+export async function tripBreaker(provider, error, now = Date.now()) {
+  const resetAt = error.resetAt && Date.parse(error.resetAt) > now ? error.resetAt : null;
+  const entry = {
+    openUntil: resetAt || new Date(now + cooldownSeconds(provider) * 1000).toISOString(),
+    openedAt: new Date(now).toISOString(),
+    errorType: error.errorType,
+    message: error.message,
+  };
+
+  try {
+    await updateState(BREAKER_FILE, (state) => {
+      state[provider] = entry;
+    });
+  } catch {}
+  return entry;
+}
+
+/**
+ * Close the breaker for the given providers. Returns the providers that were open.
+ */
+export function resetBreaker(providers, now = Date.now()) {
+  return updateState(BREAKER_FILE, (state) => {
+    const wasOpen = providers.filter((p) => state[p] && Date.parse(state[p].openUntil) > now);
+    for (const p of providers) delete state[p];
+    return wasOpen;
+  });
+}
+
+/**
+ * Breaker state for each provider: { provider, open, openUntil, openedAt, errorType, message }.
+ */
+export async function breakerStatus(providers, now = Date.now()) {
+  const state = await readState(BREAKER_FILE);
+  return providers.map((provider) => {
+    const entry = state[provider];
+    const open = !!entry && Date.parse(entry.openUntil) > now;
+    return {
+      provider,
+      open,
+      openUntil: open ? entry.openUntil : null,
+      openedAt: open ? entry.openedAt : null,
+      errorType: open ? entry.errorType : null,
+      message: open ? entry.message : null,
+    };
+  });
+}
+
+/**
+ * Zod shape for the *_breaker tools' structured result.
+ * Takes the server's own zod instance so core stays dependency-free.
+ */
+export function breakerResultShape(z) {
+  return {
+    breakers: z
+      .array(
+        z.object({
+          provider: z.string(),
+          open: z.boolean().describe("True while calls are short-circuited"),
+          openUntil: z.string().nullable().describe("ISO time the breaker closes"),
+          openedAt: z.string().nullable().describe("ISO time the quota error was seen"),
+          errorType: z.string().nullable(),
+          message: z.string().nullable().describe("Provider message that opened the breaker"),
+        })
+      )
+      .describe("One entry per provider"),
+    reset: z.array(z.string()).describe("Providers whose open breaker was closed by this call"),
+  };
+}
+
+/**
+ * Handler body for a *_breaker tool: optionally reset, then report state.
+ */
+export async function breakerToolResult(providers, { reset = false, log }) {
+  const closed = reset ? await resetBreaker(providers) : [];
+  if (reset) {
+    log(`Breaker reset: ${closed.length > 0 ? closed.join(", ") : "nothing was open"}`);
+  }
+
+  const breakers = await breakerStatus(providers);
+  const lines = breakers.map((b) =>
+    b.open ? `${b.provider}: OPEN until ${b.openUntil} (${b.errorType}: ${b.message})` : `${b.provider}: closed`
+  );
+  if (reset) {
+    lines.push(closed.length > 0 ? `Reset: ${closed.join(", ")}` : "Reset: nothing was open");
+  }
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: { breakers, reset: closed },
+  };
+}
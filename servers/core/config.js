@@ -0,0 +1,184 @@
+/**
+ * Optional central configuration, shared by every server: per-provider and
+ * per-tool defaults (model, timeout, output limit, CLI binary, extra CLI
+ * args, env), per-provider concurrency limits, retries and input limits,
+ * the Concilium fallback order, and the project roots a `cwd` may be in.
+ *
+ * Read once at startup from CONCILIUM_CONFIG, or concilium.config.json in
+ * CONCILIUM_STATE_DIR when that exists. Validated with the server's zod
+ * (core has no dependencies), so a typo stops the server with a message
+ * naming the bad key instead of being silently ignored.
+ *
+ * Precedence, lowest first: built-in defaults, top-level `maxBufferMB`,
+ * `providers.<name>`, `tools.<tool>`, then the tool call's own arguments.
+ */
+
+import { readFile } from "fs/promises";
+import { homedir } from "os";
+import { join } from "path";
+import { STATE_DIR } from "./state.js";
+import { setAllowedRoots } from "./paths.js";
+
+export const CONFIG_PATH = process.env.CONCILIUM_CONFIG || join(STATE_DIR, "concilium.config.json");
+
+const CLI_PROVIDERS = ["openai", "gemini", "qwen"];
+const ALL_PROVIDERS = [...CLI_PROVIDERS, "deepseek"];
+// <provider>_<tool>; HTTP servers name their tools after OPENAI_COMPATIBLE_NAME
+const TOOL_NAME = /^[a-z][a-z0-9]*_[a-z_]+$/;
+
+class ConfigError extends Error {}
+
+function expandHome(path) {
+  return path === "~" || path.startsWith("~/") ? join(homedir(), path.slice(1)) : path;
+}
+
+/**
+ * Zod schema of concilium.config.json. Unknown keys are errors.
+ */
+export function configSchema(z) {
+  const settings = {
+    model: z.string().min(1).optional(),
+    timeout: z.number().positive().optional(),
+    maxBufferMB: z.number().positive().optional(),
+    command: z.string().min(1).optional(),
+    args: z.array(z.string()).optional(),
+  };
+
+  return z
+    .object({
+      $schema: z.string().optional(),
+      maxBufferMB: settings.maxBufferMB,
+      fallback: z.array(z.enum(ALL_PROVIDERS)).optional(),
+      allowedRoots: z.array(z.string().min(1)).optional(),
+      providers: z
+        .object(
+          Object.fromEntries(
+            CLI_PROVIDERS.map((name) => [
+              name,
+              z
+                .object({
+                  ...settings,
+                  env: z.record(z.string()).optional(),
+                  maxConcurrency: z.number().int().nonnegative().optional(),
+                  queueTimeout: z.number().positive().optional(),
+                  retries: z.number().int().nonnegative().optional(),
+                  maxInputTokens: z.number().int().positive().optional(),
+                })
+                .strict()
+                .optional(),
+            ])
+          )
+        )
+        .strict()
+        .optional(),
+      tools: z
+        .record(
+          z.string().regex(TOOL_NAME, "Expected a tool name such as gemini_chat"),
+          z.object(settings).strict()
+        )
+        .optional(),
+    })
+    .strict();
+}
+
+function describeIssues(error) {
+  return error.issues.map((issue) => `  - ${issue.path.join(".") || "(top level)"}: ${issue.message}`).join("\n");
+}
+
+/**
+ * Read and validate the config. A missing file is an empty config unless
+ * its path was given explicitly (CONCILIUM_CONFIG or `path`).
+ * Rejects with a readable message for unreadable files, bad JSON and
+ * schema violations.
+ */
+export async function loadConfig(z, { path = CONFIG_PATH, required = !!process.env.CONCILIUM_CONFIG } = {}) {
+  let text;
+  try {
+    text = await readFile(path, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return {};
+    throw new ConfigError(`Cannot read config ${path}: ${err.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Config ${path} is not valid JSON: ${err.message}`);
+  }
+
+  const parsed = configSchema(z).safeParse(data);
+  if (!parsed.success) {
+    throw new ConfigError(`Invalid config ${path}:\n${describeIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * loadConfig() for server startup: logs the error and exits on a bad config.
+ * Applies `allowedRoots`, which holds for the whole process.
+ */
+export async function loadConfigOrExit(z, log) {
+  try {
+    const config = await loadConfig(z);
+    if (Object.keys(config).length > 0) log(`Config: ${CONFIG_PATH}`);
+    setAllowedRoots(config.allowedRoots);
+    return config;
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    log(err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Apply CLI settings to an adapter: binary, extra args (before the adapter's
+ * own), env, output limit, concurrency limit, retries and input limit.
+ * Returns the adapter itself when nothing is set.
+ */
+function configureAdapter(adapter, { command, args = [], env = {}, maxBufferMB, maxConcurrency, queueTimeout, retries, maxInputTokens }) {
+  const limits = {
+    ...(maxConcurrency !== undefined && { maxConcurrency }),
+    ...(queueTimeout !== undefined && { queueTimeout }),
+    ...(retries !== undefined && { retries }),
+    ...(maxInputTokens !== undefined && { maxInputTokens }),
+  };
+  if (!command && args.length === 0 && Object.keys(env).length === 0 && !maxBufferMB) {
+    return Object.keys(limits).length > 0 ? { ...adapter, ...limits } : adapter;
+  }
+
+  const extraEnv = Object.fromEntries(Object.entries(env).map(([key, value]) => [key, expandHome(value)]));
+  return {
+    ...adapter,
+    command: command ? expandHome(command) : adapter.command,
+    buildArgs: (request, ctx) => [...args, ...adapter.buildArgs(request, ctx)],
+    extraArgs: args,
+    env: (request) => ({ ...adapter.env?.(request), ...extraEnv }),
+    ...(maxBufferMB && { maxBuffer: maxBufferMB * 1024 * 1024 }),
+    ...limits,
+  };
+}
+
+/**
+ * Effective settings for one tool: `defaults` overridden by the config.
+ * Returns { adapter, model, timeout } where adapter (if one was given) has
+ * the provider's and the tool's CLI settings applied. Tool args are added
+ * after provider args; tool env is not configurable.
+ */
+export function toolConfig(config, tool, adapter, defaults = {}) {
+  const provider = (adapter && config.providers?.[adapter.name]) || {};
+  const own = (tool && config.tools?.[tool]) || {};
+  const settings = {
+    ...defaults,
+    ...(config.maxBufferMB && { maxBufferMB: config.maxBufferMB }),
+    ...provider,
+    ...own,
+    args: [...(provider.args ?? []), ...(own.args ?? [])],
+  };
+
+  return {
+    adapter: adapter && configureAdapter(adapter, settings),
+    model: settings.model,
+    timeout: settings.timeout,
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Consultation with fallbacks: every participant is asked in parallel, and
+ * one that can't answer right now (quota, budget, auth, a full queue) is
+ * replaced by the next free provider in the fallback chain.
+ *
+ * Like the debate, this doesn't know how to reach a provider: the caller
+ * passes `ask(name)`, which resolves a runProvider result and never rejects.
+ */
+
+import { structuredResult } from "./result.js";
+
+/**
+ * Errors that mean "this provider can't answer right now" — move down the chain.
+ * Anything else (timeouts, empty output) is reported as-is, like the skill says.
+ */
+export function shouldFallback(errorType) {
+  return (
+    errorType === "QUOTA_EXCEEDED" ||
+    errorType === "BUDGET_EXCEEDED" ||
+    errorType === "QUEUE_TIMEOUT" ||
+    errorType.startsWith("AUTH_")
+  );
+}
+
+/**
+ * Ask one participant, walking its fallback chain on QUOTA/AUTH errors.
+ * `claimed` holds providers already answering for someone else, so two
+ * failed primaries fan out to different fallbacks instead of both hitting Qwen.
+ * Resolves { participant, respondedBy, response, message, attempts }.
+ */
+export async function consultParticipant({ participant, fallback, claimed, ask }) {
+  const chain = [participant, ...fallback.filter((name) => name !== participant)];
+  const attempts = [];
+
+  for (const [index, name] of chain.entries()) {
+    if (index > 0) {
+      if (claimed.has(name)) continue;
+      claimed.add(name);
+    }
+
+    const result = await ask(name);
+    const { response, ...attempt } = structuredResult(result);
+    attempts.push(attempt);
+
+    if (!result.error) {
+      return { participant, respondedBy: name, response, message: null, attempts };
+    }
+    if (!shouldFallback(result.error.errorType)) {
+      return { participant, respondedBy: null, response: null, message: result.error.message, attempts };
+    }
+  }
+
+  return { participant, respondedBy: null, response: null, message: "All providers in the fallback chain failed.", attempts };
+}
+
+/**
+ * Ask every participant in parallel. Participants count as claimed from the
+ * start, so none of them is used as someone else's fallback.
+ */
+export function runConsultation({ participants, fallback, ask }) {
+  const claimed = new Set(participants);
+  return Promise.all(participants.map((participant) => consultParticipant({ participant, fallback, claimed, ask })));
+}
@@ -0,0 +1,148 @@
+/**
+ * Multi-round debate between providers: the skill's "Iteration 2" without
+ * the host relaying answers by hand.
+ *
+ * Round 1 asks every participant the question. Each later round shows a
+ * participant the others' previous answers (and its own) and asks it to
+ * critique them and revise. Participants end every answer with a POSITION
+ * line and, from round 2, an AGREEMENT line; the debate stops early once
+ * every remaining participant agrees with the others.
+ *
+ * The debate doesn't know how to reach a provider: the caller passes
+ * `ask(name, prompt)`, which resolves a runProvider-style { response } or
+ * { error } and never rejects. A participant whose call fails drops out of
+ * later rounds.
+ */
+
+const MIN_PARTICIPANTS = 2;
+
+export const DEBATE_OPENING = `{question}
+
+Give your answer with your reasoning.
+End with a line "POSITION: <your position in one sentence>".`;
+
+export const DEBATE_ROUND = `{question}
+
+This is round {round} of a debate between several reviewers. Your answer from the previous round:
+
+{own}
+
+The other participants answered:
+
+{others}
+
+Critique the other answers: point out what is wrong or missing, and what they got right that you missed. Then give your revised answer.
+End with two lines:
+POSITION: <your revised position in one sentence>
+AGREEMENT: agree | disagree (agree only if your position now matches the other participants' in substance)`;
+
+/**
+ * The POSITION and AGREEMENT lines of an answer (last ones win).
+ * `agrees` is null when there is no AGREEMENT line.
+ */
+export function parseStance(text) {
+  // Tolerates markdown around the label ("**POSITION:** ...")
+  const last = (label) => [...text.matchAll(new RegExp(`^[^a-z]*${label}[*_ ]*:[*_ ]*(.+)$`, "gim"))].pop()?.[1].trim() ?? null;
+  const agreement = last("AGREEMENT");
+  return {
+    position: last("POSITION"),
+    agrees: agreement === null ? null : /^agree/i.test(agreement),
+  };
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Prompt for `name` in `round`, given the previous round's answers by participant.
+ */
+export function debatePrompt(question, round, name, previous, labels) {
+  if (round === 1) return fill(DEBATE_OPENING, { question });
+
+  const others = Object.entries(previous)
+    .filter(([other]) => other !== name)
+    .map(([other, response]) => `--- ${labels[other] ?? other} ---\n${response}`)
+    .join("\n\n");
+  return fill(DEBATE_ROUND, { question, round: String(round), own: previous[name], others });
+}
+
+/**
+ * Run the debate. Resolves { rounds, positions, converged, stopReason } where
+ * rounds holds every answer (or error) per round, positions the last answer of
+ * each participant still in, and stopReason is "converged", "max_rounds" or
+ * "too_few_participants".
+ */
+export async function runDebate({ question, participants, labels = {}, maxRounds = 3, ask, log }) {
+  let active = participants;
+  let previous = {};
+  const rounds = [];
+  let stopReason = "max_rounds";
+
+  for (let round = 1; round <= maxRounds; round++) {
+    const answers = await Promise.all(
+      active.map(async (name) => {
+        const result = await ask(name, debatePrompt(question, round, name, previous, labels));
+        if (result.error) {
+          return { participant: name, response: null, position: null, agrees: null, errorType: result.error.errorType, message: result.error.message };
+        }
+        return { participant: name, response: result.response, ...parseStance(result.response), errorType: null, message: null };
+      })
+    );
+    rounds.push({ round, answers });
+
+    const answered = answers.filter((a) => a.response !== null);
+    previous = Object.fromEntries(answered.map((a) => [a.participant, a.response]));
+    active = answered.map((a) => a.participant);
+
+    const agreed = round > 1 && answered.length >= MIN_PARTICIPANTS && answered.every((a) => a.agrees);
+    log?.(`Debate round ${round}: ${answered.length}/${answers.length} answered${round > 1 ? `, ${answered.filter((a) => a.agrees).length} agree` : ""}`);
+
+    if (answered.length < MIN_PARTICIPANTS) {
+      stopReason = "too_few_participants";
+      break;
+    }
+    if (agreed) {
+      stopReason = "converged";
+      break;
+    }
+  }
+
+  // Everyone still in answered the last round
+  const positions = rounds
+    .at(-1)
+    .answers.filter((a) => a.response !== null)
+    .map(({ participant, response, position }) => ({ participant, response, position }));
+
+  return { rounds, positions, converged: stopReason === "converged", stopReason };
+}
+
+/**
+ * Zod shape for concilium_debate results.
+ */
+export function debateResultShape(z) {
+  const answer = z.object({
+    participant: z.string().describe("Provider that answered"),
+    response: z.string().nullable().describe("Answer text, null if the call failed"),
+    position: z.string().nullable().describe("The answer's POSITION line, if given"),
+    agrees: z.boolean().nullable().describe("AGREEMENT line from round 2 on: agrees with the others"),
+    errorType: z.string().nullable().describe("Error type if the call failed"),
+    message: z.string().nullable().describe("Error message if the call failed"),
+  });
+  return {
+    rounds: z
+      .array(z.object({ round: z.number(), answers: z.array(answer) }))
+      .describe("Round-by-round transcript"),
+    positions: z
+      .array(
+        z.object({
+          participant: z.string(),
+          response: z.string().describe("Final answer"),
+          position: z.string().nullable().describe("Final POSITION line, if given"),
+        })
+      )
+      .describe("Final answer of every participant still in the debate"),
+    converged: z.boolean().describe("True if every remaining participant agreed with the others"),
+    stopReason: z.enum(["converged", "max_rounds", "too_few_participants"]),
+  };
+}
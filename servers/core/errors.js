@@ -0,0 +1,94 @@
+/**
+ * Rule-table error classification for provider runs.
+ *
+ * A run is { stdout, stderr, exitCode, response, structuredError }. Model
+ * answers regularly talk about "login" or "quota", so plain text matching
+ * over the output is only trusted when the CLI actually failed, and never
+ * over the prompt a CLI echoes to stderr (Codex does).
+ *
+ * @typedef {object} ErrorRule
+ * @property {string} errorType                      Type reported when the rule matches
+ * @property {string|((run: object) => string)} message
+ * @property {(run: object) => object} [details]      Extra fields for the error (e.g. resetAt)
+ * @property {(error: object) => boolean} [structured]
+ *           Match on the provider's structured error object (e.g. Gemini `-o json`).
+ *           Checked on every run: a structured error is never part of an answer.
+ * @property {number[]} [exitCodes]                  Match on a documented exit code
+ * @property {RegExp|RegExp[]} [stderr]              Must all match stderr
+ * @property {RegExp|RegExp[]} [output]              Must all match stdout + stderr
+ *
+ * Rules without `structured` only apply to failed runs (non-zero exit, killed,
+ * or no extracted response). All conditions present on a rule must hold;
+ * the first matching rule wins.
+ */
+
+function matchesAll(patterns, text) {
+  return [].concat(patterns).every((pattern) => pattern.test(text));
+}
+
+/**
+ * A run failed if the CLI exited non-zero, was killed (exitCode null)
+ * or produced no answer.
+ */
+export function runFailed(run) {
+  return run.exitCode !== 0 || !run.response;
+}
+
+/**
+ * `stderr` without any echo of `prompt`, so the words of a question can't
+ * pass for the CLI's own error message.
+ */
+export function withoutPrompt(stderr, prompt) {
+  return prompt ? stderr.split(prompt).join("") : stderr;
+}
+
+/**
+ * Return { errorType, message } for the first matching rule, or null.
+ * With the `request`, its prompt is removed from stderr before matching,
+ * and `message` / `details` see the run that way too.
+ */
+export function classifyRun(rules, run, request = {}) {
+  const failed = runFailed(run);
+  const stdout = run.stdout || "";
+  const stderr = withoutPrompt(run.stderr || "", request.prompt);
+  const seen = { ...run, stderr };
+
+  for (const rule of rules) {
+    if (rule.structured) {
+      if (!run.structuredError || !rule.structured(run.structuredError)) continue;
+    } else if (!failed) {
+      continue;
+    }
+    if (rule.exitCodes && !rule.exitCodes.includes(run.exitCode)) continue;
+    if (rule.stderr && !matchesAll(rule.stderr, stderr)) continue;
+    if (rule.output && !matchesAll(rule.output, stdout + stderr)) continue;
+
+    return {
+      errorType: rule.errorType,
+      message: typeof rule.message === "function" ? rule.message(seen) : rule.message,
+      ...rule.details?.(seen),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find a JSON error object ({ "error": {...} }) printed by a CLI in JSON
+ * output mode, on stdout or mixed into stderr. Returns the inner object or null.
+ */
+export function parseJsonError(...texts) {
+  for (const text of texts) {
+    if (!text) continue;
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end <= start) continue;
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      if (parsed && typeof parsed.error === "object" && parsed.error !== null) {
+        return parsed.error;
+      }
+    } catch {}
+  }
+  return null;
+}
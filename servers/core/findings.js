@@ -0,0 +1,202 @@
+/**
+ * Normalized review findings, parsed out of review text so orchestrators and
+ * CI can deduplicate across providers instead of reading prose.
+ *
+ * Two sources are understood:
+ *   - the fenced ```json block REVIEW_PROMPT asks Gemini / Qwen to end with
+ *   - `codex review` comments: "- [P1] Title — path/to/file.js:12-20" followed
+ *     by an indented body
+ *
+ * Anything else yields no findings; the raw review text is always kept.
+ *
+ * @typedef {object} Finding
+ * @property {string|null} file        Path as reported by the provider
+ * @property {number|null} startLine
+ * @property {number|null} endLine
+ * @property {string} severity         critical / major / minor / info
+ * @property {string} category         security, concurrency, error-handling, performance, correctness, ...
+ * @property {string} message
+ * @property {string|null} suggestion  Suggested fix, if given
+ * @property {string} fingerprint      Stable id from file, line, category and message, for deduplication
+ */
+
+import { createHash } from "crypto";
+import { providerResultShape } from "./result.js";
+import { reportResultShape } from "./report.js";
+
+const SEVERITIES = ["critical", "major", "minor", "info"];
+
+// Codex priorities P0 (drop everything) .. P3 (nit)
+const CODEX_PRIORITY = { 0: "critical", 1: "major", 2: "minor", 3: "info" };
+
+const SEVERITY_ALIASES = {
+  blocker: "critical",
+  high: "major",
+  error: "major",
+  medium: "minor",
+  moderate: "minor",
+  warning: "minor",
+  low: "info",
+  nit: "info",
+  note: "info",
+  suggestion: "info",
+};
+
+const CATEGORY_PATTERNS = [
+  ["security", /secur|inject|xss|csrf|secret|credential|sanitiz|escap|traversal/i],
+  ["concurrency", /race|deadlock|concurren|mutex|\block\b|atomic/i],
+  ["error-handling", /error handling|exception|unhandled|reject|\bcatch\b|\bthrow/i],
+  ["performance", /perform|slow|n\+1|memory|leak|quadratic|cache/i],
+];
+
+function normalizeSeverity(value) {
+  const text = String(value ?? "").toLowerCase().trim();
+  if (SEVERITIES.includes(text)) return text;
+  return SEVERITY_ALIASES[text] ?? "minor";
+}
+
+function inferCategory(text) {
+  return CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? "correctness";
+}
+
+function toLine(value) {
+  const line = Number.parseInt(value, 10);
+  return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+// Case, punctuation and spacing don't make a different finding
+function messageKey(message) {
+  return message.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function finding({ file, startLine, endLine, severity, category, message, suggestion }) {
+  const normalized = {
+    file: file ? String(file) : null,
+    startLine: toLine(startLine),
+    endLine: toLine(endLine) ?? toLine(startLine),
+    severity: normalizeSeverity(severity),
+    category: category ? String(category).toLowerCase() : inferCategory(message),
+    message: String(message).trim(),
+    suggestion: suggestion ? String(suggestion).trim() : null,
+  };
+  const key = `${normalized.file}:${normalized.startLine}:${normalized.category}:${messageKey(normalized.message)}`;
+  normalized.fingerprint = createHash("sha1").update(key).digest("hex").slice(0, 12);
+  return normalized;
+}
+
+/**
+ * Normalize finding-like objects (from a provider's JSON or a caller), accepting
+ * common aliases: path, line, fix, title / description. Items without any
+ * message are dropped.
+ */
+export function normalizeFindings(items) {
+  return items
+    .filter((item) => item && (item.message || item.title || item.description))
+    .map((item) =>
+      finding({
+        file: item.file ?? item.path,
+        startLine: item.startLine ?? item.line,
+        endLine: item.endLine,
+        severity: item.severity,
+        category: item.category,
+        message: item.message ?? item.title ?? item.description,
+        suggestion: item.suggestion ?? item.fix,
+      })
+    );
+}
+
+/**
+ * Findings from the last fenced json block holding an array (or { findings: [] }).
+ * Returns null when there is no such block.
+ */
+function fromJsonBlock(text) {
+  const blocks = [...text.matchAll(/```json\s*\n([\s\S]*?)```/g)].map((m) => m[1]);
+  for (const block of blocks.reverse()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(block);
+    } catch {
+      continue;
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.findings;
+    if (!Array.isArray(items)) continue;
+
+    return normalizeFindings(items);
+  }
+  return null;
+}
+
+const CODEX_COMMENT = /^\s*[-*]\s*\[P([0-3])\]\s+(.+?)\s+[—–-]\s+(\S+?):(\d+)(?:-(\d+))?\s*$/;
+
+function fromCodexComments(text) {
+  const findings = [];
+  let current = null;
+
+  for (const line of text.split("\n")) {
+    const match = line.match(CODEX_COMMENT);
+    if (match) {
+      current = { priority: match[1], title: match[2], file: match[3], start: match[4], end: match[5], body: [] };
+      findings.push(current);
+    } else if (current && (/^\s+\S/.test(line) || line.trim() === "")) {
+      current.body.push(line.trim());
+    } else {
+      current = null;
+    }
+  }
+
+  return findings.map(({ priority, title, file, start, end, body }) => {
+    const detail = body.join("\n").trim();
+    return finding({
+      file,
+      startLine: start,
+      endLine: end,
+      severity: CODEX_PRIORITY[priority],
+      category: inferCategory(`${title} ${detail}`),
+      message: detail ? `${title}\n${detail}` : title,
+      suggestion: null,
+    });
+  });
+}
+
+/**
+ * Parse review text into normalized findings (empty list when none are recognized).
+ */
+export function parseFindings(text) {
+  if (!text) return [];
+  return fromJsonBlock(text) ?? fromCodexComments(text);
+}
+
+/**
+ * Attach `findings` to a runProvider result from a review tool.
+ */
+export function withFindings(result) {
+  result.findings = result.error ? [] : parseFindings(result.response);
+  return result;
+}
+
+/**
+ * Zod shape for review tool results: the provider result plus findings.
+ */
+export function reviewResultShape(z) {
+  return {
+    ...providerResultShape(z),
+    findings: z
+      .array(
+        z.object({
+          file: z.string().nullable().describe("File the finding is about, as reported"),
+          startLine: z.number().nullable().describe("First line, if reported"),
+          endLine: z.number().nullable().describe("Last line, if reported"),
+          severity: z.enum(SEVERITIES).describe("critical / major / minor / info"),
+          category: z.string().describe("security, concurrency, error-handling, performance, correctness, ..."),
+          message: z.string().describe("What is wrong"),
+          suggestion: z.string().nullable().describe("Suggested fix, if given"),
+          fingerprint: z.string().describe("Stable id from file, line, category and message, for deduplication across providers"),
+        })
+      )
+      .describe("Findings parsed from the review; empty if none were recognized"),
+    report: z
+      .object(reportResultShape(z))
+      .optional()
+      .describe("Report written for this review, when one was requested"),
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Provider readiness: is the CLI on PATH (and which version), is auth set up,
+ * and is the provider usable right now (breaker closed, budget left), plus
+ * how busy its call queue is.
+ *
+ * Backs the *_status tools and the self-check each server logs at startup,
+ * so a missing binary or login shows up before a consultation, not in the
+ * middle of one. Adapters add their own setup checks with an optional
+ * `checkSetup({ timeoutMs, env, args })` hook resolving [{ name, ok, message }];
+ * `env` is the environment the CLI runs with (the adapter's env, including
+ * `env` from the config file, over process.env) and `args` the configured
+ * args passed before the adapter's own.
+ */
+
+import { access } from "fs/promises";
+import { runProcess } from "./process.js";
+import { breakerStatus } from "./breaker.js";
+import { usageReport } from "./usage.js";
+import { concurrencyLimit, queueStatus } from "./limiter.js";
+
+const VERSION_TIMEOUT_MS = 10000;
+
+/**
+ * True if `path` exists (following symlinks, so a dangling link is false).
+ */
+export async function pathExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * `<command> --version`: { command, found, version, message }.
+ */
+async function cliVersion(adapter, timeoutMs) {
+  const { command } = adapter;
+  try {
+    const { stdout, stderr, exitCode } = await runProcess(command, ["--version"], {
+      timeoutMs,
+      env: adapter.env?.({}),
+      label: command,
+    });
+    const version = (stdout.trim() || stderr.trim()).split("\n")[0] || null;
+    if (exitCode !== 0) {
+      return { command, found: true, version: null, message: `${command} --version exited with ${exitCode}: ${version ?? "no output"}` };
+    }
+    return { command, found: true, version, message: null };
+  } catch (err) {
+    const message = err.code === "ENOENT" ? `${command} not found on PATH` : `${command} --version failed: ${err.message}`;
+    return { command, found: err.code !== "ENOENT", version: null, message };
+  }
+}
+
+/**
+ * Readiness of one provider. Resolves { provider, label, ready, cli, checks,
+ * breaker, budget, queue }; `cli` is null for adapters that don't spawn a CLI.
+ * Never rejects: a failing hook becomes a failed check.
+ */
+export async function providerStatus(adapter, { timeoutMs = VERSION_TIMEOUT_MS } = {}) {
+  const setup = async () => {
+    try {
+      const env = { ...process.env, ...adapter.env?.({}) };
+      return (await adapter.checkSetup?.({ timeoutMs, env, args: adapter.extraArgs ?? [] })) ?? [];
+    } catch (err) {
+      return [{ name: "setup", ok: false, message: `Setup check failed: ${err.message}` }];
+    }
+  };
+
+  const [cli, checks, [breaker], usage] = await Promise.all([
+    adapter.command ? cliVersion(adapter, timeoutMs) : null,
+    setup(),
+    breakerStatus([adapter.name]),
+    usageReport(adapter.name, 0),
+  ]);
+
+  const used = usage.today.requests;
+  const budget = {
+    budget: usage.budget,
+    usedToday: used,
+    exhausted: usage.budget !== null && used >= usage.budget && usage.mode === "refuse",
+  };
+
+  return {
+    provider: adapter.name,
+    label: adapter.label,
+    ready: (!cli || (cli.found && !cli.message)) && checks.every((c) => c.ok) && !breaker.open && !budget.exhausted,
+    cli,
+    checks,
+    breaker: { open: breaker.open, openUntil: breaker.openUntil, errorType: breaker.errorType, message: breaker.message },
+    budget,
+    queue: { ...queueStatus(adapter.name), maxConcurrency: concurrencyLimit(adapter).maxConcurrency },
+  };
+}
+
+/**
+ * Why a provider is not ready, as short phrases (empty when it is).
+ */
+function problems(status) {
+  const list = [];
+  if (status.cli?.message) list.push(status.cli.message);
+  for (const check of status.checks) {
+    if (!check.ok) list.push(check.message);
+  }
+  if (status.breaker.open) list.push(`quota breaker open until ${status.breaker.openUntil}`);
+  if (status.budget.exhausted) list.push(`daily budget used up (${status.budget.usedToday}/${status.budget.budget})`);
+  return list;
+}
+
+function statusLine(status) {
+  const version = status.cli?.version ? ` (${status.cli.version})` : "";
+  return status.ready ? `${status.label}: ready${version}` : `${status.label}: NOT READY${version} — ${problems(status).join("; ")}`;
+}
+
+/**
+ * Zod shape for the *_status tools' structured result.
+ * Takes the server's own zod instance so core stays dependency-free.
+ */
+export function statusResultShape(z) {
+  return {
+    providers: z
+      .array(
+        z.object({
+          provider: z.string(),
+          label: z.string(),
+          ready: z.boolean().describe("CLI found, setup checks pass, breaker closed and budget left"),
+          cli: z
+            .object({
+              command: z.string(),
+              found: z.boolean().describe("False if the binary is not on PATH"),
+              version: z.string().nullable().describe("First line of `--version`"),
+              message: z.string().nullable().describe("What went wrong running `--version`"),
+            })
+            .nullable()
+            .describe("null for HTTP providers"),
+          checks: z
+            .array(z.object({ name: z.string(), ok: z.boolean(), message: z.string() }))
+            .describe("Provider-specific setup checks (config dir, auth)"),
+          breaker: z.object({
+            open: z.boolean(),
+            openUntil: z.string().nullable(),
+            errorType: z.string().nullable(),
+            message: z.string().nullable(),
+          }),
+          budget: z.object({
+            budget: z.number().nullable().describe("Daily request budget, null if unlimited"),
+            usedToday: z.number(),
+            exhausted: z.boolean().describe("True if calls are refused until tomorrow"),
+          }),
+          queue: z.object({
+            active: z.number().describe("Calls running in this server process"),
+            waiting: z.number().describe("Calls waiting for a free slot"),
+            maxConcurrency: z.number().describe("Calls allowed at once, 0 if unlimited"),
+          }),
+        })
+      )
+      .describe("One entry per provider"),
+  };
+}
+
+/**
+ * Handler body for a *_status tool.
+ */
+export async function statusToolResult(adapters) {
+  const providers = await Promise.all(adapters.map((adapter) => providerStatus(adapter)));
+  const lines = [];
+  for (const status of providers) {
+    lines.push(statusLine(status));
+    for (const check of status.checks) {
+      lines.push(`  ${check.ok ? "ok" : "FAIL"} ${check.name}: ${check.message}`);
+    }
+  }
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: { providers },
+  };
+}
+
+/**
+ * Startup self-check: log one line per provider. Runs in the background and
+ * never throws; CONCILIUM_SELF_CHECK=0 turns it off.
+ */
+export async function selfCheck(adapters, log) {
+  if (process.env.CONCILIUM_SELF_CHECK === "0") return;
+  try {
+    for (const status of await Promise.all(adapters.map((adapter) => providerStatus(adapter)))) {
+      log(`Self-check: ${statusLine(status)}`);
+    }
+  } catch (err) {
+    log(`Self-check failed: ${err.message}`);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Shared core for the Concilium MCP servers: process handling, the provider
+ * adapter interface, and the adapters for the bundled CLIs.
+ */
+
+export { runProcess, reapChildren, MAX_BUFFER } from "./process.js";
+export { handleShutdown } from "./shutdown.js";
+export { serve, serveHttp, transportOptions, isMain } from "./transport.js";
+export { runProvider } from "./provider.js";
+export { retryPolicy, isTransient, backoffDelay, DEFAULT_RETRIES } from "./retry.js";
+export { acquireSlot, concurrencyLimit, queueStatus, DEFAULT_MAX_CONCURRENCY, DEFAULT_QUEUE_TIMEOUT_SECONDS } from "./limiter.js";
+export { toolResult, structuredResult, providerResultShape } from "./result.js";
+export { openBreaker, tripBreaker, resetBreaker, breakerStatus, breakerResultShape, breakerToolResult } from "./breaker.js";
+export { checkBudget, recordUsage, usageReport, usageResultShape, usageToolResult, dailyBudget, USAGE_USER } from "./usage.js";
+export { providerStatus, statusResultShape, statusToolResult, selfCheck, pathExists } from "./health.js";
+export { redactRequest, redactText, findSecrets, redactionMode, describeRedactions, redactionsShape, entropy, REDACT_MODES } from "./redact.js";
+export { recordTranscript, readTranscript, searchTranscripts, pruneTranscripts, transcriptsEnabled, listTranscriptResources, readTranscriptResource, transcriptSearchShape, transcriptResultShape, transcriptToolResult, TRANSCRIPT_DIR, TRANSCRIPT_URI_TEMPLATE } from "./transcripts.js";
+export { conciliumPrompts, renderPrompt, PROMPT_FORMS } from "./prompts.js";
+export { progressNotifier } from "./progress.js";
+export { checkCwd, resolveInside, allowedRoots, setAllowedRoots } from "./paths.js";
+export { runChunkedAnalysis, splitInput, estimateTokens, maxInputTokens, mapReduceShape, MAP_PROMPT, REDUCE_PROMPT, ANALYZE_MODES, DEFAULT_MAX_INPUT_TOKENS, DEFAULT_CHUNK_TOKENS } from "./mapreduce.js";
+export { runWithAttachments, collectAttachments, describeAttachments, globToRegExp, attachmentInputShape, attachmentsShape, DEFAULT_ATTACHMENT_BYTES } from "./attachments.js";
+export { runReview, runNativeReview, collectDiff, reviewPrompt, REVIEW_PROMPT } from "./review.js";
+export { parseFindings, normalizeFindings, withFindings, reviewResultShape } from "./findings.js";
+export { runConsultation, consultParticipant, shouldFallback } from "./consult.js";
+export { runDebate, debatePrompt, parseStance, debateResultShape } from "./debate.js";
+export { synthesisPrompt, parseSynthesis, needsIteration, synthesisShape, DEFAULT_AGREEMENT_THRESHOLD } from "./synthesis.js";
+export { sarifReport, markdownReport, writeReport, exportReview, reportResultShape, REPORT_FORMATS } from "./report.js";
+export { loadConfig, loadConfigOrExit, configSchema, toolConfig, CONFIG_PATH } from "./config.js";
+export { STATE_DIR } from "./state.js";
+export { classifyRun, runFailed, parseJsonError } from "./errors.js";
+export { codexExec, codexReview, parseResetAt, CODEX_HOME } from "./providers/codex.js";
+export { gemini } from "./providers/gemini.js";
+export { qwen, QWEN_AUTH_TYPE, QWEN_DEFAULT_MODEL } from "./providers/qwen.js";
+export { openAICompatible, classifyHttpError, OPENAI_COMPATIBLE_PRESETS } from "./providers/openai-compatible.js";
@@ -0,0 +1,118 @@
+/**
+ * Per-provider concurrency limit with a FIFO queue.
+ *
+ * A consultation, a debate round or several HTTP clients can start many
+ * calls to one provider at once; each is a CLI process (or request) counted
+ * against the same rate limit. runProvider takes a slot before spawning and
+ * gives it back afterwards; calls beyond the limit wait in arrival order.
+ *
+ * Limits are per server process, keyed by provider name (codex exec and
+ * codex review share "openai"). Per provider, lowest precedence first:
+ * defaults, <PROVIDER>_MAX_CONCURRENCY / <PROVIDER>_QUEUE_TIMEOUT env vars
+ * (seconds), then `providers.<name>.maxConcurrency` / `queueTimeout` in
+ * concilium.config.json (set on the adapter). A limit of 0 means unlimited.
+ */
+
+export const DEFAULT_MAX_CONCURRENCY = 2;
+export const DEFAULT_QUEUE_TIMEOUT_SECONDS = 120;
+
+// provider → { active, waiting: [{ grant, fail }] }
+const slots = new Map();
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Effective { maxConcurrency, queueTimeoutMs } for an adapter.
+ */
+export function concurrencyLimit(adapter) {
+  const prefix = adapter.name.toUpperCase();
+  const maxConcurrency = adapter.maxConcurrency ?? envNumber(`${prefix}_MAX_CONCURRENCY`) ?? DEFAULT_MAX_CONCURRENCY;
+  const queueTimeout = adapter.queueTimeout ?? envNumber(`${prefix}_QUEUE_TIMEOUT`) ?? DEFAULT_QUEUE_TIMEOUT_SECONDS;
+  return { maxConcurrency, queueTimeoutMs: queueTimeout * 1000 };
+}
+
+function stateOf(provider) {
+  let state = slots.get(provider);
+  if (!state) {
+    state = { active: 0, waiting: [] };
+    slots.set(provider, state);
+  }
+  return state;
+}
+
+/**
+ * Wait for a free slot. Resolves { release, queued } where `queued` is the
+ * wait in seconds, or { error } with QUEUE_TIMEOUT when no slot frees up in
+ * time, or CANCELLED when `signal` aborts while waiting. Never rejects.
+ * Call release() exactly once when the call is done.
+ */
+export function acquireSlot(adapter, { signal } = {}) {
+  const { maxConcurrency, queueTimeoutMs } = concurrencyLimit(adapter);
+  const state = stateOf(adapter.name);
+  const startTime = Date.now();
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const next = state.waiting.shift();
+    if (next) {
+      next.grant();
+    } else {
+      state.active--;
+    }
+  };
+
+  if (!maxConcurrency || (state.active < maxConcurrency && state.waiting.length === 0)) {
+    state.active++;
+    return Promise.resolve({ release, queued: 0 });
+  }
+
+  return new Promise((resolve) => {
+    const waiter = {
+      // The releasing call hands its slot over, so `active` stays the same
+      grant() {
+        cleanup();
+        resolve({ release, queued: Number(((Date.now() - startTime) / 1000).toFixed(1)) });
+      },
+      fail(error) {
+        cleanup();
+        state.waiting.splice(state.waiting.indexOf(waiter), 1);
+        resolve({ error, queued: Number(((Date.now() - startTime) / 1000).toFixed(1)) });
+      },
+    };
+
+    const timer = setTimeout(() => {
+      waiter.fail({
+        errorType: "QUEUE_TIMEOUT",
+        message: `${adapter.label} busy: ${state.active} call(s) running (max ${maxConcurrency}), still queued after ${queueTimeoutMs / 1000}s. Try again later, use a fallback provider, or raise ${adapter.name.toUpperCase()}_MAX_CONCURRENCY.`,
+      });
+    }, queueTimeoutMs);
+    const onAbort = () => waiter.fail({ errorType: "CANCELLED", message: `${adapter.label} error: cancelled by the client while queued` });
+    function cleanup() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    if (signal?.aborted) {
+      state.waiting.push(waiter);
+      onAbort();
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+    state.waiting.push(waiter);
+  });
+}
+
+/**
+ * Calls running and waiting for a provider: { active, waiting }.
+ */
+export function queueStatus(provider) {
+  const state = slots.get(provider);
+  return { active: state?.active ?? 0, waiting: state?.waiting.length ?? 0 };
+}
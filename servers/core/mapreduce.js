@@ -0,0 +1,320 @@
+/**
+ * Map-reduce analysis for inputs too large for one call: the model's
+ * context, or a prompt that would take longer than any timeout to read.
+ *
+ * The input is split at file boundaries (`diff --git`, `File: path`,
+ * `=== path ===`, `<file path=...>`), a file too large on its own at diff
+ * hunks (each piece keeps the file header), and as a last resort at blank
+ * lines or lines. Pieces are packed into chunks of `chunkTokens`; each
+ * chunk is analyzed on its own with the task (map), a few at a time, and a
+ * final call merges the partial analyses into one answer that says which
+ * part each point came from (reduce).
+ *
+ * Sizes are estimated, not counted: ~4 characters per token, which is close
+ * for code and English and errs on the small side for both. Per provider,
+ * the map-reduce threshold is `maxInputTokens` on the adapter
+ * (`providers.<name>.maxInputTokens` in concilium.config.json), else
+ * <PROVIDER>_MAX_INPUT_TOKENS, else 800000 (Gemini's 1M context with room
+ * for the answer).
+ */
+
+import { runProvider } from "./provider.js";
+import { concurrencyLimit } from "./limiter.js";
+
+export const DEFAULT_MAX_INPUT_TOKENS = 800000;
+export const DEFAULT_CHUNK_TOKENS = 200000;
+export const ANALYZE_MODES = ["auto", "single", "map_reduce"];
+const CHARS_PER_TOKEN = 4;
+const MAX_TASK_CHARS = 4000;
+const MIN_SHARE_CHARS = 2000;
+// Map calls when the provider itself has no concurrency limit
+const UNLIMITED_CONCURRENCY = 4;
+
+const FILE_BOUNDARY = /^(?=diff --git |Index: |File: |<file[\s>]|={3,} \S.* ={3,}[ \t]*$)/m;
+const HUNK_BOUNDARY = /^(?=@@ )/m;
+
+export const MAP_PROMPT = `{task}
+
+The input is too large for one pass, so it was split into {total} parts. This is part {part} of {total} ({label}). Analyze only this part; a later pass merges the parts. Mention anything that depends on code outside this part instead of guessing.
+
+--- PART {part}/{total}: {label} ---
+{chunk}`;
+
+export const REDUCE_PROMPT = `{task}
+
+The input was too large for one pass, so it was split into {total} parts and each part was analyzed separately. Merge the partial analyses below into one answer to the task: combine points that overlap, resolve contradictions, and keep the most specific details. Attribute every point to the part it came from, e.g. "[part 2: src/cache.js]".{gaps}
+
+{analyses}`;
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Estimated token count of `text`.
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Effective map-reduce threshold in tokens for an adapter.
+ */
+export function maxInputTokens(adapter) {
+  return adapter.maxInputTokens ?? envNumber(`${adapter.name.toUpperCase()}_MAX_INPUT_TOKENS`) ?? DEFAULT_MAX_INPUT_TOKENS;
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+function fileName(section) {
+  const first = section.split("\n", 1)[0];
+  return (
+    first.match(/^diff --git a\/.+? b\/(.+)$/)?.[1] ??
+    first.match(/^(?:Index|File): (.+)$/)?.[1] ??
+    first.match(/^<file[^>]*\b(?:path|name)=["']?([^"'\s>]+)/)?.[1] ??
+    first.match(/^={3,} (.+?) ={3,}/)?.[1] ??
+    null
+  )?.trim() ?? null;
+}
+
+// Split text over `maxChars` at the first separator that yields pieces
+// (hunks, then blank lines, then lines), else at fixed offsets
+function splitSection(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const hunks = text.split(HUNK_BOUNDARY);
+  if (hunks.length > 1) {
+    const header = hunks.shift();
+    // A huge header still leaves each piece room for some of the hunk
+    const room = Math.max(maxChars - header.length, Math.ceil(maxChars / 2));
+    return pack(hunks.flatMap((hunk) => splitSection(hunk, room)), room).map((body) => header + body);
+  }
+
+  for (const separator of [/(?<=\n\n)/, /(?<=\n)/]) {
+    const pieces = text.split(separator);
+    if (pieces.length > 1) return pack(pieces.flatMap((piece) => splitSection(piece, maxChars)), maxChars);
+  }
+
+  const pieces = [];
+  for (let start = 0; start < text.length; start += maxChars) pieces.push(text.slice(start, start + maxChars));
+  return pieces;
+}
+
+// Greedily join consecutive pieces while they fit
+function pack(pieces, maxChars) {
+  const packed = [];
+  for (const piece of pieces) {
+    if (packed.length > 0 && packed.at(-1).length + piece.length <= maxChars) {
+      packed[packed.length - 1] += piece;
+    } else {
+      packed.push(piece);
+    }
+  }
+  return packed;
+}
+
+/**
+ * Split `text` into chunks of at most `chunkTokens`. Returns
+ * { preamble, chunks: [{ part, label, text }] }: the preamble is a short
+ * text before the first file boundary (usually the question), and each label
+ * names the files in the chunk, with "(part i/n)" for a split file.
+ */
+export function splitInput(text, chunkTokens = DEFAULT_CHUNK_TOKENS) {
+  const maxChars = Math.max(1, chunkTokens * CHARS_PER_TOKEN);
+  const sections = text.split(FILE_BOUNDARY);
+  // A long preamble is material to analyze, not the question
+  const preamble =
+    sections.length > 1 && !FILE_BOUNDARY.test(sections[0]) && sections[0].length <= MAX_TASK_CHARS ? sections.shift() : "";
+
+  // One entry per piece: its text and the label it contributes
+  const pieces = [];
+  for (const section of sections) {
+    const name = fileName(section);
+    const parts = splitSection(section, maxChars);
+    parts.forEach((part, i) => {
+      const label = name ? (parts.length > 1 ? `${name} (part ${i + 1}/${parts.length})` : name) : null;
+      pieces.push({ text: part, label });
+    });
+  }
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks.at(-1);
+    if (last && last.text.length + piece.text.length <= maxChars) {
+      last.text += piece.text;
+      if (piece.label) last.labels.push(piece.label);
+    } else {
+      chunks.push({ text: piece.text, labels: piece.label ? [piece.label] : [] });
+    }
+  }
+
+  return {
+    preamble,
+    chunks: chunks.map(({ text: chunk, labels }, i) => ({
+      part: i + 1,
+      label: labels.length === 0 ? `characters ${chunks.slice(0, i).reduce((sum, c) => sum + c.text.length, 0) + 1}+` : summarizeLabels(labels),
+      text: chunk,
+    })),
+  };
+}
+
+function summarizeLabels(labels) {
+  return labels.length <= 3 ? labels.join(", ") : `${labels.slice(0, 2).join(", ")} and ${labels.length - 2} more files`;
+}
+
+// Run `worker` over `items`, at most `limit` at a time, keeping order
+async function mapLimited(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+function mergeRedactions(results) {
+  const merged = new Map();
+  for (const { redactions = [] } of results) {
+    for (const entry of redactions) {
+      const seen = merged.get(entry.placeholder);
+      merged.set(entry.placeholder, seen ? { ...seen, count: seen.count + entry.count } : { ...entry });
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Analyze `prompt` with `adapter`, in one call or map-reduce.
+ *
+ * mode "auto" (default) switches to map-reduce when the estimated size is
+ * over maxInputTokens(adapter); "single" and "map_reduce" force a mode.
+ * `task` is what every chunk is asked to do; without it the text before
+ * the first file boundary is used. `timeoutMs` applies to each call.
+ *
+ * Resolves a runProvider-style result. In map-reduce mode it is the reduce
+ * call's, with `elapsed`, `attempts` and `redactions` covering every call
+ * and `mapReduce: { estimatedTokens, chunks }` listing each part's label,
+ * size and outcome. Failed parts are named in the reduce prompt and the
+ * result's `warning`; if every part fails, the first error is returned.
+ * Once `signal` aborts the result is CANCELLED, even if every call it
+ * covered had already finished.
+ */
+export async function runChunkedAnalysis(adapter, options) {
+  const { prompt, task, mode = "auto", chunkTokens, log, ...request } = options;
+  const estimatedTokens = estimateTokens(prompt);
+  const limit = maxInputTokens(adapter);
+
+  if (mode === "single" || (mode === "auto" && estimatedTokens <= limit)) {
+    return runProvider(adapter, { ...request, prompt });
+  }
+
+  const startTime = Date.now();
+  const size = Math.min(chunkTokens ?? DEFAULT_CHUNK_TOKENS, limit);
+  const { preamble, chunks } = splitInput(prompt, size);
+  // Without a preamble, the first paragraph is the best guess at the question
+  const instructions = (task ?? (preamble || prompt.split(/\n\s*\n/, 1)[0])).trim().slice(0, MAX_TASK_CHARS);
+  const { maxConcurrency } = concurrencyLimit(adapter);
+  log?.(`Map-reduce: ~${estimatedTokens} tokens in ${chunks.length} parts of up to ~${size} tokens, ${maxConcurrency || UNLIMITED_CONCURRENCY} at a time`);
+
+  const mapped = await mapLimited(chunks, maxConcurrency || UNLIMITED_CONCURRENCY, (chunk) =>
+    runProvider(adapter, {
+      ...request,
+      prompt: fill(MAP_PROMPT, { task: instructions, total: String(chunks.length), part: String(chunk.part), label: chunk.label, chunk: chunk.text }),
+    })
+  );
+
+  const report = chunks.map((chunk, i) => ({
+    part: chunk.part,
+    label: chunk.label,
+    estimatedTokens: estimateTokens(chunk.text),
+    errorType: mapped[i].error?.errorType ?? null,
+    elapsed: Number(mapped[i].elapsed),
+  }));
+  const answered = chunks.filter((chunk, i) => !mapped[i].error);
+  const failed = report.filter((entry) => entry.errorType);
+  log?.(`Map-reduce: ${answered.length}/${chunks.length} parts analyzed`);
+
+  const totals = (results) => ({
+    elapsed: ((Date.now() - startTime) / 1000).toFixed(1),
+    attempts: results.reduce((sum, r) => sum + (r.attempts ?? 0), 0),
+    mapReduce: { estimatedTokens, calls: results.length, chunks: report },
+  });
+  const redactions = mergeRedactions(mapped);
+  const stop = (stopped, results) => ({ ...stopped, ...totals(results), ...(redactions.length > 0 && { redactions }) });
+  const cancelled = (results) =>
+    stop(
+      results.find((r) => r.error?.errorType === "CANCELLED") ?? {
+        provider: adapter.name,
+        model: request.model || adapter.defaultModel || null,
+        error: { errorType: "CANCELLED", message: `${adapter.label} error: cancelled by the client` },
+        stdout: "",
+        stderr: "",
+        exitCode: null,
+      },
+      results
+    );
+
+  if (request.signal?.aborted) return cancelled(mapped);
+  if (answered.length === 0) return stop(mapped.find((r) => r.error), mapped);
+
+  // Leave each partial analysis an equal share of the budget
+  const share = Math.max(Math.floor((limit * CHARS_PER_TOKEN - instructions.length) / answered.length), MIN_SHARE_CHARS);
+  const analyses = answered
+    .map((chunk) => {
+      const { response } = mapped[chunk.part - 1];
+      const text = response.length > share ? `${response.slice(0, share)}\n[... truncated]` : response;
+      return `--- ANALYSIS OF PART ${chunk.part}: ${chunk.label} ---\n${text}`;
+    })
+    .join("\n\n");
+  const gaps =
+    failed.length > 0
+      ? `\nThese parts could not be analyzed: ${failed.map((f) => `${f.part} (${f.label})`).join(", ")}. Say which conclusions may be incomplete because of that.`
+      : "";
+
+  const reduced = await runProvider(adapter, {
+    ...request,
+    prompt: fill(REDUCE_PROMPT, { task: instructions, total: String(chunks.length), gaps, analyses }),
+  });
+
+  if (request.signal?.aborted) return cancelled([...mapped, reduced]);
+
+  const result = { ...reduced, ...totals([...mapped, reduced]), ...(redactions.length > 0 && { redactions }) };
+  if (failed.length > 0) {
+    const notice = `Not analyzed: part ${failed.map((f) => `${f.part} (${f.label}, ${f.errorType})`).join(", part ")}.`;
+    result.warning = result.warning ? `${result.warning} ${notice}` : notice;
+  }
+  return result;
+}
+
+/**
+ * Zod shape for the `mapReduce` field of gemini_analyze results.
+ */
+export function mapReduceShape(z) {
+  return z
+    .object({
+      estimatedTokens: z.number().describe("Estimated size of the whole input (~4 chars per token)"),
+      calls: z.number().describe("Provider calls: one per part, plus the reduce pass if it ran"),
+      chunks: z
+        .array(
+          z.object({
+            part: z.number(),
+            label: z.string().describe("Files in the part, or a character range"),
+            estimatedTokens: z.number(),
+            errorType: z.string().nullable().describe("Why the part could not be analyzed, null if it was"),
+            elapsed: z.number(),
+          })
+        )
+        .describe("One entry per part of the map pass"),
+    })
+    .optional()
+    .describe("Present when the input was analyzed in parts (map-reduce)");
+}
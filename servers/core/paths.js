@@ -0,0 +1,114 @@
+/**
+ * Working-directory allowlist. A tool's `cwd` becomes the CLI's working
+ * directory (Codex reads whatever directory it runs in, even with the
+ * read-only sandbox) and the base for the files a tool reads or writes, so
+ * a caller could otherwise point the providers at any directory on disk.
+ *
+ * Project roots come from `allowedRoots` in concilium.config.json, else
+ * CONCILIUM_ALLOWED_ROOTS (separated by `:`, `;` on Windows). checkCwd()
+ * resolves `cwd` to its real path, so a symlink can't lead out of a root,
+ * and fails with CWD_NOT_ALLOWED when it doesn't exist, isn't a directory
+ * or lies outside every root. With an allowlist, CLI calls without a `cwd`
+ * run in an empty temporary directory rather than wherever the server was
+ * started; without one they run in the server's working directory and any
+ * existing directory is allowed.
+ *
+ * Paths given relative to a checked cwd (attachments, report files) go
+ * through resolveInside(), which follows symlinks the same way.
+ */
+
+import { mkdtemp, realpath, stat } from "fs/promises";
+import { homedir, tmpdir } from "os";
+import { basename, delimiter, dirname, isAbsolute, join, relative, resolve, sep } from "path";
+
+let configuredRoots = null;
+let neutralDir = null;
+
+function expandHome(path) {
+  return path === "~" || path.startsWith("~/") ? join(homedir(), path.slice(1)) : path;
+}
+
+/**
+ * Set the allowlist from the config file's `allowedRoots` (called at server
+ * startup); it takes precedence over CONCILIUM_ALLOWED_ROOTS.
+ */
+export function setAllowedRoots(roots) {
+  configuredRoots = roots?.length > 0 ? roots.map(expandHome) : null;
+}
+
+/**
+ * The configured project roots as given, or null when any directory is allowed.
+ */
+export function allowedRoots() {
+  if (configuredRoots) return configuredRoots;
+  const fromEnv = (process.env.CONCILIUM_ALLOWED_ROOTS || "").split(delimiter).filter(Boolean).map(expandHome);
+  return fromEnv.length > 0 ? fromEnv : null;
+}
+
+/**
+ * Real path of `path`, or of its nearest existing ancestor with the rest
+ * appended when it doesn't exist yet.
+ */
+async function canonical(path) {
+  const full = resolve(path);
+  try {
+    return await realpath(full);
+  } catch (err) {
+    if (err.code !== "ENOENT" || dirname(full) === full) throw err;
+    return join(await canonical(dirname(full)), basename(full));
+  }
+}
+
+function isInside(root, path) {
+  const rel = relative(root, path);
+  return !isAbsolute(rel) && rel.split(sep)[0] !== "..";
+}
+
+const notAllowed = (message) => ({ error: { errorType: "CWD_NOT_ALLOWED", message } });
+
+/**
+ * Check a tool's `cwd` against the allowlist. Resolves { cwd } with the
+ * real path, or { error } with errorType CWD_NOT_ALLOWED. Without a cwd
+ * it resolves undefined (the server's working directory) when there is no
+ * allowlist, else an empty directory created once per process; callers
+ * that read the server's own directory pass process.cwd() instead.
+ */
+export async function checkCwd(cwd) {
+  const roots = allowedRoots();
+  if (cwd === undefined) {
+    if (!roots) return { cwd };
+    neutralDir ??= mkdtemp(join(tmpdir(), "concilium-cwd-")).then(realpath);
+    return { cwd: await neutralDir };
+  }
+
+  const given = cwd;
+  let real;
+  try {
+    real = await realpath(resolve(given));
+  } catch {
+    return notAllowed(`cwd does not exist: ${given}`);
+  }
+  if (!(await stat(real)).isDirectory()) {
+    return notAllowed(`cwd is not a directory: ${given}`);
+  }
+  if (!roots) return { cwd: real };
+
+  const realRoots = await Promise.all(roots.map((root) => realpath(resolve(root)).catch(() => null)));
+  if (realRoots.some((root) => root && isInside(root, real))) return { cwd: real };
+
+  const shown = real === resolve(given) ? given : `${given} (resolves to ${real})`;
+  return notAllowed(
+    `cwd ${shown} is outside the allowed project roots (${roots.join(", ")}). Add its project to allowedRoots in the config file or CONCILIUM_ALLOWED_ROOTS.`
+  );
+}
+
+/**
+ * Resolve `path` relative to a checked `root` (a real path from checkCwd),
+ * following symlinks. Resolves the real path, or null when it leads outside
+ * `root` (or can't be resolved, e.g. a symlink loop). Paths that don't
+ * exist yet are resolved through their parent.
+ */
+export async function resolveInside(root, path) {
+  const real = await canonical(resolve(root, path)).catch(() => null);
+  return real && isInside(root, real) ? real : null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Child process handling shared by every CLI-backed provider.
+ *
+ * One place for the spawn → timeout → SIGTERM/SIGKILL → MAX_BUFFER logic
+ * that used to be copy-pasted into each server.
+ */
+
+import { spawn } from "child_process";
+
+export const MAX_BUFFER = 10 * 1024 * 1024; // default 10MB stdout/stderr limit
+const KILL_GRACE_MS = 5000;
+const CANCELLED = "cancelled by the client";
+
+// Live children: kill(reason) and a promise that settles when each has exited
+const children = new Set();
+
+/**
+ * Run a command with timeout and proper SIGTERM/SIGKILL cleanup.
+ * Never goes through a shell: args are passed as-is, prompts via stdin or argv.
+ *
+ * Resolves { stdout, stderr, exitCode }; rejects on spawn errors, timeout
+ * or output over `maxBuffer` (default MAX_BUFFER; the error carries the
+ * partial stdout/stderr).
+ * `onOutput(stream, chunk)` sees output as it arrives ("stdout" / "stderr").
+ * Aborting `signal` (the MCP request's cancellation) kills the child the same
+ * way a timeout does; the rejection then has `cancelled: true`.
+ */
+export function runProcess(command, args, options = {}) {
+  const { timeoutMs = 90000, stdin: stdinData, cwd, env, label = command, onOutput, signal, maxBuffer = MAX_BUFFER } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(Object.assign(new Error(`${label} cancelled before start`), { cancelled: true, stdout: "", stderr: "" }));
+      return;
+    }
+
+    const proc = spawn(command, args, {
+      cwd: cwd || process.cwd(),
+      stdio: ["pipe", "pipe", "pipe"],
+      env: { ...process.env, ...env },
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let killReason = null;
+    let killTimer;
+
+    function kill(reason) {
+      if (killReason) return;
+      killReason = reason;
+      proc.kill("SIGTERM");
+      killTimer = setTimeout(() => {
+        try { if (proc.exitCode === null && proc.signalCode === null) proc.kill("SIGKILL"); } catch {}
+      }, KILL_GRACE_MS);
+    }
+
+    const timer = setTimeout(() => kill(`killed after ${timeoutMs / 1000}s timeout`), timeoutMs);
+
+    const onAbort = () => kill(CANCELLED);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let closed;
+    const child = { kill, closed: new Promise((settle) => (closed = settle)) };
+    children.add(child);
+
+    function done() {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", onAbort);
+      children.delete(child);
+      closed();
+    }
+
+    proc.stdout.setEncoding("utf8");
+    proc.stderr.setEncoding("utf8");
+
+    proc.stdout.on("data", (data) => {
+      stdout += data;
+      onOutput?.("stdout", data);
+      if (stdout.length > maxBuffer) kill(`killed: output exceeded ${maxBuffer / 1024 / 1024}MB`);
+    });
+
+    proc.stderr.on("data", (data) => {
+      stderr += data;
+      onOutput?.("stderr", data);
+      if (stderr.length > maxBuffer) kill(`killed: output exceeded ${maxBuffer / 1024 / 1024}MB`);
+    });
+
+    // A CLI that exits before reading stdin would otherwise crash us with EPIPE
+    proc.stdin.on("error", () => {});
+    if (stdinData) {
+      proc.stdin.write(stdinData);
+    }
+    proc.stdin.end();
+
+    proc.on("close", (exitCode) => {
+      done();
+      if (killReason) {
+        const error = new Error(`${label} ${killReason}. Partial output: ${(stdout + stderr).slice(-200)}`);
+        Object.assign(error, { stdout, stderr, cancelled: killReason === CANCELLED });
+        reject(error);
+      } else {
+        resolve({ stdout, stderr, exitCode });
+      }
+    });
+
+    proc.on("error", (err) => {
+      done();
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Kill every live child (SIGTERM, SIGKILL after the grace period) and wait
+ * for them to exit. Called on server shutdown so no CLI is left orphaned.
+ * Resolves the number of children that were running.
+ */
+export async function reapChildren(reason = "killed: server shutting down") {
+  const live = [...children];
+  for (const child of live) child.kill(reason);
+  await Promise.all(live.map((child) => child.closed));
+  return live.length;
+}
@@ -0,0 +1,90 @@
+/**
+ * Progress reporting for long-running CLI calls.
+ *
+ * runProvider reports { label, elapsed, bytes, text? } updates while the CLI
+ * runs: a heartbeat every CONCILIUM_PROGRESS_INTERVAL seconds (default 5),
+ * plus partial answer text as it arrives for adapters that can stream
+ * (`parseStream`). progressNotifier turns those updates into MCP
+ * `notifications/progress` for clients that sent a progressToken.
+ */
+
+function intervalMs() {
+  const value = Number(process.env.CONCILIUM_PROGRESS_INTERVAL);
+  return (Number.isFinite(value) && value > 0 ? value : 5) * 1000;
+}
+
+/**
+ * Watch one CLI run. Returns { onOutput, stop }: feed every stdout/stderr
+ * chunk to onOutput, call stop when the process is done.
+ * `parseStream(line)` pulls partial answer text out of one stdout line.
+ */
+export function trackProgress(onProgress, { label, parseStream } = {}) {
+  const startTime = Date.now();
+  let bytes = 0;
+  let pending = "";
+
+  function emit(text) {
+    const update = { label, elapsed: (Date.now() - startTime) / 1000, bytes };
+    if (text) update.text = text;
+    try {
+      onProgress(update);
+    } catch {}
+  }
+
+  const timer = setInterval(() => emit(), intervalMs());
+  timer.unref();
+
+  return {
+    onOutput(stream, chunk) {
+      bytes += Buffer.byteLength(chunk);
+      if (stream !== "stdout" || !parseStream) return;
+
+      const lines = (pending + chunk).split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const text = parseStream(line);
+        if (text) emit(text);
+      }
+    },
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * onProgress callback that sends MCP progress notifications for a tool call,
+ * or undefined when the client did not ask for progress (no progressToken).
+ *
+ * `progress` is seconds since the tool call started (strictly increasing, as
+ * the spec requires); `total` is the timeout in seconds when there is one.
+ * `message` is the partial answer text, or a "Gemini: 12s, 3.4 KB received"
+ * heartbeat. Set `labelText` when several providers share one progress
+ * stream, so partial text is prefixed with the provider label.
+ */
+export function progressNotifier(extra, { total, labelText = false } = {}) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+
+  const startTime = Date.now();
+  let last = 0;
+
+  return ({ label, elapsed, bytes, text }) => {
+    const progress = Math.max((Date.now() - startTime) / 1000, last + 0.001);
+    last = progress;
+
+    const message = text
+      ? (labelText ? `${label}: ${text}` : text)
+      : `${label}: ${Math.round(elapsed)}s, ${formatBytes(bytes)} received`;
+    extra
+      .sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, ...(total && { total }), message },
+      })
+      .catch(() => {});
+  };
+}
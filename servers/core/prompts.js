@@ -0,0 +1,168 @@
+/**
+ * MCP prompt templates for the Concilium protocols, so hosts get the
+ * skill's prompts from the servers instead of copying them around.
+ *
+ * Each template has two forms, as in the skill:
+ *   - short: a brief description for Codex (openai_chat), which reads the
+ *     files from its working directory itself
+ *   - full: the whole diff or context inline, for Gemini, Qwen and
+ *     DeepSeek, which only see what is in the prompt
+ *
+ * Every server registers all templates with its provider's form as the
+ * default; the `form` argument overrides it.
+ */
+
+export const PROMPT_FORMS = ["short", "full"];
+
+export const CODE_REVIEW_SHORT = `Code review: {problem}.{changes}{context} Check: 1) fix correct? 2) new issues? 3) edge cases?{focus}`;
+
+export const CODE_REVIEW_FULL = `Senior code reviewer. Review this change for: {problem}
+{diff}{context}
+Check:
+1. Does the fix solve the problem?
+2. New issues introduced?
+3. Edge cases missed?
+4. Race conditions?
+5. Error handling completeness?{focus}
+
+Verdict: APPROVE or REQUEST_CHANGES with specific feedback.`;
+
+export const BUG_TRIAGE_SHORT = `Bug: {problem}.{context} What could cause this? List the top 3 hypotheses, most likely first, each with how to confirm it.{focus}`;
+
+export const BUG_TRIAGE_FULL = `Debug this problem: {problem}
+{diff}{context}
+Trace the code path that leads to the failure and explain what is wrong. Then:
+1. Root cause, with the lines responsible
+2. A minimal fix
+3. How to verify the fix, and what else the same cause could break{focus}`;
+
+export const ARCHITECTURE_SHORT = `Architecture decision: {problem}.{options}{context} What are the tradeoffs? Recommend one approach and say why.{focus}`;
+
+export const ARCHITECTURE_FULL = `Design a solution for: {problem}
+{options}{context}
+Cover:
+1. The approach you recommend and the alternatives you rejected, with tradeoffs
+2. Failure modes and how the design handles them
+3. Migration or rollout concerns
+4. What would make you change the recommendation{focus}
+
+End with a line "RECOMMENDATION: <approach in one sentence>".`;
+
+export const FINAL_PLAN_SHORT = `Final plan for {problem}: {plan}.{context} Any concerns or gaps?{focus}`;
+
+export const FINAL_PLAN_FULL = `Validate this final plan for: {problem}
+
+Plan:
+{plan}
+{context}
+Check each step for correctness, missing steps, wrong order and risks. List concrete concerns, or say the plan is complete.{focus}
+
+Verdict: APPROVE or REQUEST_CHANGES with specific feedback.`;
+
+// Inline values end their own sentence in the short forms
+function clause(text) {
+  return text.trim().replace(/\.$/, "");
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? "");
+}
+
+/**
+ * Optional sections, shaped for the form: inline sentences for short
+ * prompts, blocks for full ones.
+ */
+function sections(form, { diff, context, focus, changes, options }) {
+  const short = form === "short";
+  return {
+    diff: diff ? `\nDiff:\n\n${diff}\n` : "",
+    context: context ? (short ? ` Context: ${clause(context)}.` : `\nContext:\n${context}\n`) : "",
+    changes: changes ? ` Changed: ${clause(changes)}.` : "",
+    options: options ? (short ? ` Options: ${clause(options)}.` : `\nOptions considered:\n${options}\n`) : "",
+    focus: focus ? (short ? ` Focus on: ${clause(focus)}.` : `\n\nFocus especially on: ${clause(focus)}.`) : "",
+  };
+}
+
+/**
+ * Build a prompt from a template pair. Short forms leave the diff out:
+ * Codex reads the changed files from its working directory.
+ */
+export function renderPrompt(templates, form, args) {
+  const values = { ...args, ...sections(form, args), problem: args.problem && clause(args.problem) };
+  if (form === "short") values.diff = "";
+  return fill(templates[form], values).trim();
+}
+
+const TEMPLATES = {
+  code_review: {
+    title: "Code review",
+    description: "Review a change: does it fix the problem, what does it break, which edge cases are missed",
+    templates: { short: CODE_REVIEW_SHORT, full: CODE_REVIEW_FULL },
+    args: (z) => ({
+      problem: z.string().describe("What the change fixes or does, e.g. 'Fixed the token refresh race in auth.js'"),
+      diff: z.string().optional().describe("The diff (full form only; the short form lets Codex read the files)"),
+      changes: z.string().optional().describe("One-line summary of what changed (short form)"),
+      context: z.string().optional().describe("Background the reviewer needs"),
+      focus: z.string().optional().describe("Focus areas, comma-separated (e.g. 'concurrency, error handling')"),
+    }),
+  },
+  bug_triage: {
+    title: "Bug triage",
+    description: "Find the likely causes of a bug from its symptoms, logs and code",
+    templates: { short: BUG_TRIAGE_SHORT, full: BUG_TRIAGE_FULL },
+    args: (z) => ({
+      problem: z.string().describe("The symptom: error message, failing test, wrong behavior"),
+      context: z.string().optional().describe("Logs, stack trace, relevant code, what was already tried"),
+      diff: z.string().optional().describe("A recent change suspected of causing it (full form only)"),
+      focus: z.string().optional().describe("Focus areas, comma-separated"),
+    }),
+  },
+  architecture_decision: {
+    title: "Architecture decision",
+    description: "Weigh design options for a problem and get a recommendation with tradeoffs",
+    templates: { short: ARCHITECTURE_SHORT, full: ARCHITECTURE_FULL },
+    args: (z) => ({
+      problem: z.string().describe("The decision to make"),
+      options: z.string().optional().describe("The approaches being considered"),
+      context: z.string().optional().describe("Constraints: scale, team, existing stack, deadlines"),
+      focus: z.string().optional().describe("Focus areas, comma-separated (e.g. 'operability, cost')"),
+    }),
+  },
+  final_plan: {
+    title: "Final plan validation",
+    description: "Last check of an agreed plan before acting on it (the skill's Iteration 3)",
+    templates: { short: FINAL_PLAN_SHORT, full: FINAL_PLAN_FULL },
+    args: (z) => ({
+      problem: z.string().describe("The problem the plan solves"),
+      plan: z.string().describe("The plan, e.g. '1) ... 2) ... 3) ...'"),
+      context: z.string().optional().describe("Findings from the earlier iterations"),
+      focus: z.string().optional().describe("Focus areas, comma-separated"),
+    }),
+  },
+};
+
+/**
+ * The Concilium prompts for a server: [{ name, config, callback }] to pass
+ * to mcpServer.registerPrompt(). `form` is the server's default form; the
+ * label names the provider in descriptions.
+ */
+export function conciliumPrompts(z, { form, label }) {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    config: {
+      title: template.title,
+      description: `${template.description}. Default form for ${label}: ${form}.`,
+      argsSchema: {
+        ...template.args(z),
+        form: z
+          .enum(PROMPT_FORMS)
+          .optional()
+          .describe(`short (brief, Codex reads the files) or full (diff and context inline); default ${form}`),
+      },
+    },
+    callback: ({ form: requested = form, ...args }) => ({
+      description: `${template.title} (${requested} form)`,
+      messages: [{ role: "user", content: { type: "text", text: renderPrompt(template.templates, requested, args) } }],
+    }),
+  }));
+}
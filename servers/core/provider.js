@@ -0,0 +1,311 @@
+/**
+ * Provider adapter interface and the generic runner built on it.
+ *
+ * A provider is a plain object describing how to drive its CLI; runProvider
+ * does the spawning, error classification and result shaping for all of them.
+ * HTTP providers (OpenAI-compatible APIs) give `send` instead of a command
+ * and go through the same breaker, budget, usage and cancellation handling.
+ *
+ * @typedef {object} ProviderRequest
+ * @property {string} [prompt]      Prompt text
+ * @property {string} [model]       Model override
+ * @property {number} [timeoutMs]   Process timeout
+ * @property {string} [cwd]         Working directory for the CLI
+ * @property {AbortSignal} [signal] Cancels the call and kills the CLI (MCP request cancellation)
+ * @property {string} [tool]        MCP tool making the call; tagged calls go to the transcript log
+ * @property {(update: ProgressUpdate) => void} [onProgress]
+ *           Called periodically while the CLI runs, and with partial answer
+ *           text for adapters that stream (see progress.js)
+ *
+ * @typedef {object} ProgressUpdate
+ * @property {string} label         Provider label
+ * @property {number} elapsed       Seconds since the CLI was spawned
+ * @property {number} bytes         Output received so far
+ * @property {string} [text]        Partial answer text, when streaming
+ *
+ * @typedef {object} ProviderError
+ * @property {string} errorType     Machine-readable type (QUOTA_EXCEEDED, AUTH_EXPIRED, ...)
+ * @property {string} message       Human-readable message with the next step
+ * @property {string} [resetAt]     ISO time the quota resets, if the provider says
+ * @property {boolean} [transient]  Worth retrying; decided by retry.js when unset
+ *
+ * @typedef {object} ProviderAdapter
+ * @property {string} name          Short id ("openai", "gemini", "qwen")
+ * @property {string} label         Name used in messages ("Codex", "Gemini", "Qwen")
+ * @property {string} [command]     CLI binary to spawn (CLI adapters)
+ * @property {(req: ProviderRequest, opts: {signal: AbortSignal}) => Promise<HttpReply>} [send]
+ *           Make the HTTP request instead of spawning a CLI (HTTP adapters);
+ *           rejects on network errors and when `signal` aborts
+ * @property {string} [defaultModel] Model the CLI uses when none is requested
+ * @property {number} [maxBuffer]   stdout/stderr limit in bytes (default MAX_BUFFER, see process.js)
+ * @property {(req: ProviderRequest, ctx: object) => string[]} [buildArgs]
+ *           CLI arguments; may stash per-call state (temp files) on ctx.
+ *           ctx.stream is set when the caller wants progress and the adapter
+ *           has parseStream: switch the CLI to its streaming output format.
+ *           ctx.env is the environment the CLI runs with and ctx.extraArgs
+ *           the configured args that will precede the adapter's own
+ * @property {string[]} [extraArgs] Args from the config file (set by toolConfig)
+ * @property {(line: string) => (string|undefined)} [parseStream]
+ *           Partial answer text from one line of streaming stdout
+ * @property {(req: ProviderRequest) => (string|undefined)} [stdin]
+ *           Data to feed on stdin, if any
+ * @property {(req: ProviderRequest) => object} [env]
+ *           Extra environment variables for the CLI
+ * @property {(out: {stdout: string, stderr: string, exitCode: number}, req: ProviderRequest, ctx: object) => (string|Promise<string>)} extractResponse
+ *           Pull the answer out of the CLI output ("" means no answer);
+ *           HTTP adapters get the HttpReply instead
+ * @property {(run: {stdout: string, stderr: string, exitCode: (number|null), response: string}, req: ProviderRequest) => (ProviderError|null)} classifyError
+ *           Map a finished run to a known error, or null (see errors.js);
+ *           HTTP adapters get the HttpReply plus `response`
+ * @property {(ctx: object) => Promise<void>} [cleanup]
+ *           Release per-call state; always called
+ * @property {number} [maxConcurrency] Calls allowed to run at once (0 = unlimited, see limiter.js)
+ * @property {number} [queueTimeout] Seconds a call may wait for a free slot
+ * @property {number} [retries]     Extra attempts after a transient failure (see retry.js)
+ *
+ * @typedef {object} HttpReply
+ * @property {number} status        HTTP status
+ * @property {string} body          Response body
+ * @property {Headers} headers      Response headers
+ * @property {string} model         Model the request asked for
+ */
+
+import { runProcess } from "./process.js";
+import { openBreaker, tripBreaker } from "./breaker.js";
+import { checkBudget, recordUsage } from "./usage.js";
+import { trackProgress } from "./progress.js";
+import { acquireSlot } from "./limiter.js";
+import { retryPolicy, isTransient, backoffDelay, sleep } from "./retry.js";
+import { recordTranscript } from "./transcripts.js";
+import { redactRequest } from "./redact.js";
+import { checkCwd } from "./paths.js";
+
+const DEFAULT_TIMEOUT_MS = 90000;
+
+/**
+ * Run one request through a provider adapter.
+ *
+ * Never rejects. Resolves { response, stdout, stderr, exitCode, elapsed }
+ * on success and { error, stdout, stderr, exitCode, elapsed } on failure,
+ * both tagged with `provider`, `model`, `queued` (seconds waited for a slot)
+ * and `attempts` (CLI runs or HTTP requests made),
+ * where `error` is a ProviderError (TIMEOUT / CANCELLED / CLI_ERROR /
+ * NO_RESPONSE when the adapter doesn't recognize the failure,
+ * CONNECTION_ERROR when an HTTP provider can't be reached). For HTTP
+ * providers `stdout` is the response body and `exitCode` is null.
+ *
+ * QUOTA_EXCEEDED opens the provider's circuit breaker; while it is open the
+ * CLI is not spawned and the call fails fast with the same error type.
+ * Calls that run are recorded in the usage ledger and checked against the
+ * daily budget (BUDGET_EXCEEDED, or a `warning` on the result near the limit).
+ * Beyond the provider's concurrency limit calls wait in a FIFO queue and
+ * fail with QUEUE_TIMEOUT (not counted as usage) if no slot frees up.
+ * Transient failures are retried with backoff while `request.timeoutMs`,
+ * which covers all attempts, leaves room (see retry.js); `elapsed` is then
+ * the total time. Calls with `request.tool` that reached the provider are
+ * appended to the transcript log when it is enabled (see transcripts.js).
+ * With `request.onProgress`, progress is reported while the CLI runs.
+ * A CLI's working directory must pass the cwd allowlist (CWD_NOT_ALLOWED,
+ * see paths.js) and is passed on as its real path.
+ */
+export async function runProvider(adapter, request = {}) {
+  const tags = { provider: adapter.name, model: request.model || adapter.defaultModel || null };
+
+  if (!adapter.send) {
+    const checked = await checkCwd(request.cwd);
+    if (checked.error) {
+      return { ...tags, error: checked.error, stdout: "", stderr: "", exitCode: null, elapsed: "0.0" };
+    }
+    request = { ...request, cwd: checked.cwd };
+  }
+
+  const redaction = redactRequest(request, adapter.label);
+  if (redaction.redactions.length > 0) tags.redactions = redaction.redactions;
+  if (redaction.error) {
+    return { ...tags, error: redaction.error, stdout: "", stderr: "", exitCode: null, elapsed: "0.0" };
+  }
+  request = redaction.request;
+
+  const open = await openBreaker(adapter.name);
+  if (open) {
+    return {
+      ...tags,
+      error: {
+        errorType: "QUOTA_EXCEEDED",
+        message: `${adapter.label} quota circuit open until ${open.openUntil} — not calling the CLI. Last error: ${open.message}`,
+        resetAt: open.openUntil,
+      },
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      elapsed: "0.0",
+    };
+  }
+
+  const budget = await checkBudget(adapter.name);
+  if (budget.error) {
+    return { ...tags, error: budget.error, stdout: "", stderr: "", exitCode: null, elapsed: "0.0" };
+  }
+
+  const slot = await acquireSlot(adapter, { signal: request.signal });
+  tags.queued = slot.queued;
+  if (slot.error) {
+    return { ...tags, error: slot.error, stdout: "", stderr: "", exitCode: null, elapsed: "0.0" };
+  }
+
+  const { retries, delayMs } = retryPolicy(adapter);
+  const startTime = Date.now();
+  const deadline = startTime + (request.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  let result;
+  let attempts = 0;
+  try {
+    for (;;) {
+      const attemptStart = Date.now();
+      attempts++;
+      result = await (adapter.send ? executeHttp : execute)(adapter, { ...request, timeoutMs: deadline - attemptStart });
+      await recordUsage(adapter.name, {
+        model: tags.model,
+        promptChars: (request.prompt ?? request.instructions ?? "").length,
+        elapsed: result.elapsed,
+        isError: !!result.error,
+      });
+
+      if (!result.error || attempts > retries || !isTransient(result.error, result, request)) break;
+      // Only retry if another attempt as long as this one still fits in the timeout
+      const delay = backoffDelay(attempts, delayMs);
+      if (Date.now() + delay + (Date.now() - attemptStart) > deadline) break;
+      if (!(await sleep(delay, request.signal))) {
+        result = {
+          ...result,
+          error: { errorType: "CANCELLED", message: `${adapter.label} error: cancelled by the client while waiting to retry` },
+        };
+        break;
+      }
+    }
+  } finally {
+    slot.release();
+  }
+
+  result = { ...tags, ...result, attempts, elapsed: ((Date.now() - startTime) / 1000).toFixed(1) };
+  if (attempts > 1 && result.error && result.error.errorType !== "CANCELLED") {
+    result.error = { ...result.error, message: `${result.error.message} (failed ${attempts} attempts)` };
+  }
+  if (budget.warning) {
+    result.warning = budget.warning;
+  }
+
+  if (result.error?.errorType === "QUOTA_EXCEEDED") {
+    await tripBreaker(adapter.name, result.error);
+  }
+  if (request.tool) {
+    await recordTranscript(request, result);
+  }
+  return result;
+}
+
+/**
+ * Spawn the CLI once and classify the outcome (runProvider minus the breaker).
+ */
+async function execute(adapter, request) {
+  const env = adapter.env?.(request);
+  const ctx = {
+    stream: !!(request.onProgress && adapter.parseStream),
+    env: { ...process.env, ...env },
+    extraArgs: adapter.extraArgs ?? [],
+  };
+  const startTime = Date.now();
+  const elapsed = () => ((Date.now() - startTime) / 1000).toFixed(1);
+  const progress = request.onProgress
+    ? trackProgress(request.onProgress, { label: adapter.label, parseStream: ctx.stream ? adapter.parseStream : null })
+    : null;
+
+  try {
+    const { stdout, stderr, exitCode } = await runProcess(adapter.command, adapter.buildArgs(request, ctx), {
+      timeoutMs: request.timeoutMs,
+      stdin: adapter.stdin?.(request),
+      cwd: request.cwd,
+      env,
+      label: adapter.label,
+      onOutput: progress?.onOutput,
+      signal: request.signal,
+      maxBuffer: adapter.maxBuffer,
+    });
+
+    const response = await adapter.extractResponse({ stdout, stderr, exitCode }, request, ctx);
+
+    const error = adapter.classifyError({ stdout, stderr, exitCode, response }, request);
+    if (error) {
+      return { error, stdout, stderr, exitCode, elapsed: elapsed() };
+    }
+
+    if (!response) {
+      return {
+        error: {
+          errorType: "NO_RESPONSE",
+          message: `No response from ${adapter.label}. Exit: ${exitCode}. Output: ${(stdout + stderr).slice(-300)}`,
+        },
+        stdout,
+        stderr,
+        exitCode,
+        elapsed: elapsed(),
+      };
+    }
+
+    return { response, stdout, stderr, exitCode, elapsed: elapsed() };
+  } catch (err) {
+    // Killed or failed to spawn: classify whatever the CLI printed before that,
+    // unless the client cancelled the call
+    const stdout = err.stdout || "";
+    const stderr = err.stderr || "";
+    const known = err.cancelled ? null : adapter.classifyError({ stdout, stderr, exitCode: null, response: "" }, request);
+    const error = known || {
+      errorType: err.cancelled ? "CANCELLED" : /killed after \S+ timeout/.test(err.message) ? "TIMEOUT" : "CLI_ERROR",
+      message: `${adapter.label} error: ${err.message}`,
+    };
+    return { error, stdout, stderr, exitCode: null, elapsed: elapsed() };
+  } finally {
+    progress?.stop();
+    await adapter.cleanup?.(ctx);
+  }
+}
+
+/**
+ * Make one HTTP request and classify the reply (execute() for HTTP adapters).
+ */
+async function executeHttp(adapter, request) {
+  const startTime = Date.now();
+  const elapsed = () => ((Date.now() - startTime) / 1000).toFixed(1);
+  const progress = request.onProgress ? trackProgress(request.onProgress, { label: adapter.label }) : null;
+  const timeoutMs = request.timeoutMs ?? 90000;
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const signal = request.signal ? AbortSignal.any([timeout, request.signal]) : timeout;
+
+  try {
+    const reply = await adapter.send(request, { signal });
+    const response = adapter.extractResponse(reply, request);
+    const error = adapter.classifyError({ ...reply, response });
+    const out = { stdout: reply.body, stderr: "", exitCode: null, elapsed: elapsed() };
+
+    if (error) {
+      return { error, ...out };
+    }
+    if (!response) {
+      return {
+        error: { errorType: "NO_RESPONSE", message: `No response from ${adapter.label}. HTTP ${reply.status}. Body: ${reply.body.slice(-300)}` },
+        ...out,
+      };
+    }
+    return { response, ...out };
+  } catch (err) {
+    const cause = err.cause?.code || err.cause?.message;
+    const errorType = request.signal?.aborted ? "CANCELLED" : timeout.aborted ? "TIMEOUT" : "CONNECTION_ERROR";
+    const message = {
+      CANCELLED: `${adapter.label} error: cancelled by the client`,
+      TIMEOUT: `${adapter.label} error: no reply after ${timeoutMs / 1000}s timeout`,
+      CONNECTION_ERROR: `${adapter.label} error: ${err.message}${cause ? ` (${cause})` : ""}`,
+    }[errorType];
+    return { error: { errorType, message }, stdout: "", stderr: "", exitCode: null, elapsed: elapsed() };
+  } finally {
+    progress?.stop();
+  }
+}
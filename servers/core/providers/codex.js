@@ -0,0 +1,248 @@
+/**
+ * OpenAI Codex CLI adapters: `codex exec` for chat, `codex review` for reviews.
+ * Both run with CODEX_HOME pointing at a minimal config (no MCP servers = fast startup).
+ */
+
+import { readFile, unlink } from "fs/promises";
+import { tmpdir, homedir } from "os";
+import { join } from "path";
+import { randomBytes } from "crypto";
+import { classifyRun } from "../errors.js";
+import { pathExists } from "../health.js";
+
+export const CODEX_HOME = process.env.CODEX_HOME || join(homedir(), ".codex-minimal");
+
+function tempFile(prefix) {
+  return join(tmpdir(), `${prefix}-${randomBytes(4).toString("hex")}.txt`);
+}
+
+/**
+ * Parse the "try again at <date>" reset time from a Codex usage-limit message.
+ * Handles full dates ("Oct 21st, 2026 9:00 AM") and bare times ("3:45 PM",
+ * taken as the next occurrence). Returns an ISO string or null.
+ */
+export function parseResetAt(output, now = new Date()) {
+  const match = output.match(/try again at (.+?)(?:\.(?:\s|$)|\n|$)/i);
+  if (!match) return null;
+
+  const text = match[1].trim().replace(/(\d+)(st|nd|rd|th)\b/gi, "$1");
+  const date = new Date(text);
+  if (!Number.isNaN(date.getTime())) {
+    return date.toISOString();
+  }
+
+  const time = text.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/i);
+  if (time) {
+    const meridiem = time[3]?.toLowerCase();
+    let hours = Number(time[1]);
+    if (meridiem) hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+    const reset = new Date(now);
+    reset.setHours(hours, Number(time[2]), 0, 0);
+    if (reset <= now) reset.setDate(reset.getDate() + 1);
+    return reset.toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Error rules, first match wins (see core/errors.js).
+ * Codex exits non-zero on usage limits and auth failures, and echoes the
+ * prompt to stderr, so every rule here only applies to failed runs and
+ * matches stderr with the prompt taken out.
+ */
+const RULES = [
+  {
+    errorType: "QUOTA_EXCEEDED",
+    output: /usage limit/i,
+    message: ({ stdout, stderr }) => {
+      const match = (stdout + stderr).match(/try again at (.+?)[\.\n]/i);
+      const resetDate = match ? match[1] : "unknown";
+      return `Codex usage limit reached. Credits reset at: ${resetDate}. Use a fallback provider.`;
+    },
+    details: ({ stdout, stderr }) => ({ resetAt: parseResetAt(stdout + stderr) }),
+  },
+  {
+    errorType: "MODEL_NOT_SUPPORTED",
+    output: /not supported when using codex with a chatgpt account/i,
+    message: "This model is not available with ChatGPT Plus. Use the default model.",
+  },
+  {
+    errorType: "AUTH_EXPIRED",
+    output: [/auth/i, /expired|login/i],
+    message: "Codex auth token expired. Run 'codex login' to re-authenticate.",
+  },
+];
+
+/**
+ * Extract the actual response from codex exec output.
+ * Prefers the -o file output (clean last message), falls back to stdout parsing.
+ */
+export function extractExecResponse(stdout, outputFileContent) {
+  if (outputFileContent && outputFileContent.trim()) {
+    return outputFileContent.trim();
+  }
+
+  const lines = stdout.split("\n");
+  let inResponse = false;
+  let response = [];
+
+  for (const line of lines) {
+    if (line.trim() === "codex") {
+      inResponse = true;
+      continue;
+    }
+    if (inResponse && line.startsWith("tokens used")) {
+      break;
+    }
+    if (inResponse) {
+      response.push(line);
+    }
+  }
+
+  if (response.length > 0) {
+    return response.join("\n").trim();
+  }
+
+  return stdout.trim();
+}
+
+/**
+ * Answer text from one line of `codex exec --json` output: completed agent
+ * messages (`item.completed`), or `agent_message_delta` events from older CLIs.
+ */
+function parseExecEvent(line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch {
+    return undefined;
+  }
+  if (event?.type === "item.completed" && event.item?.type === "agent_message") {
+    return event.item.text || undefined;
+  }
+  if (event?.msg?.type === "agent_message_delta") {
+    return event.msg.delta || undefined;
+  }
+  return undefined;
+}
+
+/**
+ * CODEX_HOME holds a config and a login (auth.json, usually linked from
+ * ~/.codex), or an API key is set. Both are read from the env Codex runs
+ * with, so `providers.openai.env` in the config file is honoured.
+ */
+async function checkSetup({ env = process.env } = {}) {
+  const home = env.CODEX_HOME || CODEX_HOME;
+  if (!(await pathExists(home))) {
+    return [{ name: "CODEX_HOME", ok: false, message: `${home} does not exist. Create it as in docs/setup-openai.md.` }];
+  }
+
+  let config = "";
+  try {
+    config = await readFile(join(home, "config.toml"), "utf-8");
+  } catch {}
+  const login = await pathExists(join(home, "auth.json"));
+  const apiKey = ["OPENAI_API_KEY", "CODEX_API_KEY"].find((key) => env[key]);
+
+  return [
+    { name: "CODEX_HOME", ok: true, message: home },
+    config.trim()
+      ? {
+          name: "config",
+          ok: true,
+          message: /^\s*\[mcp_servers/m.test(config)
+            ? "config.toml defines MCP servers, so every call starts them (slow); see docs/setup-openai.md"
+            : "config.toml found",
+        }
+      : { name: "config", ok: false, message: `No config.toml in ${home}. Copy config/codex-minimal.toml.example there.` },
+    login || apiKey
+      ? { name: "auth", ok: true, message: login ? "auth.json found" : `${apiKey} set` }
+      : { name: "auth", ok: false, message: `Not logged in: no auth.json in ${home}. Run 'codex login' and link ~/.codex/auth.json there.` },
+  ];
+}
+
+const common = {
+  command: "codex",
+  env: () => ({ CODEX_HOME }),
+  classifyError: (run, request) => classifyRun(RULES, run, request),
+  checkSetup,
+};
+
+/**
+ * `codex exec` in a read-only sandbox with an ephemeral session.
+ * The clean last message is written to a temp file (-o) that is always removed.
+ * With progress requested, stdout switches to JSON events (--json) so agent
+ * messages can be forwarded as they complete.
+ */
+export const codexExec = {
+  ...common,
+  name: "openai",
+  label: "Codex",
+
+  buildArgs({ model }, ctx) {
+    ctx.outputFile = tempFile("codex-chat");
+    const args = ["exec", "--sandbox", "read-only", "--ephemeral", "-o", ctx.outputFile];
+    if (ctx.stream) {
+      args.push("--json");
+    }
+    if (model) {
+      args.push("-m", model);
+    }
+    args.push("-");
+    return args;
+  },
+
+  stdin: ({ prompt }) => prompt,
+
+  parseStream: parseExecEvent,
+
+  async extractResponse({ stdout }, req, ctx) {
+    let outputFileContent = "";
+    try {
+      outputFileContent = await readFile(ctx.outputFile, "utf-8");
+    } catch {}
+    if (ctx.stream && !outputFileContent.trim()) {
+      const messages = stdout.split("\n").map(parseExecEvent).filter(Boolean);
+      return messages.join("\n\n").trim();
+    }
+    return extractExecResponse(stdout, outputFileContent);
+  },
+
+  async cleanup(ctx) {
+    if (ctx.outputFile) {
+      try { await unlink(ctx.outputFile); } catch {}
+    }
+  },
+};
+
+/**
+ * `codex review` over uncommitted changes, a base branch or a commit.
+ * Custom instructions go in via stdin.
+ */
+export const codexReview = {
+  ...common,
+  name: "openai",
+  label: "Codex review",
+
+  buildArgs({ uncommitted, base, commit, instructions }) {
+    const args = ["review", "--ephemeral"];
+    if (uncommitted) {
+      args.push("--uncommitted");
+    }
+    if (base) {
+      args.push("--base", base);
+    }
+    if (commit) {
+      args.push("--commit", commit);
+    }
+    if (instructions) {
+      args.push("-");
+    }
+    return args;
+  },
+
+  stdin: ({ instructions }) => instructions || undefined,
+
+  extractResponse: ({ stdout, stderr }) => (stdout + stderr).trim() || "No review output",
+};
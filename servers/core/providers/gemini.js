@@ -0,0 +1,163 @@
+/**
+ * Gemini CLI adapter: `gemini -p <prompt> -o json`, Google account OAuth.
+ *
+ * JSON output gives the answer and any error as separate fields, so an
+ * answer that discusses quotas or logins can't be mistaken for an error.
+ * When the caller wants progress, `-o stream-json` is used instead: one JSON
+ * event per line, with the answer arriving as assistant `message` deltas and
+ * any error on the final `result` event.
+ */
+
+import { homedir } from "os";
+import { join } from "path";
+import { classifyRun, parseJsonError } from "../errors.js";
+import { pathExists } from "../health.js";
+
+// Linux caps a single argv string at 128KB (MAX_ARG_STRLEN). Longer prompts
+// (big diffs, gemini_analyze contexts) go on stdin, which gemini reads and
+// places before the -p text.
+const MAX_ARG_CHARS = 100000;
+const STDIN_PROMPT = "Follow the instructions in the input above.";
+
+const QUOTA_MESSAGE = "Gemini daily quota exceeded. Free tier: 1000 req/day. Try again tomorrow or use a fallback provider.";
+const AUTH_MESSAGE = "Gemini not authenticated. Run 'gemini' in terminal to login via Google account.";
+
+/**
+ * Error rules, first match wins (see core/errors.js).
+ * `error` is the `{ type, message, code }` object gemini prints in JSON mode.
+ */
+const RULES = [
+  {
+    errorType: "QUOTA_EXCEEDED",
+    structured: (error) => error.code === 429 || /quota|rate limit|resource_exhausted/i.test(`${error.type} ${error.message}`),
+    message: QUOTA_MESSAGE,
+  },
+  {
+    errorType: "AUTH_REQUIRED",
+    structured: (error) => [41, 401, 403].includes(error.code) || /auth/i.test(`${error.type} ${error.message}`),
+    message: AUTH_MESSAGE,
+  },
+  // Backend 5xx: worth a retry (see retry.js)
+  {
+    errorType: "CLI_ERROR",
+    structured: (error) => error.code >= 500 && error.code < 600,
+    message: ({ structuredError }) => `Gemini error: ${structuredError.message || structuredError.type || "unknown error"}`,
+    details: () => ({ transient: true }),
+  },
+  {
+    errorType: "CLI_ERROR",
+    structured: () => true,
+    message: ({ structuredError }) => `Gemini error: ${structuredError.message || structuredError.type || "unknown error"}`,
+  },
+  // FatalAuthenticationError exits with 41
+  {
+    errorType: "AUTH_REQUIRED",
+    exitCodes: [41],
+    message: AUTH_MESSAGE,
+  },
+  // Text fallback for failures that happen before JSON output starts
+  {
+    errorType: "QUOTA_EXCEEDED",
+    output: /quota|rate limit|resource_exhausted/i,
+    message: QUOTA_MESSAGE,
+  },
+  {
+    errorType: "AUTH_REQUIRED",
+    output: /authentication|not authenticated|login/i,
+    message: AUTH_MESSAGE,
+  },
+];
+
+function parseEvents(stdout) {
+  const events = [];
+  for (const line of stdout.split("\n")) {
+    try {
+      const event = JSON.parse(line);
+      if (event && typeof event.type === "string") events.push(event);
+    } catch {}
+  }
+  return events;
+}
+
+function assistantText(event) {
+  return event.type === "message" && event.role === "assistant" && typeof event.content === "string"
+    ? event.content
+    : undefined;
+}
+
+/**
+ * Answer text carried by one line of stream-json output, if any.
+ */
+function parseStream(line) {
+  const [event] = parseEvents(line);
+  return event ? assistantText(event) : undefined;
+}
+
+/**
+ * Error object of a failed stream-json run (the `result` event), or null.
+ */
+function streamError(stdout) {
+  const result = parseEvents(stdout).find((event) => event.type === "result");
+  return result?.status === "error" && result.error ? result.error : null;
+}
+
+/**
+ * Pull `response` out of JSON output; plain stdout if the CLI printed text.
+ * In stream mode, the assistant deltas joined together.
+ */
+function extractResponse({ stdout }, req, ctx) {
+  if (ctx?.stream) {
+    return parseEvents(stdout)
+      .map((event) => assistantText(event) ?? "")
+      .join("")
+      .trim();
+  }
+
+  const text = stdout.trim();
+  try {
+    const parsed = JSON.parse(text);
+    return typeof parsed.response === "string" ? parsed.response.trim() : "";
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Auth is an API key, Vertex AI, or the Google login cached by `gemini`.
+ */
+async function checkSetup({ env = process.env } = {}) {
+  const apiKey = ["GEMINI_API_KEY", "GOOGLE_API_KEY"].find((key) => env[key]);
+  if (apiKey) return [{ name: "auth", ok: true, message: `${apiKey} set` }];
+  if (env.GOOGLE_GENAI_USE_VERTEXAI === "true") return [{ name: "auth", ok: true, message: "Vertex AI (GOOGLE_GENAI_USE_VERTEXAI)" }];
+
+  const creds = join(homedir(), ".gemini", "oauth_creds.json");
+  return (await pathExists(creds))
+    ? [{ name: "auth", ok: true, message: `Google login cached in ${creds}` }]
+    : [{ name: "auth", ok: false, message: "Not logged in: no cached Google login. Run 'gemini' in a terminal once, or set GEMINI_API_KEY." }];
+}
+
+export const gemini = {
+  name: "gemini",
+  label: "Gemini",
+  command: "gemini",
+
+  buildArgs({ prompt, model, outputFormat = "json" }, ctx) {
+    const text = prompt.length > MAX_ARG_CHARS ? STDIN_PROMPT : prompt;
+    const args = ["-p", text, "-o", ctx?.stream ? "stream-json" : outputFormat];
+    if (model) {
+      args.push("-m", model);
+    }
+    return args;
+  },
+
+  stdin: ({ prompt }) => (prompt.length > MAX_ARG_CHARS ? prompt : undefined),
+
+  extractResponse,
+
+  parseStream,
+
+  checkSetup,
+
+  classifyError: (run, request) =>
+    classifyRun(RULES, { ...run, structuredError: parseJsonError(run.stdout, run.stderr) || streamError(run.stdout) }, request),
+};
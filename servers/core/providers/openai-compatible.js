@@ -0,0 +1,148 @@
+/**
+ * HTTP adapter for any OpenAI-compatible `/chat/completions` endpoint:
+ * DeepSeek, Ollama, LM Studio, vLLM, OpenRouter, ...
+ *
+ * Unlike the CLI adapters this is a factory, since one server can point at
+ * any endpoint: openAICompatible({ name, label, baseUrl, model, apiKeyEnv }).
+ * The API key is read from the env var named by `apiKeyEnv` on every call;
+ * local servers usually need none.
+ */
+
+/**
+ * Defaults for well-known endpoints. Base URLs include the API version path,
+ * as in the OpenAI SDKs; `/chat/completions` is appended.
+ */
+export const OPENAI_COMPATIBLE_PRESETS = {
+  deepseek: { label: "DeepSeek", baseUrl: "https://api.deepseek.com/v1", model: "deepseek-chat", apiKeyEnv: "DEEPSEEK_API_KEY", keyRequired: true },
+  ollama: { label: "Ollama", baseUrl: "http://localhost:11434/v1", model: "llama3.1" },
+  lmstudio: { label: "LM Studio", baseUrl: "http://localhost:1234/v1", model: "local-model" },
+};
+
+function errorMessage(body) {
+  try {
+    const error = JSON.parse(body).error;
+    return typeof error === "string" ? error : error?.message || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Retry-After (seconds or HTTP date) as an ISO time, or null.
+ */
+function retryAt(headers, now = Date.now()) {
+  const value = headers?.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  const time = Number.isFinite(seconds) ? now + seconds * 1000 : Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Map a reply to a known error, or null. Only non-2xx replies are errors;
+ * an answer that talks about quotas is still an answer.
+ */
+export function classifyHttpError({ status, body, headers }, { label, apiKeyEnv, hasKey, model }) {
+  if (status >= 200 && status < 300) return null;
+  const detail = errorMessage(body);
+  const text = `${detail} ${body}`.toLowerCase();
+
+  if (status === 401 || status === 403) {
+    if (!hasKey && apiKeyEnv) {
+      return { errorType: "AUTH_NOT_CONFIGURED", message: `${label} API key not configured. Set ${apiKeyEnv} env var.` };
+    }
+    return { errorType: "AUTH_EXPIRED", message: `${label} rejected the API key (HTTP ${status}).${apiKeyEnv ? ` Check ${apiKeyEnv}.` : ""}` };
+  }
+  if (status === 402 || status === 429 || /insufficient.?(balance|quota)/.test(text)) {
+    const resetAt = retryAt(headers);
+    return {
+      errorType: "QUOTA_EXCEEDED",
+      message: `${label} rate limit or balance exhausted (HTTP ${status}). ${resetAt ? `Retry after ${resetAt}` : "Try again later"}, or use a fallback provider.`,
+      ...(resetAt && { resetAt }),
+    };
+  }
+  if ((status === 404 || status === 400) && /model/.test(text) && /not found|does not exist|not loaded|no such|unknown/.test(text)) {
+    return {
+      errorType: "MODEL_NOT_AVAILABLE",
+      message: `${label} has no model "${model}"${detail ? `: ${detail}` : ""}. Pull or load it, or pick another model.`,
+    };
+  }
+  return {
+    errorType: "HTTP_ERROR",
+    message: `${label} error: HTTP ${status}${detail ? ` — ${detail}` : ` ${body.slice(0, 300)}`}`,
+    transient: status >= 500 || status === 408,
+  };
+}
+
+/**
+ * Adapter for an OpenAI-compatible endpoint (see provider.js for the
+ * interface; this one implements `send` instead of a CLI command).
+ */
+export function openAICompatible({ name, label = name, baseUrl, model, apiKeyEnv, keyRequired = false }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const apiKey = () => (apiKeyEnv && process.env[apiKeyEnv]) || "";
+
+  return {
+    name,
+    label,
+    defaultModel: model,
+    endpoint,
+
+    async send({ prompt, model: requested }, { signal }) {
+      if (keyRequired && !apiKey()) {
+        // Don't spend a request on an answer we know: the API will say 401
+        return { status: 401, body: "", headers: new Headers(), model: requested || model };
+      }
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey() && { Authorization: `Bearer ${apiKey()}` }),
+        },
+        body: JSON.stringify({
+          model: requested || model,
+          messages: [{ role: "user", content: prompt }],
+          stream: false,
+        }),
+        signal,
+      });
+      return { status: res.status, body: await res.text(), headers: res.headers, model: requested || model };
+    },
+
+    extractResponse({ status, body }) {
+      if (status < 200 || status >= 300) return "";
+      try {
+        return JSON.parse(body).choices?.[0]?.message?.content?.trim() || "";
+      } catch {
+        return "";
+      }
+    },
+
+    classifyError(reply) {
+      return classifyHttpError(reply, { label, apiKeyEnv, hasKey: !!apiKey(), model: reply.model });
+    },
+
+    // Reachability via GET /models, which every compatible server has
+    async checkSetup({ timeoutMs }) {
+      if (keyRequired && !apiKey()) {
+        return [{ name: "auth", ok: false, message: `API key not configured. Set ${apiKeyEnv} env var.` }];
+      }
+      const url = `${baseUrl.replace(/\/+$/, "")}/models`;
+      let res;
+      try {
+        res = await fetch(url, {
+          headers: apiKey() ? { Authorization: `Bearer ${apiKey()}` } : {},
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        const cause = err.cause?.code || err.cause?.message;
+        return [{ name: "server", ok: false, message: `${url} unreachable: ${err.message}${cause ? ` (${cause})` : ""}` }];
+      }
+      const checks = [{ name: "server", ok: true, message: `${url} answered HTTP ${res.status}` }];
+      if (res.status === 401 || res.status === 403) {
+        checks.push({ name: "auth", ok: false, message: `API key rejected (HTTP ${res.status}).${apiKeyEnv ? ` Check ${apiKeyEnv}.` : ""}` });
+      }
+      return checks;
+    },
+  };
+}
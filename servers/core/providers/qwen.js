@@ -0,0 +1,115 @@
+/**
+ * Qwen CLI adapter: prompt via stdin (`-p -`), optional --auth-type from QWEN_AUTH_TYPE.
+ * An --auth-type in the configured args (concilium.config.json) wins over it.
+ */
+
+import { readFile } from "fs/promises";
+import { homedir } from "os";
+import { join } from "path";
+import { classifyRun } from "../errors.js";
+import { pathExists } from "../health.js";
+
+export const QWEN_AUTH_TYPE = process.env.QWEN_AUTH_TYPE || "";
+
+export const QWEN_DEFAULT_MODEL = "qwen-turbo";
+
+/**
+ * Error rules, first match wins (see core/errors.js).
+ * Qwen prints plain text, so every rule only applies to failed runs.
+ */
+const RULES = [
+  {
+    errorType: "AUTH_NOT_CONFIGURED",
+    output: /no auth type is selected|please configure an auth type/i,
+    message: "Qwen auth type not configured. Set QWEN_AUTH_TYPE env var (e.g., 'qwen-oauth') or run 'qwen' interactively to login.",
+  },
+  {
+    errorType: "QUOTA_EXCEEDED",
+    output: /quota|rate limit|insufficient_quota|resource_exhausted/i,
+    message: "Qwen quota exceeded. Check your account limits or try again later.",
+  },
+  {
+    errorType: "AUTH_EXPIRED",
+    output: /authentication|invalid api key|unauthorized|token expired/i,
+    message: "Qwen authentication failed. Run 'qwen' in terminal to re-login, or check DASHSCOPE_API_KEY.",
+  },
+  {
+    errorType: "MODEL_NOT_AVAILABLE",
+    output: /model not found|model_not_found|model is not available/i,
+    message: "Qwen model not found. Available: qwen-turbo, qwen-plus, qwen-long.",
+  },
+];
+
+/**
+ * The auth type a run passes on the command line: --auth-type in the
+ * configured args, else QWEN_AUTH_TYPE from the env the CLI runs with.
+ * Resolves { authType, source }, authType "" when neither is set.
+ */
+function commandLineAuthType(args = [], env = process.env) {
+  for (const [i, arg] of args.entries()) {
+    if (arg === "--auth-type" && args[i + 1]) return { authType: args[i + 1], source: "--auth-type in config args" };
+    if (arg.startsWith("--auth-type=")) return { authType: arg.slice(12), source: "--auth-type in config args" };
+  }
+  return { authType: env.QWEN_AUTH_TYPE || "", source: "QWEN_AUTH_TYPE" };
+}
+
+/**
+ * An auth type from the command line (see above) or ~/.qwen/settings.json
+ * (the cause of "no auth type is selected"), or a DashScope key; for OAuth,
+ * a cached login.
+ */
+async function checkSetup({ env = process.env, args = [] } = {}) {
+  const dir = join(homedir(), ".qwen");
+  let { authType, source } = commandLineAuthType(args, env);
+  if (!authType) {
+    try {
+      const settings = JSON.parse(await readFile(join(dir, "settings.json"), "utf-8"));
+      authType = settings.security?.auth?.selectedType || settings.selectedType || "";
+      source = "settings.json";
+    } catch {}
+  }
+
+  if (!authType) {
+    return env.DASHSCOPE_API_KEY
+      ? [{ name: "auth", ok: true, message: "DASHSCOPE_API_KEY set" }]
+      : [{ name: "auth", ok: false, message: "No auth type selected. Set QWEN_AUTH_TYPE (e.g. qwen-oauth) or DASHSCOPE_API_KEY." }];
+  }
+  if (authType === "qwen-oauth" && !(await pathExists(join(dir, "oauth_creds.json")))) {
+    return [{ name: "auth", ok: false, message: `Auth type qwen-oauth (${source}) but no cached login. Run 'qwen' in a terminal once.` }];
+  }
+  return [{ name: "auth", ok: true, message: `Auth type ${authType} (${source})` }];
+}
+
+export const qwen = {
+  name: "qwen",
+  label: "Qwen",
+  command: "qwen",
+  defaultModel: QWEN_DEFAULT_MODEL,
+
+  buildArgs({ model = QWEN_DEFAULT_MODEL }, ctx) {
+    const args = [];
+
+    // Pass --auth-type if configured via env var and not already in the configured args
+    const { authType, source } = commandLineAuthType(ctx?.extraArgs, ctx?.env);
+    if (authType && source === "QWEN_AUTH_TYPE") {
+      args.push("--auth-type", authType);
+    }
+
+    // Use stdin for prompt (-p -)
+    args.push("-p", "-");
+
+    if (model && model !== QWEN_DEFAULT_MODEL) {
+      args.push("-m", model);
+    }
+
+    return args;
+  },
+
+  stdin: ({ prompt }) => prompt,
+
+  extractResponse: ({ stdout }) => stdout.trim(),
+
+  classifyError: (run, request) => classifyRun(RULES, run, request),
+
+  checkSetup,
+};
@@ -0,0 +1,237 @@
+/**
+ * Secret redaction before prompts leave the machine. Prompts and diffs go
+ * verbatim to three vendors' CLIs, so a pasted .env or a diff touching a
+ * config file would ship its keys with them.
+ *
+ * runProvider scans `prompt` and `instructions` for common secret formats
+ * (AWS keys, private key blocks, JWTs, vendor tokens, `*_API_KEY=`-style
+ * assignments, long high-entropy strings) and, by CONCILIUM_REDACT:
+ *   - redact (default): replaces each secret with a placeholder before
+ *     sending, e.g. [REDACTED:AWS_ACCESS_KEY:3f2a9c1b]. The suffix is an
+ *     HMAC of the secret under a random key kept in CONCILIUM_STATE_DIR
+ *     (redact.key), so the same key gets the same placeholder in every
+ *     call and every provider and answers can still refer to it, but a
+ *     provider can't test a guessed secret against the tag
+ *   - block: refuses to send (SECRETS_DETECTED) so you can clean up first
+ *   - off: sends the prompt as is
+ * Either way the result lists what was found (`redactions`).
+ *
+ * CONCILIUM_REDACT_ENTROPY sets the high-entropy threshold in bits per
+ * character (default 4.3); 0 turns that check off when it flags hashes or
+ * generated data you need reviewed.
+ */
+
+import { createHmac, randomBytes } from "crypto";
+import { linkSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import { STATE_DIR } from "./state.js";
+
+export const REDACT_MODES = ["redact", "block", "off"];
+const DEFAULT_ENTROPY = 4.3;
+const MIN_ENTROPY_LENGTH = 32;
+const KEY_FILE = "redact.key";
+
+let placeholderKey = null;
+
+const PATTERNS = [
+  { type: "PRIVATE_KEY", label: "private key", regex: /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$)/g },
+  { type: "AWS_ACCESS_KEY", label: "AWS access key", regex: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  { type: "AWS_SECRET_KEY", label: "AWS secret key", regex: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi, group: 1 },
+  { type: "JWT", label: "JWT", regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { type: "GITHUB_TOKEN", label: "GitHub token", regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: "API_KEY", label: "API key", regex: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { type: "GOOGLE_API_KEY", label: "Google API key", regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: "BEARER_TOKEN", label: "bearer token", regex: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 },
+  { type: "SLACK_TOKEN", label: "Slack token", regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  {
+    type: "SECRET_ASSIGNMENT",
+    label: "secret assignment",
+    // NAME=value, name: "value", "name": "value" where the name says it's a secret
+    regex: /(?<![A-Za-z0-9_.-]|REDACTED:)[A-Za-z0-9_.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|access[_-]?key|private[_-]?key|credentials?)[A-Za-z0-9_.-]*["']?\s*[:=]\s*["']?([^\s"',;#}()<>]{8,})(?=[\s"',;#}]|$)/gi,
+    group: 1,
+    // References and placeholders, not values
+    skip: (value) => /^(?:[A-Za-z_$][\w$]*(?:\.[\w$]+)+|\$\{?\w+\}?|\d+|\[REDACTED:.*|(.)\2+|x+|\*+)$/i.test(value),
+  },
+];
+
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/_=-]{32,}/g;
+
+export function redactionMode() {
+  const mode = (process.env.CONCILIUM_REDACT || "redact").toLowerCase();
+  return REDACT_MODES.includes(mode) ? mode : "redact";
+}
+
+function entropyThreshold() {
+  const raw = process.env.CONCILIUM_REDACT_ENTROPY;
+  const value = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isFinite(value) && value >= 0 ? value : DEFAULT_ENTROPY;
+}
+
+/**
+ * Shannon entropy of `text` in bits per character.
+ */
+export function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Random keys mix cases and digits; identifiers and hex hashes don't reach
+// the threshold, and subresource integrity hashes (lockfiles) are public
+function looksRandom(token, threshold) {
+  if (/^sha(?:256|384|512)-/.test(token)) return false;
+  const core = token.replace(/=+$/, "");
+  return core.length >= MIN_ENTROPY_LENGTH && /[a-z]/.test(core) && /[A-Z]/.test(core) && /\d/.test(core) && entropy(core) >= threshold;
+}
+
+/**
+ * The install's placeholder key, created on first use. The file is linked
+ * into place from a temp file, so two server processes starting at once
+ * agree on one key. When the state dir can't be written the key only lives
+ * as long as the process.
+ */
+function redactionKey() {
+  if (placeholderKey) return placeholderKey;
+  const file = join(STATE_DIR, KEY_FILE);
+  const read = () => Buffer.from(readFileSync(file, "utf-8").trim(), "hex");
+  try {
+    placeholderKey = read();
+  } catch {
+    const key = randomBytes(32);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      mkdirSync(STATE_DIR, { recursive: true });
+      writeFileSync(tmp, key.toString("hex") + "\n", { mode: 0o600 });
+      linkSync(tmp, file);
+      placeholderKey = key;
+    } catch (err) {
+      placeholderKey = err.code === "EEXIST" ? read() : key;
+    } finally {
+      try {
+        unlinkSync(tmp);
+      } catch {}
+    }
+  }
+  return placeholderKey;
+}
+
+function placeholder(type, value) {
+  return `[REDACTED:${type}:${createHmac("sha256", redactionKey()).update(value).digest("hex").slice(0, 8)}]`;
+}
+
+/**
+ * Secrets in `text`: [{ type, label, start, end, value }] in order, without
+ * overlaps (earlier patterns in the table win).
+ */
+export function findSecrets(text) {
+  const found = [];
+  const overlaps = (start, end) => found.some((s) => start < s.end && end > s.start);
+  const add = (type, label, start, value) => {
+    const end = start + value.length;
+    if (!overlaps(start, end)) found.push({ type, label, start, end, value });
+  };
+
+  for (const { type, label, regex, group, skip } of PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      const value = group ? match[group] : match[0];
+      if (skip?.(value)) continue;
+      add(type, label, match.index + (group ? match[0].lastIndexOf(value) : 0), value);
+    }
+  }
+
+  const threshold = entropyThreshold();
+  if (threshold > 0) {
+    for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+      if (looksRandom(match[0], threshold)) add("HIGH_ENTROPY", "high-entropy string", match.index, match[0]);
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace every secret in `text` with its placeholder.
+ * Returns { text, secrets } with the findSecrets() entries.
+ */
+export function redactText(text) {
+  const secrets = findSecrets(text);
+  let out = "";
+  let last = 0;
+  for (const secret of secrets) {
+    out += text.slice(last, secret.start) + placeholder(secret.type, secret.value);
+    last = secret.end;
+  }
+  return { text: out + text.slice(last), secrets };
+}
+
+/**
+ * Summary for results: one entry per distinct secret, without the value.
+ */
+function summarize(secrets) {
+  const byPlaceholder = new Map();
+  for (const { type, value } of secrets) {
+    const key = placeholder(type, value);
+    const entry = byPlaceholder.get(key) ?? { type, placeholder: key, count: 0 };
+    entry.count++;
+    byPlaceholder.set(key, entry);
+  }
+  return [...byPlaceholder.values()];
+}
+
+/**
+ * Human-readable list for messages: "2 secrets (AWS access key, JWT)".
+ */
+export function describeRedactions(redactions) {
+  const labels = [...new Set(redactions.map(({ type }) => PATTERNS.find((p) => p.type === type)?.label ?? "high-entropy string"))];
+  return `${redactions.length} secret${redactions.length === 1 ? "" : "s"} (${labels.join(", ")})`;
+}
+
+/**
+ * Apply the redaction mode to a runProvider request's `prompt` and
+ * `instructions`. Returns { request, redactions } with the text replaced,
+ * or { error, redactions } in block mode when something was found.
+ */
+export function redactRequest(request, label) {
+  const mode = redactionMode();
+  if (mode === "off") return { request, redactions: [] };
+
+  const secrets = [];
+  const redacted = { ...request };
+  for (const field of ["prompt", "instructions"]) {
+    if (typeof request[field] !== "string") continue;
+    const { text, secrets: found } = redactText(request[field]);
+    redacted[field] = text;
+    secrets.push(...found);
+  }
+
+  const redactions = summarize(secrets);
+  if (mode === "block" && redactions.length > 0) {
+    return {
+      error: {
+        errorType: "SECRETS_DETECTED",
+        message: `Not sending to ${label}: the prompt contains ${describeRedactions(redactions)}. Remove them, or set CONCILIUM_REDACT=redact to send placeholders instead.`,
+      },
+      redactions,
+    };
+  }
+  return { request: redactions.length > 0 ? redacted : request, redactions };
+}
+
+/**
+ * Zod shape for the `redactions` field of provider results.
+ */
+export function redactionsShape(z) {
+  return z
+    .array(
+      z.object({
+        type: z.string().describe("AWS_ACCESS_KEY, PRIVATE_KEY, JWT, SECRET_ASSIGNMENT, HIGH_ENTROPY, ..."),
+        placeholder: z.string().describe("What was sent instead; the same secret always gets the same placeholder"),
+        count: z.number().describe("Occurrences"),
+      })
+    )
+    .describe("Secrets found in the prompt and replaced (or, with errorType SECRETS_DETECTED, not sent)");
+}
@@ -0,0 +1,196 @@
+/**
+ * Review report export: SARIF 2.1.0 for code-scanning dashboards and a
+ * Markdown report for PRs, built from normalized findings (findings.js).
+ *
+ * A review here is { provider, label?, findings, response? } — one per
+ * provider. A finding raised by several providers (same fingerprint: same
+ * location and message) is merged in the Markdown report; repeats within
+ * one review stay separate. SARIF keeps one run per provider and lets the
+ * dashboard deduplicate on partialFingerprints.
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, isAbsolute, relative, resolve } from "path";
+import { pathToFileURL } from "url";
+import { checkCwd, resolveInside } from "./paths.js";
+
+export const REPORT_FORMATS = ["sarif", "markdown"];
+
+const DEFAULT_PATHS = { sarif: "concilium-review.sarif", markdown: "concilium-review.md" };
+const SEVERITY_ORDER = ["critical", "major", "minor", "info"];
+const SARIF_LEVELS = { critical: "error", major: "error", minor: "warning", info: "note" };
+const INFORMATION_URI = "https://github.com/spyrae/claude-concilium";
+
+function labelOf(review) {
+  return review.label || review.provider.charAt(0).toUpperCase() + review.provider.slice(1);
+}
+
+function bySeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || (a.startLine ?? 0) - (b.startLine ?? 0);
+}
+
+/**
+ * Repo-relative path for SARIF; absolute paths outside the repo are kept as file URIs.
+ */
+function artifactLocation(file, root) {
+  if (!isAbsolute(file)) return { uri: file.replace(/\\/g, "/"), uriBaseId: "SRCROOT" };
+  const rel = relative(root, file);
+  if (!rel.startsWith("..") && !isAbsolute(rel)) return { uri: rel.replace(/\\/g, "/"), uriBaseId: "SRCROOT" };
+  return { uri: pathToFileURL(file).href };
+}
+
+/**
+ * partialFingerprints value per finding: the fingerprint, with `:2`, `:3`, ...
+ * on repeats so every result in a run has its own.
+ */
+function uniqueFingerprints(findings) {
+  const seen = new Map();
+  return findings.map(({ fingerprint }) => {
+    const count = (seen.get(fingerprint) ?? 0) + 1;
+    seen.set(fingerprint, count);
+    return count === 1 ? fingerprint : `${fingerprint}:${count}`;
+  });
+}
+
+/**
+ * SARIF 2.1.0 log: one run per provider, one rule per finding category.
+ */
+export function sarifReport(reviews, { cwd = process.cwd() } = {}) {
+  const root = resolve(cwd);
+
+  const runs = reviews.map((review) => {
+    const categories = [...new Set(review.findings.map((f) => f.category))];
+    const fingerprints = uniqueFingerprints(review.findings);
+    return {
+      tool: {
+        driver: {
+          name: `concilium-${review.provider}`,
+          fullName: `Claude Concilium review (${labelOf(review)})`,
+          informationUri: INFORMATION_URI,
+          rules: categories.map((category) => ({ id: category, name: category, shortDescription: { text: `${category} finding` } })),
+        },
+      },
+      originalUriBaseIds: { SRCROOT: { uri: `${pathToFileURL(root).href}/` } },
+      results: review.findings.map((f, i) => ({
+        ruleId: f.category,
+        level: SARIF_LEVELS[f.severity] ?? "warning",
+        message: { text: f.suggestion ? `${f.message}\n\nSuggested fix: ${f.suggestion}` : f.message },
+        ...(f.file && {
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: artifactLocation(f.file, root),
+                ...(f.startLine && { region: { startLine: f.startLine, endLine: f.endLine ?? f.startLine } }),
+              },
+            },
+          ],
+        }),
+        partialFingerprints: { conciliumFinding: fingerprints[i] },
+        properties: { severity: f.severity },
+      })),
+    };
+  });
+
+  return { $schema: "https://json.schemastore.org/sarif-2.1.0.json", version: "2.1.0", runs };
+}
+
+/**
+ * Markdown report: summary table per provider, then findings grouped by file
+ * (most severe first), merged across providers by fingerprint. Reviews
+ * without recognizable findings get their raw text in a collapsed block.
+ */
+export function markdownReport(reviews, { title = "Concilium Review" } = {}) {
+  const lines = [`# ${title}`, ""];
+
+  lines.push("| Provider | Critical | Major | Minor | Info |", "|----------|----------|-------|-------|------|");
+  for (const review of reviews) {
+    const counts = SEVERITY_ORDER.map((s) => review.findings.filter((f) => f.severity === s).length);
+    lines.push(`| ${labelOf(review)} | ${counts.join(" | ")} |`);
+  }
+  lines.push("");
+
+  // fingerprint → entries; a provider joins the first entry it isn't on yet
+  const merged = new Map();
+  for (const review of reviews) {
+    const label = labelOf(review);
+    for (const finding of review.findings) {
+      const entries = merged.get(finding.fingerprint) ?? [];
+      const entry = entries.find((e) => !e.reportedBy.includes(label));
+      if (entry) entry.reportedBy.push(label);
+      else entries.push({ ...finding, reportedBy: [label] });
+      merged.set(finding.fingerprint, entries);
+    }
+  }
+
+  const byFile = new Map();
+  for (const finding of [...merged.values()].flat()) {
+    const file = finding.file ?? "";
+    byFile.set(file, [...(byFile.get(file) ?? []), finding]);
+  }
+
+  if (byFile.size === 0) {
+    lines.push("No findings.", "");
+  }
+  for (const [file, findings] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`## ${file ? `\`${file}\`` : "General"}`, "");
+    for (const f of findings.sort(bySeverity)) {
+      const where = f.startLine ? (f.endLine && f.endLine !== f.startLine ? `L${f.startLine}-${f.endLine}` : `L${f.startLine}`) : "";
+      const [summary, ...detail] = f.message.split("\n");
+      lines.push(`- **${f.severity}** · ${f.category}${where ? ` · ${where}` : ""} — ${summary} _(${f.reportedBy.join(", ")})_`);
+      for (const line of detail.filter(Boolean)) lines.push(`  ${line}`);
+      if (f.suggestion) lines.push(`  - Suggested fix: ${f.suggestion}`);
+    }
+    lines.push("");
+  }
+
+  for (const review of reviews.filter((r) => r.findings.length === 0 && r.response)) {
+    lines.push(`<details><summary>${labelOf(review)} — raw review (no structured findings)</summary>`, "", review.response, "", "</details>", "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render reviews in `format` and write them to `path` (relative to cwd,
+ * default concilium-review.sarif / .md). Resolves { format, path, findings }.
+ * Rejects when cwd is not allowed (see paths.js) or `path` leads out of it.
+ */
+export async function writeReport(reviews, { format, path, cwd = process.cwd(), title } = {}) {
+  const checked = await checkCwd(cwd);
+  if (checked.error) throw new Error(checked.error.message);
+  const target = resolve(cwd, path || DEFAULT_PATHS[format]);
+  if (!(await resolveInside(checked.cwd, target))) throw new Error(`${path} is outside ${cwd}`);
+  const text =
+    format === "sarif" ? `${JSON.stringify(sarifReport(reviews, { cwd }), null, 2)}\n` : markdownReport(reviews, { title });
+
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, text);
+  return { format, path: target, findings: reviews.reduce((n, r) => n + r.findings.length, 0) };
+}
+
+/**
+ * Write the report a review tool was asked for and record it on the result
+ * (`report`), or a warning if writing failed. Failed reviews write nothing.
+ */
+export async function exportReview(result, { format, path, cwd, log }) {
+  if (!format || result.error) return result;
+  try {
+    result.report = await writeReport([result], { format, path, cwd });
+    log?.(`Report: ${result.report.path} (${format}, ${result.report.findings} findings)`);
+  } catch (err) {
+    const notice = `Report not written: ${err.message}`;
+    result.warning = result.warning ? `${result.warning} ${notice}` : notice;
+  }
+  return result;
+}
+
+/**
+ * Zod shape of a written report ({ format, path, findings }).
+ */
+export function reportResultShape(z) {
+  return {
+    format: z.enum(REPORT_FORMATS).describe("sarif or markdown"),
+    path: z.string().describe("Absolute path of the written report"),
+    findings: z.number().describe("Number of findings in the report"),
+  };
+}
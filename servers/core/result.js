@@ -0,0 +1,98 @@
+/**
+ * MCP tool results for provider runs: a text block for humans plus
+ * `structuredContent` so orchestrators can branch on errorType without
+ * parsing English messages.
+ */
+
+import { describeRedactions, redactionsShape } from "./redact.js";
+
+/**
+ * Zod shape for the structured result of a provider tool.
+ * Takes the server's own zod instance so core stays dependency-free.
+ */
+export function providerResultShape(z) {
+  return {
+    provider: z.string().describe("Provider that handled the call (openai, gemini, qwen)"),
+    model: z.string().nullable().describe("Model requested, or null for the CLI default"),
+    errorType: z.string().nullable().describe("Machine-readable error type (QUOTA_EXCEEDED, AUTH_EXPIRED, ...), null on success"),
+    resetAt: z.string().nullable().describe("ISO time the quota resets, when the provider reports it"),
+    elapsed: z.number().describe("Wall-clock time in seconds"),
+    queued: z.number().describe("Seconds spent waiting for a free slot before the call started"),
+    attempts: z.number().describe("CLI runs or HTTP requests made, retries of transient failures included; 0 if none was made"),
+    exitCode: z.number().nullable().describe("CLI exit code, null if it was killed or never started"),
+    response: z.string().nullable().describe("Response text, null on error"),
+    message: z.string().nullable().describe("Error message, null on success"),
+    warning: z.string().nullable().describe("Non-fatal notice, e.g. daily budget almost used"),
+    redactions: redactionsShape(z),
+  };
+}
+
+/**
+ * Structured content for a runProvider result (matches providerResultShape,
+ * or reviewResultShape when the result carries `findings`; map-reduce
+ * analyses add `mapReduce`, attached files `attachments`).
+ */
+export function structuredResult(result) {
+  return {
+    provider: result.provider,
+    model: result.model,
+    errorType: result.error?.errorType ?? null,
+    resetAt: result.error?.resetAt ?? null,
+    elapsed: Number(result.elapsed),
+    queued: Number(result.queued ?? 0),
+    attempts: result.attempts ?? 0,
+    exitCode: result.exitCode ?? null,
+    response: result.error ? null : result.response,
+    message: result.error?.message ?? null,
+    warning: result.warning ?? null,
+    redactions: result.redactions ?? [],
+    ...(result.findings && { findings: result.findings }),
+    ...(result.report && { report: result.report }),
+    ...(result.mapReduce && { mapReduce: result.mapReduce }),
+    ...(result.attachments && { attachments: result.attachments }),
+  };
+}
+
+/**
+ * Shape a runProvider result as an MCP tool result, logging the outcome.
+ * `what` prefixes the success log line ("Review", "Analyze"), like the
+ * original per-server handlers did.
+ */
+export function toolResult(result, log, what = "") {
+  const notes = [];
+  if (result.warning) {
+    log(`Warning: ${result.warning}`);
+    notes.push({ type: "text", text: `Warning: ${result.warning}` });
+  }
+
+  // A blocked call's message already says what was found
+  if (result.redactions?.length > 0 && result.error?.errorType !== "SECRETS_DETECTED") {
+    const found = `${describeRedactions(result.redactions)}: ${result.redactions.map((r) => r.placeholder).join(", ")}`;
+    log(`Redacted ${found}`);
+    notes.push({ type: "text", text: `Redacted before sending: ${found}` });
+  }
+
+  if (result.queued > 0) {
+    log(`Waited ${result.queued}s in the ${result.provider} queue`);
+  }
+  // A map-reduce analysis makes several calls; only extra attempts are retries
+  const calls = result.mapReduce?.calls ?? 1;
+  if (result.attempts > calls) {
+    log(`Retried ${result.attempts - calls} time(s) after transient failures`);
+  }
+
+  if (result.error) {
+    log(`${result.error.errorType}: ${result.error.message}`);
+    return {
+      content: [{ type: "text", text: result.error.message }, ...notes],
+      structuredContent: structuredResult(result),
+      isError: true,
+    };
+  }
+
+  log(`${what ? `${what} ` : ""}OK in ${result.elapsed}s (${result.response.length} chars)`);
+  return {
+    content: [{ type: "text", text: result.response }, ...notes],
+    structuredContent: structuredResult(result),
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Retries for transient failures: a dropped connection, a 5xx from the
+ * provider's backend, or a CLI that exits non-zero without printing
+ * anything. runProvider retries those with exponential backoff and jitter,
+ * as long as the tool call's timeout leaves room for another attempt.
+ *
+ * Quota, budget, auth and model errors are permanent: retrying only burns
+ * requests (or trips rate limits harder), so they are never retried, and
+ * neither are timeouts, cancellations and queue timeouts.
+ *
+ * Per provider: `retries` on the adapter (`providers.<name>.retries` in
+ * concilium.config.json), else <PROVIDER>_RETRIES, else 2. The first
+ * delay is CONCILIUM_RETRY_DELAY seconds (default 1), doubling up to 30s.
+ */
+
+import { withoutPrompt } from "./errors.js";
+
+export const DEFAULT_RETRIES = 2;
+const DEFAULT_DELAY_SECONDS = 1;
+const MAX_DELAY_MS = 30000;
+
+// Only consulted for failed runs, and only on stderr: stdout carries the
+// answer and stats (Gemini's token counts), which can contain anything.
+// Status codes only count with an HTTP or status label next to them.
+const TRANSIENT_STDERR =
+  /ECONNRESET|ECONNABORTED|ETIMEDOUT|EAI_AGAIN|ENETUNREACH|EPIPE|socket hang up|fetch failed|network error|\b(?:HTTP(?:\/[\d.]+)?|status(?:[ _]?code)?)["']?\s*[:=]?\s*50[0234]\b|internal server error|bad gateway|service unavailable|gateway timeout|overloaded/i;
+
+const PERMANENT = /^(QUOTA_EXCEEDED|BUDGET_EXCEEDED|QUEUE_TIMEOUT|AUTH_|MODEL_|TIMEOUT$|CANCELLED$)/;
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Effective { retries, delayMs } for an adapter.
+ */
+export function retryPolicy(adapter) {
+  return {
+    retries: adapter.retries ?? envNumber(`${adapter.name.toUpperCase()}_RETRIES`) ?? DEFAULT_RETRIES,
+    delayMs: (envNumber("CONCILIUM_RETRY_DELAY") ?? DEFAULT_DELAY_SECONDS) * 1000,
+  };
+}
+
+/**
+ * Whether a failed run is worth another attempt. An adapter (or a rule in
+ * its table) can decide by setting `transient` on the error; otherwise
+ * connection errors are transient, and CLI failures are when stderr, minus
+ * any echo of `request.prompt` (Codex prints the prompt there), looks like
+ * a network or server error, or the CLI exited non-zero without printing
+ * anything.
+ */
+export function isTransient(error, run = {}, request = {}) {
+  if (PERMANENT.test(error.errorType)) return false;
+  if (typeof error.transient === "boolean") return error.transient;
+  if (error.errorType === "CONNECTION_ERROR") return true;
+  if (error.errorType !== "CLI_ERROR" && error.errorType !== "NO_RESPONSE") return false;
+
+  const stdout = run.stdout || "";
+  if (TRANSIENT_STDERR.test(withoutPrompt(run.stderr || "", request.prompt))) return true;
+  return typeof run.exitCode === "number" && run.exitCode !== 0 && !stdout.trim();
+}
+
+/**
+ * Delay before retry number `retry` (1-based): doubling from `delayMs`,
+ * capped, with jitter so parallel calls don't retry in lockstep.
+ */
+export function backoffDelay(retry, delayMs) {
+  const ceiling = Math.min(delayMs * 2 ** (retry - 1), MAX_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wait `ms`; resolves false if `signal` aborts first.
+ */
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * Git-aware code review for providers without a review mode of their own
+ * (Gemini, Qwen): collect the diff from the repo, wrap it in the review
+ * prompt template and send it through runProvider like a chat prompt.
+ *
+ * Scopes mirror `codex review`: uncommitted changes (staged, unstaged and
+ * untracked), changes against a base branch (from the merge base), or a
+ * single commit. Hunks carry `contextLines` of surrounding code; when the
+ * diff is over `maxChars`, context drops to git's default 3 lines and then
+ * whole files are left out, and the prompt lists what was omitted.
+ *
+ * Providers with a review mode of their own read the diff themselves, out
+ * of reach of the prompt redaction in runProvider; runNativeReview scans
+ * the diff first and falls back to a chat review of the redacted diff.
+ */
+
+import { runProcess } from "./process.js";
+import { runProvider } from "./provider.js";
+import { redactionMode, redactRequest, describeRedactions } from "./redact.js";
+import { checkCwd } from "./paths.js";
+
+const GIT_TIMEOUT_MS = 30000;
+const MIN_CONTEXT_LINES = 3;
+const DEFAULT_CONTEXT_LINES = 10;
+const DEFAULT_MAX_CHARS = 200000;
+
+export const REVIEW_PROMPT = `Senior code reviewer. Review the {scope} in the diff below.
+
+Check:
+1. Bugs and incorrect logic
+2. New issues introduced (security, performance, maintainability)
+3. Edge cases missed
+4. Race conditions
+5. Error handling completeness
+
+For each finding give the file, line, severity (critical/major/minor) and a suggested fix.
+Verdict: APPROVE or REQUEST_CHANGES with specific feedback.
+
+End with every finding in a fenced \`\`\`json block, an array of objects:
+{"file": "path", "startLine": 1, "endLine": 1, "severity": "critical|major|minor|info", "category": "security|concurrency|error-handling|performance|correctness|maintainability", "message": "...", "suggestion": "..."}
+Use [] when there are no findings.
+{instructions}
+--- DIFF ---
+{diff}`;
+
+class GitError extends Error {}
+
+async function git(args, cwd, okExitCodes = [0]) {
+  let run;
+  try {
+    run = await runProcess("git", args, { cwd, timeoutMs: GIT_TIMEOUT_MS, label: "git" });
+  } catch (err) {
+    throw new GitError(err.message);
+  }
+  if (!okExitCodes.includes(run.exitCode)) {
+    throw new GitError(run.stderr.trim() || `git ${args[0]} exited with ${run.exitCode}`);
+  }
+  return run.stdout;
+}
+
+function describeScope({ uncommitted, base, commit }) {
+  if (commit) return `commit ${commit}`;
+  if (base) return `changes against ${base}`;
+  if (uncommitted) return "uncommitted changes";
+  return null;
+}
+
+/**
+ * Diff for the scope with `context` lines around each hunk.
+ * Uncommitted mode appends untracked files as new-file diffs.
+ */
+async function readDiff({ cwd, uncommitted, base, commit }, context) {
+  const unified = `--unified=${context}`;
+  if (commit) {
+    return git(["show", "--no-color", "--format=commit %H%nAuthor: %an%n%n%B", unified, commit, "--"], cwd);
+  }
+  if (base) {
+    return git(["diff", "--no-color", unified, `${base}...HEAD`, "--"], cwd);
+  }
+
+  const hasHead = await git(["rev-parse", "--verify", "--quiet", "HEAD"], cwd, [0, 1]);
+  // A repo without commits has nothing to diff against but the index
+  let diff = await git(["diff", "--no-color", unified, hasHead ? "HEAD" : "--cached", "--"], cwd);
+
+  const untracked = (await git(["ls-files", "--others", "--exclude-standard", "-z"], cwd)).split("\0").filter(Boolean);
+  for (const file of untracked) {
+    // --no-index exits 1 when the files differ, which they always do here
+    diff += await git(["diff", "--no-color", "--no-index", unified, "--", "/dev/null", file], cwd, [0, 1]);
+  }
+  return diff;
+}
+
+function splitFiles(diff) {
+  const parts = diff.split(/^(?=diff --git )/m);
+  const header = parts[0].startsWith("diff --git ") ? "" : parts.shift();
+  const files = parts.map((text) => ({ name: text.match(/^diff --git a\/.+? b\/(.+)$/m)?.[1] ?? "?", text }));
+  return { header, files };
+}
+
+/**
+ * Collect the diff for a review scope and fit it into `maxChars`.
+ * Resolves { scope, diff, files, omitted } or { error } (CWD_NOT_ALLOWED
+ * before git runs in a directory outside the allowlist).
+ */
+export async function collectDiff({
+  cwd: requestedCwd,
+  uncommitted = false,
+  base,
+  commit,
+  contextLines = DEFAULT_CONTEXT_LINES,
+  maxChars = DEFAULT_MAX_CHARS,
+}) {
+  const checked = await checkCwd(requestedCwd ?? process.cwd());
+  if (checked.error) return checked;
+  const cwd = checked.cwd;
+
+  const scopeOptions = { cwd, uncommitted, base, commit };
+  const scope = describeScope(scopeOptions);
+  if (!scope) {
+    return { error: { errorType: "NO_CHANGES", message: "Nothing to review: set uncommitted, base or commit." } };
+  }
+
+  if ([base, commit].some((ref) => ref?.startsWith("-"))) {
+    return { error: { errorType: "GIT_ERROR", message: `Not a git ref: ${commit || base}` } };
+  }
+
+  try {
+    let diff = await readDiff(scopeOptions, contextLines);
+    if (diff.length > maxChars && contextLines > MIN_CONTEXT_LINES) {
+      diff = await readDiff(scopeOptions, MIN_CONTEXT_LINES);
+    }
+
+    const { header, files } = splitFiles(diff);
+    if (files.length === 0) {
+      return { error: { errorType: "NO_CHANGES", message: `No ${scope} to review.` } };
+    }
+
+    let kept = header;
+    const included = [];
+    const omitted = [];
+    for (const file of files) {
+      if (kept.length + file.text.length <= maxChars) {
+        kept += file.text;
+        included.push(file.name);
+      } else {
+        omitted.push(file.name);
+      }
+    }
+    if (included.length === 0) {
+      return { error: { errorType: "DIFF_TOO_LARGE", message: `Every changed file is over the ${maxChars}-char review budget.` } };
+    }
+
+    return { scope, diff: kept, files: included, omitted };
+  } catch (err) {
+    if (!(err instanceof GitError)) throw err;
+    return { error: { errorType: "GIT_ERROR", message: `git failed in ${cwd || process.cwd()}: ${err.message}` } };
+  }
+}
+
+/**
+ * Fill the review template for a collected diff.
+ */
+export function reviewPrompt({ scope, diff, omitted }, instructions) {
+  const notes = [];
+  if (instructions) notes.push(`\nAdditional instructions: ${instructions}`);
+  if (omitted.length > 0) notes.push(`\nOmitted to fit the size budget (not reviewed): ${omitted.join(", ")}`);
+
+  return REVIEW_PROMPT.replace("{scope}", () => scope)
+    .replace("{instructions}", () => (notes.length > 0 ? `${notes.join("\n")}\n` : ""))
+    .replace("{diff}", () => diff);
+}
+
+/**
+ * Review a git scope with a chat-only provider. Resolves a runProvider
+ * result; git problems and empty diffs come back as errors without calling
+ * the CLI (GIT_ERROR, NO_CHANGES, DIFF_TOO_LARGE). Files left out for size
+ * are reported in the result's `warning`.
+ */
+export async function runReview(adapter, options) {
+  const { cwd, uncommitted, base, commit, instructions, contextLines, maxChars = DEFAULT_MAX_CHARS, log, ...request } = options;
+  const collected = await collectDiff({ cwd, uncommitted, base, commit, contextLines, maxChars });
+  if (collected.error) {
+    return {
+      provider: adapter.name,
+      model: request.model || adapter.defaultModel || null,
+      error: collected.error,
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      elapsed: "0.0",
+    };
+  }
+
+  const { scope, diff, files, omitted } = collected;
+  log?.(`Review: ${scope}, ${files.length} files, ${diff.length} chars${omitted.length > 0 ? `, ${omitted.length} omitted` : ""}`);
+
+  const result = await runProvider(adapter, { ...request, cwd, prompt: reviewPrompt(collected, instructions) });
+  if (omitted.length > 0) {
+    const notice = `Not reviewed (over the ${maxChars}-char budget): ${omitted.join(", ")}`;
+    result.warning = result.warning ? `${result.warning} ${notice}` : notice;
+  }
+  return result;
+}
+
+/**
+ * Review with a provider that collects the diff itself (`codex review`).
+ * Unless redaction is off, the scope's diff is scanned first: if it holds
+ * secrets, block mode fails with SECRETS_DETECTED and redact mode reviews
+ * the redacted diff with `chatAdapter` through runReview instead, saying so
+ * in the result's `warning`. Git problems are left to the native reviewer.
+ */
+export async function runNativeReview(reviewAdapter, chatAdapter, options) {
+  const { uncommitted, base, commit, instructions, log, ...request } = options;
+  // The native reviewer reads the repo it runs in: the server's own when no cwd is given
+  const cwd = options.cwd ?? process.cwd();
+  const native = () => runProvider(reviewAdapter, { ...request, cwd, uncommitted, base, commit, instructions });
+  if (redactionMode() === "off") return native();
+
+  const collected = await collectDiff({ cwd, uncommitted, base, commit, maxChars: Infinity });
+  if (collected.error) return native();
+
+  const scan = redactRequest({ prompt: collected.diff }, reviewAdapter.label);
+  if (scan.redactions.length === 0) return native();
+  if (scan.error) {
+    return {
+      provider: reviewAdapter.name,
+      model: request.model || reviewAdapter.defaultModel || null,
+      redactions: scan.redactions,
+      error: scan.error,
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      elapsed: "0.0",
+    };
+  }
+
+  log?.(`Review: the diff contains ${describeRedactions(scan.redactions)}; reviewing the redacted diff with ${chatAdapter.label}`);
+  const result = await runReview(chatAdapter, { ...options, cwd });
+  const notice = `The diff contains secrets, so ${chatAdapter.label} reviewed a redacted copy instead of running ${reviewAdapter.label}.`;
+  result.warning = result.warning ? `${notice} ${result.warning}` : notice;
+  return result;
+}
@@ -0,0 +1,37 @@
+/**
+ * Server shutdown shared by the MCP servers.
+ *
+ * On SIGTERM, SIGINT or the host closing stdin, every CLI still running is
+ * killed (SIGTERM, then SIGKILL after the grace period) before the server
+ * exits, so a restarted or crashed host doesn't leave codex/gemini/qwen
+ * processes burning quota in the background.
+ *
+ * `server` is the handle serve() resolves (or anything with close()). Over
+ * HTTP stdin means nothing — a container without -i starts with it closed —
+ * so only signals stop the server.
+ */
+
+import { reapChildren } from "./process.js";
+
+export function handleShutdown(server, log) {
+  let shuttingDown = false;
+
+  async function shutdown(reason) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log(`Shutting down (${reason})...`);
+
+    const reaped = await reapChildren();
+    if (reaped > 0) {
+      log(`Killed ${reaped} running CLI process(es)`);
+    }
+    await server.close().catch(() => {});
+    process.exit(0);
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  if (server.transport !== "http") {
+    process.stdin.on("end", () => shutdown("stdin closed"));
+  }
+}
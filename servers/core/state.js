@@ -0,0 +1,91 @@
+/**
+ * Small JSON state files shared by every server process on the machine
+ * (breaker state, usage ledgers). Lives in CONCILIUM_STATE_DIR, default
+ * ~/.claude-concilium.
+ *
+ * Changes go through updateState(), which holds `<file>.lock` for the
+ * read-modify-write, so two servers updating the same file at once don't
+ * lose each other's changes. A lock left by a process that died mid-update
+ * is taken over after LOCK_STALE_MS.
+ */
+
+import { readFile, writeFile, rename, mkdir, stat, unlink } from "fs/promises";
+import { homedir } from "os";
+import { join } from "path";
+import { setTimeout as sleep } from "timers/promises";
+
+export const STATE_DIR = process.env.CONCILIUM_STATE_DIR || join(homedir(), ".claude-concilium");
+
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+let tmpCounter = 0;
+let writeQueue = Promise.resolve();
+
+// One update at a time in this process; the lock file orders them across processes
+function serialize(fn) {
+  const next = writeQueue.then(fn, fn);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+async function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  for (;;) {
+    try {
+      await writeFile(lock, `${process.pid}\n`, { flag: "wx" });
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      const age = await stat(lock).then((s) => Date.now() - s.mtimeMs, () => 0);
+      if (age > LOCK_STALE_MS) await unlink(lock).catch(() => {});
+      else await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await unlink(lock).catch(() => {});
+  }
+}
+
+/**
+ * Read, change and write a state file as one step, across every process
+ * sharing the state dir. `update(state)` changes the state in place (it
+ * starts as `fallback` when the file is missing); its return value is
+ * what updateState resolves. Rejects when the state dir isn't writable.
+ */
+export async function updateState(name, update, fallback = {}) {
+  return serialize(async () => {
+    await mkdir(STATE_DIR, { recursive: true });
+    return withLock(join(STATE_DIR, name), async () => {
+      const state = await readState(name, fallback);
+      const value = await update(state);
+      await writeState(name, state);
+      return value;
+    });
+  });
+}
+
+/**
+ * Read a state file; missing or corrupt files read as `fallback`.
+ */
+export async function readState(name, fallback = {}) {
+  try {
+    return JSON.parse(await readFile(join(STATE_DIR, name), "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write a state file atomically (temp file + rename), so a concurrent
+ * reader in another server process never sees half a file.
+ */
+export async function writeState(name, data) {
+  await mkdir(STATE_DIR, { recursive: true });
+  const file = join(STATE_DIR, name);
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2) + "\n");
+  await rename(tmp, file);
+}
@@ -0,0 +1,128 @@
+/**
+ * Judge synthesis of several provider answers (the skill's Step 1.3): a
+ * judge provider reads all answers and returns consensus points,
+ * disagreements with who said what, unique ideas and an agreement score.
+ *
+ * The judge is asked to end with a fenced ```json block; parseSynthesis()
+ * normalizes it, and needsIteration() turns the score into a yes/no for
+ * "run another iteration".
+ */
+
+export const DEFAULT_AGREEMENT_THRESHOLD = 0.7;
+
+export const SYNTHESIS_PROMPT = `You are the judge of a panel of AI reviewers. Do not add your own opinion on the question; only compare the answers.
+{question}
+Answers:
+
+{answers}
+
+Compare the answers:
+1. Consensus — points all (or nearly all) answers agree on
+2. Disagreements — where they differ, and what each provider said
+3. Unique ideas — points only one provider raised that are worth keeping
+4. Agreement score — 0 (contradictory) to 1 (same conclusion and reasoning)
+
+End with a fenced \`\`\`json block:
+{"summary": "...", "consensus": ["..."], "disagreements": [{"topic": "...", "positions": [{"provider": "...", "position": "..."}]}], "uniqueIdeas": [{"provider": "...", "idea": "..."}], "agreementScore": 0.0}
+Use the provider names exactly as given in the answer headings.`;
+
+/**
+ * Judge prompt for `answers` ([{ provider, response }]), headed by provider label.
+ */
+export function synthesisPrompt(answers, { question, labels = {} } = {}) {
+  const blocks = answers.map(({ provider, response }) => `--- ${labels[provider] ?? provider} ---\n${response}`);
+  return SYNTHESIS_PROMPT.replace("{question}", () => (question ? `\nQuestion the panel answered:\n${question}\n` : ""))
+    .replace("{answers}", () => blocks.join("\n\n"));
+}
+
+function strings(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim()) : [];
+}
+
+function objects(value) {
+  return Array.isArray(value) ? value.filter((item) => item && typeof item === "object") : [];
+}
+
+/**
+ * Score as a 0–1 number; judges sometimes answer in percent.
+ * Without a usable score, falls back to the share of consensus points.
+ */
+function normalizeScore(value, consensus, disagreements) {
+  let score = Number(value);
+  if (value === null || value === undefined || value === "" || !Number.isFinite(score)) {
+    const total = consensus.length + disagreements.length;
+    return total === 0 ? null : Number((consensus.length / total).toFixed(2));
+  }
+  if (score > 1 && score <= 100) score /= 100;
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Synthesis from the judge's last fenced json block, or null if there is none.
+ * The judge names providers by the labels it was shown; `labels` maps them
+ * back to provider names.
+ */
+export function parseSynthesis(text, { labels = {} } = {}) {
+  const byLabel = Object.fromEntries(Object.entries(labels).map(([provider, label]) => [label.toLowerCase(), provider]));
+  const providerOf = (value) => {
+    const name = String(value ?? "?").trim();
+    return byLabel[name.toLowerCase()] ?? name;
+  };
+
+  const blocks = [...(text ?? "").matchAll(/```json\s*\n([\s\S]*?)```/g)].map((m) => m[1]).reverse();
+  for (const block of blocks) {
+    let parsed;
+    try {
+      parsed = JSON.parse(block);
+    } catch {
+      continue;
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) continue;
+
+    const consensus = strings(parsed.consensus);
+    const disagreements = objects(parsed.disagreements).map((d) => ({
+      topic: String(d.topic ?? "").trim(),
+      positions: objects(d.positions).map((p) => ({ provider: providerOf(p.provider), position: String(p.position ?? "").trim() })),
+    }));
+    const uniqueIdeas = objects(parsed.uniqueIdeas ?? parsed.unique_ideas)
+      .filter((u) => u.idea)
+      .map((u) => ({ provider: providerOf(u.provider), idea: String(u.idea).trim() }));
+
+    return {
+      summary: typeof parsed.summary === "string" ? parsed.summary.trim() : "",
+      consensus,
+      disagreements,
+      uniqueIdeas,
+      agreementScore: normalizeScore(parsed.agreementScore ?? parsed.agreement_score, consensus, disagreements),
+    };
+  }
+  return null;
+}
+
+/**
+ * Whether the answers disagree enough to warrant another iteration.
+ * An unknown score counts as disagreement.
+ */
+export function needsIteration(synthesis, threshold = DEFAULT_AGREEMENT_THRESHOLD) {
+  return synthesis.agreementScore === null || synthesis.agreementScore < threshold;
+}
+
+/**
+ * Zod shape of a parsed synthesis.
+ */
+export function synthesisShape(z) {
+  return {
+    summary: z.string().describe("One-paragraph summary of where the panel stands"),
+    consensus: z.array(z.string()).describe("Points the answers agree on"),
+    disagreements: z
+      .array(
+        z.object({
+          topic: z.string(),
+          positions: z.array(z.object({ provider: z.string(), position: z.string() })).describe("What each provider said"),
+        })
+      )
+      .describe("Where the answers differ"),
+    uniqueIdeas: z.array(z.object({ provider: z.string(), idea: z.string() })).describe("Points raised by only one provider"),
+    agreementScore: z.number().nullable().describe("0 (contradictory) to 1 (full agreement), null if unknown"),
+  };
+}
@@ -0,0 +1,297 @@
+/**
+ * Opt-in transcript log of tool calls: tool, provider, model, the full
+ * prompt and response, error type and timings, so you can audit which code
+ * went to which vendor and come back to earlier advice after the session.
+ *
+ * Off unless CONCILIUM_TRANSCRIPTS=1. Stored as JSONL, one file per local
+ * date in $CONCILIUM_STATE_DIR/transcripts/ and shared by every server
+ * process. Retention: files older than TRANSCRIPT_RETENTION_DAYS (default
+ * 30) are deleted, then the oldest days while the directory is over
+ * TRANSCRIPT_MAX_MB (default 100). Pruning runs on the first write of a day.
+ *
+ * Servers expose entries as MCP resources (concilium://transcripts/{id})
+ * and search them with a *_transcripts tool.
+ */
+
+import { appendFile, mkdir, readFile, readdir, stat, unlink } from "fs/promises";
+import { randomBytes } from "crypto";
+import { join } from "path";
+import { STATE_DIR } from "./state.js";
+import { USAGE_USER } from "./usage.js";
+
+export const TRANSCRIPT_DIR = join(STATE_DIR, "transcripts");
+export const TRANSCRIPT_URI_TEMPLATE = "concilium://transcripts/{id}";
+
+const ID = /^(\d{4}-\d{2}-\d{2})-\d{6}-[0-9a-f]{8}$/;
+const FILE = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+const PREVIEW_CHARS = 200;
+const LIST_LIMIT = 50;
+
+let prunedOn = null;
+
+export function transcriptsEnabled() {
+  return process.env.CONCILIUM_TRANSCRIPTS === "1" || process.env.CONCILIUM_TRANSCRIPTS === "true";
+}
+
+function retention() {
+  const days = Number(process.env.TRANSCRIPT_RETENTION_DAYS);
+  const maxMB = Number(process.env.TRANSCRIPT_MAX_MB);
+  return { days: days > 0 ? days : 30, maxBytes: (maxMB > 0 ? maxMB : 100) * 1024 * 1024 };
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function dateOf(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function newId(d) {
+  return `${dateOf(d)}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}-${randomBytes(4).toString("hex")}`;
+}
+
+export function transcriptUri(id) {
+  return TRANSCRIPT_URI_TEMPLATE.replace("{id}", id);
+}
+
+/**
+ * Delete days past the retention period, then the oldest days while the
+ * directory is over the size limit. The current day is always kept.
+ */
+export async function pruneTranscripts(now = Date.now()) {
+  const { days, maxBytes } = retention();
+  const today = dateOf(new Date(now));
+  const cutoff = dateOf(new Date(now - days * 24 * 60 * 60 * 1000));
+
+  let files;
+  try {
+    files = (await readdir(TRANSCRIPT_DIR)).filter((name) => FILE.test(name)).sort();
+  } catch {
+    return;
+  }
+
+  const kept = [];
+  for (const name of files) {
+    if (name.slice(0, 10) < cutoff) {
+      await unlink(join(TRANSCRIPT_DIR, name)).catch(() => {});
+    } else {
+      kept.push({ name, size: (await stat(join(TRANSCRIPT_DIR, name)).catch(() => ({ size: 0 }))).size });
+    }
+  }
+
+  let total = kept.reduce((sum, file) => sum + file.size, 0);
+  for (const file of kept) {
+    if (total <= maxBytes || file.name.startsWith(today)) break;
+    await unlink(join(TRANSCRIPT_DIR, file.name)).catch(() => {});
+    total -= file.size;
+  }
+}
+
+/**
+ * Append one call to the log (no-op unless enabled). `request` is the
+ * runProvider request, with `tool` naming the MCP tool. Never throws: a
+ * full disk must not fail the tool call.
+ */
+export async function recordTranscript(request, result, now = Date.now()) {
+  if (!transcriptsEnabled()) return;
+  const time = new Date(now);
+  const entry = {
+    id: newId(time),
+    time: time.toISOString(),
+    tool: request.tool,
+    provider: result.provider,
+    model: result.model ?? null,
+    user: USAGE_USER,
+    cwd: request.cwd ?? null,
+    prompt: request.prompt ?? request.instructions ?? "",
+    response: result.error ? null : result.response,
+    errorType: result.error?.errorType ?? null,
+    message: result.error?.message ?? null,
+    elapsed: Number(result.elapsed),
+    queued: Number(result.queued ?? 0),
+    attempts: result.attempts ?? 0,
+  };
+
+  try {
+    await mkdir(TRANSCRIPT_DIR, { recursive: true });
+    if (prunedOn !== dateOf(time)) {
+      prunedOn = dateOf(time);
+      await pruneTranscripts(now);
+    }
+    await appendFile(join(TRANSCRIPT_DIR, `${dateOf(time)}.jsonl`), JSON.stringify(entry) + "\n");
+  } catch {}
+}
+
+async function readDay(name) {
+  let text;
+  try {
+    text = await readFile(join(TRANSCRIPT_DIR, name), "utf-8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  return entries;
+}
+
+/**
+ * Look up one entry by id; null if it doesn't exist (or was pruned).
+ */
+export async function readTranscript(id) {
+  const match = ID.exec(id);
+  if (!match) return null;
+  return (await readDay(`${match[1]}.jsonl`)).find((entry) => entry.id === id) ?? null;
+}
+
+/**
+ * Entries matching every given filter, newest first. `query` is matched
+ * case-insensitively against prompt, response and error message; `since`
+ * is a date or ISO time.
+ */
+export async function searchTranscripts({ query, provider, tool, errorType, since, limit = 20 } = {}) {
+  let files;
+  try {
+    files = (await readdir(TRANSCRIPT_DIR)).filter((name) => FILE.test(name)).sort().reverse();
+  } catch {
+    return [];
+  }
+
+  const needle = query?.toLowerCase();
+  const from = since ? new Date(since).toISOString() : null;
+  const fromDay = since ? dateOf(new Date(since)) : null;
+  const found = [];
+  for (const name of files) {
+    if (fromDay && name.slice(0, 10) < fromDay) break;
+    for (const entry of (await readDay(name)).reverse()) {
+      if (from && entry.time < from) continue;
+      if (provider && entry.provider !== provider) continue;
+      if (tool && entry.tool !== tool) continue;
+      if (errorType && entry.errorType !== errorType) continue;
+      if (needle && ![entry.prompt, entry.response, entry.message].some((text) => text?.toLowerCase().includes(needle))) continue;
+      found.push(entry);
+      if (found.length >= limit) return found;
+    }
+  }
+  return found;
+}
+
+function preview(text) {
+  if (!text) return text ?? null;
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > PREVIEW_CHARS ? `${flat.slice(0, PREVIEW_CHARS)}…` : flat;
+}
+
+function summary(entry) {
+  return {
+    id: entry.id,
+    uri: transcriptUri(entry.id),
+    time: entry.time,
+    tool: entry.tool,
+    provider: entry.provider,
+    model: entry.model,
+    user: entry.user,
+    errorType: entry.errorType,
+    elapsed: entry.elapsed,
+    attempts: entry.attempts,
+    promptChars: entry.prompt.length,
+    prompt: preview(entry.prompt),
+    response: preview(entry.response),
+  };
+}
+
+/**
+ * `list` callback of the transcripts ResourceTemplate: the latest entries.
+ */
+export async function listTranscriptResources() {
+  const entries = await searchTranscripts({ limit: LIST_LIMIT });
+  return {
+    resources: entries.map((entry) => ({
+      uri: transcriptUri(entry.id),
+      name: `${entry.time} ${entry.tool} → ${entry.provider}${entry.errorType ? ` (${entry.errorType})` : ""}`,
+      description: preview(entry.prompt),
+      mimeType: "application/json",
+    })),
+  };
+}
+
+/**
+ * Read callback of the transcripts ResourceTemplate: the full entry as JSON.
+ */
+export async function readTranscriptResource(uri, { id }) {
+  const entry = await readTranscript(String(id));
+  if (!entry) {
+    throw new Error(`Transcript ${id} not found (unknown id, or removed by retention)`);
+  }
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(entry, null, 2) }] };
+}
+
+/**
+ * Zod shape for the *_transcripts tools' input.
+ * Takes the server's own zod instance so core stays dependency-free.
+ */
+export function transcriptSearchShape(z) {
+  return {
+    query: z.string().optional().describe("Text to find in prompts, responses and error messages (case-insensitive)"),
+    provider: z.string().optional().describe("Only calls to this provider (openai, gemini, qwen, deepseek, ...)"),
+    tool: z.string().optional().describe("Only calls made by this tool, e.g. concilium_consult"),
+    errorType: z.string().optional().describe("Only calls that failed with this error type"),
+    since: z.string().optional().describe("Only calls since this date or ISO time"),
+    limit: z.number().int().min(1).max(200).default(20).describe("Maximum entries, newest first (default 20)"),
+  };
+}
+
+/**
+ * Zod shape for the *_transcripts tools' structured result.
+ */
+export function transcriptResultShape(z) {
+  return {
+    enabled: z.boolean().describe("Whether new calls are being recorded (CONCILIUM_TRANSCRIPTS=1)"),
+    transcripts: z
+      .array(
+        z.object({
+          id: z.string(),
+          uri: z.string().describe("MCP resource with the full prompt and response"),
+          time: z.string(),
+          tool: z.string(),
+          provider: z.string(),
+          model: z.string().nullable(),
+          user: z.string(),
+          errorType: z.string().nullable(),
+          elapsed: z.number(),
+          attempts: z.number(),
+          promptChars: z.number(),
+          prompt: z.string().describe("Start of the prompt"),
+          response: z.string().nullable().describe("Start of the response, null on error"),
+        })
+      )
+      .describe("Matching calls, newest first"),
+  };
+}
+
+/**
+ * Handler body for a *_transcripts tool.
+ */
+export async function transcriptToolResult(filters) {
+  if (filters.since && Number.isNaN(Date.parse(filters.since))) {
+    return { content: [{ type: "text", text: `Invalid since "${filters.since}": use a date (2026-10-01) or ISO time.` }], isError: true };
+  }
+
+  const enabled = transcriptsEnabled();
+  const transcripts = (await searchTranscripts(filters)).map(summary);
+  const lines = transcripts.map(
+    (t) => `${t.id} ${t.tool} → ${t.provider}${t.model ? `/${t.model}` : ""}: ${t.errorType ?? "OK"} in ${t.elapsed}s\n  ${t.prompt}`
+  );
+  if (lines.length === 0) lines.push("No matching transcripts.");
+  if (!enabled) lines.push("Recording is off; set CONCILIUM_TRANSCRIPTS=1 to keep transcripts of new calls.");
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: { enabled, transcripts },
+  };
+}
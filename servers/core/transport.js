@@ -0,0 +1,295 @@
+/**
+ * Transport selection: stdio (one server process per client, the default)
+ * or MCP Streamable HTTP, so one process — or the gateway running every
+ * server — can be shared by several editors, e.g. from the Docker image.
+ *
+ * Core has no dependencies, so servers hand in the SDK transport classes
+ * along with a `createServer()` factory: over HTTP every client session
+ * gets its own McpServer instance.
+ *
+ * Environment (flags win):
+ *   CONCILIUM_TRANSPORT   stdio | http            (--http)
+ *   CONCILIUM_HTTP_HOST   Bind address, default 127.0.0.1  (--host=)
+ *   CONCILIUM_HTTP_PORT   Port, default 3000               (--port=)
+ *   CONCILIUM_HTTP_TOKEN  Bearer token clients must send; unset = no auth,
+ *                         refused on a non-loopback host unless
+ *   CONCILIUM_HTTP_ALLOW_NO_AUTH=1  is set (trusted network only)
+ *   CONCILIUM_HTTP_MAX_SESSIONS     Open sessions before new ones get 503, default 100
+ *   CONCILIUM_HTTP_SESSION_TIMEOUT  Seconds idle before a session is closed,
+ *                                   default 1800; 0 = never
+ */
+
+import { createServer as createHttpServer } from "http";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
+import { realpathSync } from "fs";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_MAX_SESSIONS = 100;
+const DEFAULT_SESSION_TIMEOUT_SECONDS = 1800;
+const MAX_SWEEP_MS = 60000;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const LOOPBACK = /^(127\.\d+\.\d+\.\d+|::1|localhost)$/;
+
+/**
+ * Whether the module at `url` (import.meta.url) is the entry point, so a
+ * server can be imported by the gateway without starting itself.
+ */
+export function isMain(url) {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(url);
+  } catch {
+    return false;
+  }
+}
+
+function integerFromEnv(env, name, fallback, min = 0) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) throw new Error(`Invalid ${name} "${raw}".`);
+  return value;
+}
+
+/**
+ * Transport settings from flags and env:
+ * { transport, host, port, token, allowNoAuth, maxSessions, sessionTimeout }.
+ * Throws on an unknown transport or a bad number.
+ */
+export function transportOptions(argv = process.argv.slice(2), env = process.env) {
+  const flag = (name) => argv.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const transport = argv.includes("--http") ? "http" : env.CONCILIUM_TRANSPORT || "stdio";
+  if (transport !== "stdio" && transport !== "http") {
+    throw new Error(`Unknown CONCILIUM_TRANSPORT "${transport}". Use stdio or http.`);
+  }
+
+  const rawPort = flag("port") ?? env.CONCILIUM_HTTP_PORT;
+  const port = rawPort === undefined || rawPort === "" ? DEFAULT_PORT : Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port "${rawPort}".`);
+  }
+
+  return {
+    transport,
+    host: flag("host") ?? (env.CONCILIUM_HTTP_HOST || "127.0.0.1"),
+    port,
+    token: env.CONCILIUM_HTTP_TOKEN || null,
+    allowNoAuth: env.CONCILIUM_HTTP_ALLOW_NO_AUTH === "1" || env.CONCILIUM_HTTP_ALLOW_NO_AUTH === "true",
+    maxSessions: integerFromEnv(env, "CONCILIUM_HTTP_MAX_SESSIONS", DEFAULT_MAX_SESSIONS, 1),
+    sessionTimeout: integerFromEnv(env, "CONCILIUM_HTTP_SESSION_TIMEOUT", DEFAULT_SESSION_TIMEOUT_SECONDS),
+  };
+}
+
+function digest(value) {
+  return createHash("sha256").update(value).digest();
+}
+
+/**
+ * Constant-time check of the Authorization header against the token.
+ */
+function authorized(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  return !!match && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+function hostname(hostHeader = "") {
+  return hostHeader.replace(/:\d+$/, "").replace(/^\[|\]$/g, "");
+}
+
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error("Request body too large");
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+}
+
+/**
+ * Serve `services` ([{ name, createServer, transports, log }]) over Streamable
+ * HTTP, each at /<name>/mcp; with a single service also at /mcp.
+ * GET /health answers without auth for container health checks.
+ * Sessions idle for `sessionTimeout` seconds (no request in flight) are
+ * closed, and past `maxSessions` new sessions are refused with 503, so
+ * clients that never send DELETE can't pile up server instances.
+ * Without a token only a loopback host is served, unless `allowNoAuth`.
+ * Resolves { transport: "http", url, close() } once listening.
+ */
+export async function serveHttp(
+  services,
+  { host, port, token, allowNoAuth = false, maxSessions = DEFAULT_MAX_SESSIONS, sessionTimeout = DEFAULT_SESSION_TIMEOUT_SECONDS },
+  log
+) {
+  const loopback = LOOPBACK.test(host);
+  if (!token && !loopback && !allowNoAuth) {
+    throw new Error(
+      `Refusing to listen on ${host} without CONCILIUM_HTTP_TOKEN: anyone who can reach the port could run prompts on your accounts. ` +
+        "Set a token, or CONCILIUM_HTTP_ALLOW_NO_AUTH=1 on a trusted network."
+    );
+  }
+
+  const routes = new Map(services.map((service) => [`/${service.name}/mcp`, service]));
+  if (services.length === 1) routes.set("/mcp", services[0]);
+  const sessions = new Map(); // session id → { service, server, transport, lastSeen, active }
+  let opening = 0;
+
+  const idleMs = sessionTimeout * 1000;
+  const sweeper =
+    idleMs > 0 &&
+    setInterval(() => {
+      const cutoff = Date.now() - idleMs;
+      for (const [id, session] of sessions) {
+        if (session.active > 0 || session.lastSeen > cutoff) continue;
+        sessions.delete(id);
+        session.service.log(`HTTP session ${id} expired after ${sessionTimeout}s idle (${sessions.size} active)`);
+        session.server.close().catch(() => {});
+      }
+    }, Math.min(MAX_SWEEP_MS, idleMs / 2));
+  if (sweeper) sweeper.unref();
+
+  // A request in flight (a long tool call, an open SSE stream) keeps its session alive
+  function track(session, res) {
+    session.active++;
+    session.lastSeen = Date.now();
+    res.on("close", () => {
+      session.active--;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  async function openSession(service, req, res) {
+    if (sessions.size + opening >= maxSessions) {
+      sendError(res, 503, `Too many open sessions (${maxSessions}); close one or try again later`, { "Retry-After": "60" });
+      return;
+    }
+    opening++;
+    try {
+      await startSession(service, req, res);
+    } finally {
+      opening--;
+    }
+  }
+
+  async function startSession(service, req, res) {
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (err) {
+      sendError(res, 400, `Invalid JSON body: ${err.message}`);
+      return;
+    }
+    if (req.method !== "POST" || body?.method !== "initialize") {
+      sendError(res, 400, "No valid session: send an initialize request first, without an Mcp-Session-Id header");
+      return;
+    }
+
+    const server = service.createServer();
+    const transport = new service.transports.StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { service, server, transport, lastSeen: Date.now(), active: 0 });
+        service.log(`HTTP session ${id} opened (${sessions.size} active)`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        service.log(`HTTP session ${transport.sessionId} closed`);
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handle(req, res) {
+    const path = new URL(req.url, "http://localhost").pathname;
+
+    // Browsers on other sites can reach a loopback server; the Host header gives them away
+    if (loopback && !LOOPBACK.test(hostname(req.headers.host))) {
+      sendError(res, 403, `Invalid Host header: ${req.headers.host}`);
+      return;
+    }
+    if (path === "/health" && req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok", servers: services.map((s) => s.name), sessions: sessions.size }));
+      return;
+    }
+
+    const service = routes.get(path);
+    if (!service) {
+      sendError(res, 404, `Not found. MCP endpoints: ${[...routes.keys()].join(", ")}`);
+      return;
+    }
+    if (token && !authorized(req, token)) {
+      sendError(res, 401, "Missing or invalid bearer token", { "WWW-Authenticate": 'Bearer realm="concilium"' });
+      return;
+    }
+
+    const id = req.headers["mcp-session-id"];
+    if (!id) {
+      await openSession(service, req, res);
+      return;
+    }
+    const session = sessions.get(id);
+    if (!session || session.service !== service) {
+      sendError(res, 404, "Session not found; initialize a new one");
+      return;
+    }
+    track(session, res);
+    await session.transport.handleRequest(req, res);
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handle(req, res).catch((err) => {
+      log(`HTTP error: ${err.message}`);
+      if (!res.headersSent) sendError(res, 500, "Internal server error");
+      else res.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+  const url = `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}`;
+  log(`Listening on ${url} (${[...routes.keys()].join(", ")})${token ? ", bearer token required" : ""}`);
+  if (!token && !loopback) {
+    log(`WARNING: bound to ${host} without CONCILIUM_HTTP_TOKEN (CONCILIUM_HTTP_ALLOW_NO_AUTH); anyone who can reach the port can run prompts on your accounts`);
+  }
+
+  return {
+    transport: "http",
+    url,
+    async close() {
+      if (sweeper) clearInterval(sweeper);
+      const open = [...sessions.values()];
+      sessions.clear();
+      await Promise.all(open.map(({ server }) => server.close().catch(() => {})));
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+    },
+  };
+}
+
+/**
+ * Start one server on the transport chosen by flags/env.
+ * Resolves a handle for handleShutdown(): { transport, url?, close() }.
+ */
+export async function serve(service, options = transportOptions()) {
+  if (options.transport === "http") {
+    return serveHttp([service], options, service.log);
+  }
+
+  const server = service.createServer();
+  await server.connect(new service.transports.StdioServerTransport());
+  return { transport: "stdio", close: () => server.close() };
+}
@@ -0,0 +1,201 @@
+/**
+ * Persisted per-day usage ledger and daily request budgets.
+ *
+ * Every CLI call that actually runs is recorded in
+ * $CONCILIUM_STATE_DIR/usage-<provider>.json, bucketed by local date, with
+ * per-model and per-user breakdowns (user = CONCILIUM_USER or the OS user),
+ * so a team sharing one state dir can see who is burning the free tier.
+ *
+ * Budgets (requests/day): <PROVIDER>_DAILY_BUDGET, defaulting to the free
+ * tiers of Gemini (1000) and Qwen (2000); 0 disables the budget. At
+ * USAGE_WARN_RATIO (default 0.8) results carry a warning; at the budget,
+ * calls are refused with BUDGET_EXCEEDED unless <PROVIDER>_BUDGET_MODE=warn.
+ */
+
+import { userInfo } from "os";
+import { readState, updateState } from "./state.js";
+
+const DEFAULT_BUDGETS = { gemini: 1000, qwen: 2000 };
+const HISTORY_DAYS = Number(process.env.USAGE_HISTORY_DAYS) || 90;
+
+function warnRatio() {
+  const value = Number(process.env.USAGE_WARN_RATIO);
+  return value > 0 && value <= 1 ? value : 0.8;
+}
+
+function currentUser() {
+  if (process.env.CONCILIUM_USER) return process.env.CONCILIUM_USER;
+  try {
+    return userInfo().username;
+  } catch {
+    return "unknown";
+  }
+}
+
+export const USAGE_USER = currentUser();
+
+/**
+ * Daily request budget for a provider, or null for unlimited.
+ */
+export function dailyBudget(provider) {
+  const raw = process.env[`${provider.toUpperCase()}_DAILY_BUDGET`];
+  if (raw !== undefined && raw !== "") {
+    const value = Number(raw);
+    if (Number.isFinite(value) && value >= 0) return value === 0 ? null : value;
+  }
+  return DEFAULT_BUDGETS[provider] ?? null;
+}
+
+export function budgetMode(provider) {
+  return process.env[`${provider.toUpperCase()}_BUDGET_MODE`] === "warn" ? "warn" : "refuse";
+}
+
+function dayKey(now) {
+  const d = new Date(now);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function emptyDay(date) {
+  return { date, requests: 0, promptChars: 0, elapsed: 0, errors: 0, models: {}, users: {} };
+}
+
+const ledgerFile = (provider) => `usage-${provider}.json`;
+
+/**
+ * Check today's count against the budget before a call.
+ * Returns { error } to refuse, { warning } near the limit, or {}.
+ */
+export async function checkBudget(provider, now = Date.now()) {
+  const budget = dailyBudget(provider);
+  if (!budget) return {};
+
+  const ledger = await readState(ledgerFile(provider));
+  const used = ledger[dayKey(now)]?.requests || 0;
+
+  if (used >= budget) {
+    const message = `${provider} daily budget reached (${used}/${budget} requests today).`;
+    if (budgetMode(provider) === "refuse") {
+      return {
+        error: {
+          errorType: "BUDGET_EXCEEDED",
+          message: `${message} Use a fallback provider, or raise ${provider.toUpperCase()}_DAILY_BUDGET.`,
+        },
+      };
+    }
+    return { warning: message };
+  }
+
+  if (used + 1 >= budget * warnRatio()) {
+    return { warning: `${provider} daily budget almost used: ${used + 1}/${budget} requests today.` };
+  }
+  return {};
+}
+
+/**
+ * Add one call to today's ledger entry. Never throws.
+ */
+export function recordUsage(provider, { model, promptChars = 0, elapsed = 0, isError = false }, now = Date.now()) {
+  return updateState(ledgerFile(provider), (ledger) => {
+    const date = dayKey(now);
+    const day = ledger[date] || emptyDay(date);
+    const modelKey = model || "default";
+    const bucket = day.models[modelKey] || { requests: 0, promptChars: 0, elapsed: 0 };
+
+    day.requests += 1;
+    day.promptChars += promptChars;
+    day.elapsed = Math.round((day.elapsed + Number(elapsed)) * 10) / 10;
+    day.errors += isError ? 1 : 0;
+    bucket.requests += 1;
+    bucket.promptChars += promptChars;
+    bucket.elapsed = Math.round((bucket.elapsed + Number(elapsed)) * 10) / 10;
+    day.models[modelKey] = bucket;
+    day.users[USAGE_USER] = (day.users[USAGE_USER] || 0) + 1;
+    ledger[date] = day;
+
+    // Drop days beyond the retention window
+    const cutoff = dayKey(now - HISTORY_DAYS * 86400000);
+    for (const key of Object.keys(ledger)) {
+      if (key < cutoff) delete ledger[key];
+    }
+  }).catch(() => {});
+}
+
+/**
+ * Today's entry plus up to `days` previous days (newest first) for a provider.
+ */
+export async function usageReport(provider, days = 7, now = Date.now()) {
+  const ledger = await readState(ledgerFile(provider));
+  const date = dayKey(now);
+  const history = Object.keys(ledger)
+    .filter((key) => key < date)
+    .sort()
+    .reverse()
+    .slice(0, days)
+    .map((key) => ledger[key]);
+
+  return {
+    provider,
+    budget: dailyBudget(provider),
+    mode: budgetMode(provider),
+    today: ledger[date] || emptyDay(date),
+    history,
+  };
+}
+
+/**
+ * Zod shape for the *_usage tools' structured result.
+ * Takes the server's own zod instance so core stays dependency-free.
+ */
+export function usageResultShape(z) {
+  const day = z.object({
+    date: z.string().describe("Local date, YYYY-MM-DD"),
+    requests: z.number(),
+    promptChars: z.number(),
+    elapsed: z.number().describe("Total CLI time in seconds"),
+    errors: z.number(),
+    models: z.record(z.object({ requests: z.number(), promptChars: z.number(), elapsed: z.number() })),
+    users: z.record(z.number()).describe("Requests per user (CONCILIUM_USER or OS user)"),
+  });
+
+  return {
+    usage: z
+      .array(
+        z.object({
+          provider: z.string(),
+          budget: z.number().nullable().describe("Daily request budget, null if unlimited"),
+          mode: z.enum(["refuse", "warn"]).describe("What happens when the budget is reached"),
+          today: day,
+          history: z.array(day).describe("Previous days, newest first"),
+        })
+      )
+      .describe("One entry per provider"),
+  };
+}
+
+/**
+ * Handler body for a *_usage tool.
+ */
+export async function usageToolResult(providers, { days = 7 }) {
+  const usage = await Promise.all(providers.map((provider) => usageReport(provider, days)));
+
+  const lines = [];
+  for (const u of usage) {
+    const budget = u.budget ? `${u.today.requests}/${u.budget}` : `${u.today.requests} (no budget)`;
+    lines.push(`${u.provider} today: ${budget} requests, ${u.today.promptChars} prompt chars, ${u.today.elapsed}s, ${u.today.errors} errors`);
+    for (const [model, m] of Object.entries(u.today.models)) {
+      lines.push(`  model ${model}: ${m.requests} requests`);
+    }
+    for (const [user, count] of Object.entries(u.today.users)) {
+      lines.push(`  user ${user}: ${count} requests`);
+    }
+    for (const day of u.history) {
+      lines.push(`  ${day.date}: ${day.requests} requests, ${day.promptChars} prompt chars`);
+    }
+  }
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: { usage },
+  };
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Every Concilium server in one process, over MCP Streamable HTTP: one
+ * shared (and optionally token-protected) service for a whole team, e.g.
+ * the Docker image with SERVER=gateway.
+ *
+ * Endpoints: /openai/mcp, /gemini/mcp, /qwen/mcp, /concilium/mcp, and
+ * /<name>/mcp for mcp-openai-compatible when it is listed. GET /health
+ * needs no token.
+ *
+ * Environment:
+ *   CONCILIUM_SERVERS     Servers to mount, comma-separated
+ *                         (default openai,gemini,qwen,concilium)
+ *   CONCILIUM_HTTP_HOST, CONCILIUM_HTTP_PORT, CONCILIUM_HTTP_TOKEN
+ *                         as for a single server (see core/transport.js)
+ *
+ * Each server keeps its own dependencies: run `npm install` in the
+ * directories of the servers you mount. The gateway itself has none.
+ */
+
+import { serveHttp, transportOptions, handleShutdown, selfCheck } from "../core/index.js";
+
+const SERVERS = ["openai", "gemini", "qwen", "concilium", "openai-compatible"];
+const DEFAULT_SERVERS = "openai,gemini,qwen,concilium";
+
+function log(msg) {
+  console.error(`[Concilium gateway] ${msg}`);
+}
+
+async function main() {
+  const names = (process.env.CONCILIUM_SERVERS || DEFAULT_SERVERS)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !SERVERS.includes(name));
+  if (unknown.length > 0 || names.length === 0) {
+    throw new Error(`Invalid CONCILIUM_SERVERS "${process.env.CONCILIUM_SERVERS}". Use some of: ${SERVERS.join(", ")}.`);
+  }
+
+  const services = [];
+  for (const name of names) {
+    services.push((await import(`../mcp-${name}/server.js`)).service);
+  }
+
+  const server = await serveHttp(services, { ...transportOptions(), transport: "http" }, log);
+  handleShutdown(server, log);
+  log(`Started and ready: ${services.map((service) => service.name).join(", ")}`);
+
+  // mcp-concilium drives the same providers as the single-provider servers: check each once
+  const adapters = new Map(services.flatMap((service) => service.adapters).map((adapter) => [adapter.name, adapter]));
+  selfCheck([...adapters.values()], log);
+}
+
+main().catch((err) => {
+  log(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+/**
+ * MCP server that runs a whole Concilium consultation in one tool call.
+ *
+ * Key features:
+ *   - concilium_consult: fans a prompt out to the primary providers in parallel
+ *   - Walks the fallback chain (default: Qwen → DeepSeek) on QUOTA/AUTH errors
+ *   - Tags every answer with the provider that actually responded
+ *   - Reports progress (and streamed partial answers) when the client asks for it
+ *   - concilium_debate: rounds of critique and revision until positions converge
+ *   - concilium_synthesize: a judge provider scores agreement across answers
+ *   - concilium_report: exports review findings as SARIF or Markdown
+ *   - Drives the CLIs through the same core provider adapters as mcp-openai,
+ *     mcp-gemini and mcp-qwen (no MCP round-trips between servers)
+ *
+ * Prerequisites:
+ *   - The CLIs of the providers you use (codex, gemini, qwen), set up as
+ *     described in docs/setup-*.md
+ *   - DEEPSEEK_API_KEY env var for the DeepSeek fallback (optional)
+ */
+
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { z } from "zod";
+import {
+  runProvider,
+  providerResultShape,
+  breakerResultShape,
+  breakerToolResult,
+  usageResultShape,
+  usageToolResult,
+  statusResultShape,
+  statusToolResult,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptSearchShape,
+  transcriptResultShape,
+  transcriptToolResult,
+  TRANSCRIPT_URI_TEMPLATE,
+  conciliumPrompts,
+  selfCheck,
+  progressNotifier,
+  handleShutdown,
+  serve,
+  isMain,
+  runConsultation,
+  consultParticipant,
+  runDebate,
+  debateResultShape,
+  synthesisPrompt,
+  parseSynthesis,
+  needsIteration,
+  synthesisShape,
+  DEFAULT_AGREEMENT_THRESHOLD,
+  parseFindings,
+  normalizeFindings,
+  writeReport,
+  reportResultShape,
+  REPORT_FORMATS,
+  loadConfigOrExit,
+  toolConfig,
+  codexExec,
+  gemini,
+  qwen,
+  openAICompatible,
+  OPENAI_COMPATIBLE_PRESETS,
+} from "../core/index.js";
+
+function log(msg) {
+  console.error(`[Concilium MCP] ${msg}`);
+}
+
+const config = await loadConfigOrExit(z, log);
+const FALLBACK = config.fallback ?? ["qwen", "deepseek"];
+const consultSettings = toolConfig(config, "concilium_consult", null, { timeout: 180 });
+const debateSettings = toolConfig(config, "concilium_debate", null, { timeout: 180 });
+const synthesizeSettings = toolConfig(config, "concilium_synthesize", null, { timeout: 180 });
+
+// Provider-level settings only: these calls don't belong to any one provider tool
+const openaiCli = toolConfig(config, null, codexExec);
+const geminiCli = toolConfig(config, null, gemini);
+// Same model the skill uses for Qwen as a fallback reviewer
+const qwenCli = toolConfig(config, null, qwen, { model: "qwen-plus" });
+
+// DeepSeek goes over HTTP (the mcp-openai-compatible adapter) rather than a CLI
+const deepseek = openAICompatible({
+  ...OPENAI_COMPATIBLE_PRESETS.deepseek,
+  name: "deepseek",
+  baseUrl: process.env.DEEPSEEK_BASE_URL || OPENAI_COMPATIBLE_PRESETS.deepseek.baseUrl,
+  model: process.env.DEEPSEEK_MODEL || OPENAI_COMPATIBLE_PRESETS.deepseek.model,
+});
+
+/**
+ * Provider registry. Each `ask` resolves { response } or { error } and never rejects;
+ * `adapter` is what concilium_status checks.
+ */
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    adapter: openaiCli.adapter,
+    ask: (prompt, { tool, timeoutMs, cwd, onProgress, signal }) =>
+      runProvider(openaiCli.adapter, { tool, prompt, timeoutMs, cwd, onProgress, signal, model: openaiCli.model }),
+  },
+  gemini: {
+    label: "Gemini",
+    adapter: geminiCli.adapter,
+    ask: (prompt, { tool, timeoutMs, cwd, onProgress, signal }) =>
+      runProvider(geminiCli.adapter, { tool, prompt, timeoutMs, cwd, onProgress, signal, model: geminiCli.model }),
+  },
+  qwen: {
+    label: "Qwen",
+    adapter: qwenCli.adapter,
+    ask: (prompt, { tool, timeoutMs, cwd, onProgress, signal }) =>
+      runProvider(qwenCli.adapter, { tool, prompt, timeoutMs, cwd, onProgress, signal, model: qwenCli.model }),
+  },
+  deepseek: {
+    label: "DeepSeek",
+    adapter: deepseek,
+    ask: (prompt, { tool, timeoutMs, onProgress, signal }) =>
+      runProvider(deepseek, { tool, prompt, timeoutMs, onProgress, signal }),
+  },
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+const ADAPTERS = Object.values(PROVIDERS).map((provider) => provider.adapter);
+
+async function ask(name, prompt, options) {
+  const provider = PROVIDERS[name];
+  const startTime = Date.now();
+  const result = await provider.ask(prompt, options);
+  result.elapsed ??= ((Date.now() - startTime) / 1000).toFixed(1);
+  const notes = [
+    result.queued > 0 && `${result.queued}s queued`,
+    result.attempts > 1 && `${result.attempts} attempts`,
+    result.redactions?.length > 0 && `${result.redactions.length} secret(s) found`,
+  ].filter(Boolean);
+  log(`${provider.label}: ${result.error ? result.error.errorType : `OK in ${result.elapsed}s (${result.response.length} chars)`}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`);
+  return result;
+}
+
+function formatAnswer(answer) {
+  const label = PROVIDERS[answer.participant].label;
+  const failed = answer.attempts.filter((a) => a.errorType).map((a) => `${PROVIDERS[a.provider].label} ${a.errorType}`);
+  const trail = failed.length > 0 ? `\nFallbacks: ${failed.join(" → ")}` : "";
+
+  if (!answer.respondedBy) {
+    return `## ${label} — no answer${trail}\n\n${answer.message}`;
+  }
+
+  const via = answer.respondedBy === answer.participant ? "" : ` (answered by ${PROVIDERS[answer.respondedBy].label})`;
+  return `## ${label}${via}${trail}\n\n${answer.response}`;
+}
+
+const STOP_REASONS = {
+  converged: (n) => `converged after ${n} rounds`,
+  max_rounds: (n) => `no consensus after ${n} rounds`,
+  too_few_participants: (n) => `stopped after round ${n}: fewer than two participants left`,
+};
+
+function formatDebate({ rounds, positions, stopReason }) {
+  const transcript = rounds.map(({ round, answers }) => {
+    const parts = answers.map(({ participant, response, errorType, message }) => {
+      const label = PROVIDERS[participant].label;
+      return response === null ? `### ${label} — dropped out (${errorType})\n\n${message}` : `### ${label}\n\n${response}`;
+    });
+    return `## Round ${round}\n\n${parts.join("\n\n")}`;
+  });
+
+  const final = positions.map(({ participant, position }) => `- **${PROVIDERS[participant].label}**: ${position ?? "(no POSITION line)"}`);
+  transcript.push(`## Final positions — ${STOP_REASONS[stopReason](rounds.length)}\n\n${final.join("\n") || "None"}`);
+  return transcript.join("\n\n---\n\n");
+}
+
+function formatSynthesis({ summary, consensus, disagreements, uniqueIdeas, agreementScore }, iterate) {
+  const label = (provider) => PROVIDERS[provider]?.label ?? provider;
+  const list = (items) => (items.length > 0 ? items.join("\n") : "- None");
+
+  return [
+    `## Agreement: ${agreementScore ?? "unknown"}${iterate ? " — another iteration recommended" : ""}`,
+    summary,
+    `## Consensus\n\n${list(consensus.map((point) => `- ${point}`))}`,
+    `## Disagreements\n\n${list(
+      disagreements.map(({ topic, positions }) => `- ${topic}\n${positions.map((p) => `  - ${label(p.provider)}: ${p.position}`).join("\n")}`)
+    )}`,
+    `## Unique ideas\n\n${list(uniqueIdeas.map(({ provider, idea }) => `- ${label(provider)}: ${idea}`))}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// --- MCP Server ---
+
+export function createServer() {
+  const mcpServer = new McpServer({
+    name: "concilium-mcp",
+    version: "2.0.0",
+  });
+
+  mcpServer.registerTool(
+    "concilium_consult",
+    {
+      description:
+        "Run a Concilium consultation: sends the prompt to all participants in parallel (default OpenAI + Gemini), automatically falls back along the chain (default Qwen → DeepSeek) on QUOTA_EXCEEDED/BUDGET_EXCEEDED/QUEUE_TIMEOUT/AUTH_* errors, and returns every answer tagged with the provider that actually responded.",
+      inputSchema: {
+        prompt: z.string().describe("The prompt to send to every participant"),
+        participants: z
+          .array(z.enum(PROVIDER_NAMES))
+          .min(1)
+          .default(["openai", "gemini"])
+          .describe("Primary providers, queried in parallel (default: openai, gemini)"),
+        fallback: z
+          .array(z.enum(PROVIDER_NAMES))
+          .default(FALLBACK)
+          .describe(`Fallback chain walked in order on QUOTA/AUTH errors (default: ${FALLBACK.join(", ") || "none"})`),
+        timeout: z
+          .number()
+          .default(consultSettings.timeout)
+          .describe(`Timeout per provider call in seconds (default ${consultSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Working directory for the CLI participants (Codex, Gemini, Qwen)"),
+      },
+      outputSchema: {
+        answers: z
+          .array(
+            z.object({
+              participant: z.string().describe("Primary provider this answer stands in for"),
+              respondedBy: z.string().nullable().describe("Provider that actually answered, null if none did"),
+              response: z.string().nullable().describe("Answer text, null if no provider answered"),
+              message: z.string().nullable().describe("Why there is no answer, null on success"),
+              attempts: z
+                .array(z.object(providerResultShape(z)).omit({ response: true }))
+                .describe("Every provider tried for this participant, in order"),
+            })
+          )
+          .describe("One entry per participant"),
+        answered: z.number().describe("Number of participants that got an answer"),
+      },
+    },
+    async ({ prompt, participants = ["openai", "gemini"], fallback = FALLBACK, timeout = consultSettings.timeout, cwd }, extra) => {
+      const unique = [...new Set(participants)];
+      log(`Consult: ${prompt.length} chars, participants: ${unique.join(", ")}, fallback: ${fallback.join(" → ") || "none"}`);
+      const startTime = Date.now();
+
+      // Participants run in parallel on one progress stream, so label their text
+      const options = {
+        tool: "concilium_consult",
+        timeoutMs: timeout * 1000,
+        cwd,
+        onProgress: progressNotifier(extra, { labelText: true }),
+        signal: extra.signal,
+      };
+      const answers = await runConsultation({ participants: unique, fallback, ask: (name) => ask(name, prompt, options) });
+
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      const answered = answers.filter((a) => a.respondedBy).length;
+      log(`Consult done in ${elapsed}s (${answered}/${answers.length} answered)`);
+
+      return {
+        content: [{ type: "text", text: answers.map(formatAnswer).join("\n\n---\n\n") }],
+        structuredContent: { answers, answered },
+        isError: answered === 0,
+      };
+    }
+  );
+
+  mcpServer.registerTool(
+    "concilium_debate",
+    {
+      description:
+        "Run a multi-round debate: every participant answers the question, then in each following round sees the others' previous answers, critiques them and revises its own. Stops early when all participants agree, and returns the round-by-round transcript and the final positions. A participant whose call fails drops out (no fallback chain).",
+      inputSchema: {
+        question: z.string().describe("The question or problem to debate, with full context"),
+        participants: z
+          .array(z.enum(PROVIDER_NAMES))
+          .min(2)
+          .default(["openai", "gemini", "qwen"])
+          .describe("Providers taking part (default: openai, gemini, qwen)"),
+        rounds: z
+          .number()
+          .int()
+          .min(1)
+          .max(5)
+          .default(3)
+          .describe("Maximum number of rounds, including the opening one (default 3)"),
+        timeout: z
+          .number()
+          .default(debateSettings.timeout)
+          .describe(`Timeout per provider call in seconds (default ${debateSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Working directory for the CLI participants (Codex, Gemini, Qwen)"),
+      },
+      outputSchema: debateResultShape(z),
+    },
+    async ({ question, participants = ["openai", "gemini", "qwen"], rounds = 3, timeout = debateSettings.timeout, cwd }, extra) => {
+      const unique = [...new Set(participants)];
+      log(`Debate: ${question.length} chars, participants: ${unique.join(", ")}, up to ${rounds} rounds`);
+      const startTime = Date.now();
+
+      const options = {
+        tool: "concilium_debate",
+        timeoutMs: timeout * 1000,
+        cwd,
+        onProgress: progressNotifier(extra, { labelText: true }),
+        signal: extra.signal,
+      };
+      const debate = await runDebate({
+        question,
+        participants: unique,
+        labels: Object.fromEntries(unique.map((name) => [name, PROVIDERS[name].label])),
+        maxRounds: rounds,
+        ask: (name, prompt) => ask(name, prompt, options),
+        log,
+      });
+
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      log(`Debate done in ${elapsed}s: ${STOP_REASONS[debate.stopReason](debate.rounds.length)}`);
+
+      return {
+        content: [{ type: "text", text: formatDebate(debate) }],
+        structuredContent: debate,
+        isError: debate.positions.length === 0,
+      };
+    }
+  );
+
+  mcpServer.registerTool(
+    "concilium_synthesize",
+    {
+      description:
+        "Synthesize several provider answers with a judge provider: consensus points, disagreements with who said what, unique ideas, and an agreement score (0–1). needsIteration is true when the score is below the threshold, i.e. another Concilium iteration is warranted. The judge walks the fallback chain on QUOTA/AUTH errors.",
+      inputSchema: {
+        answers: z
+          .array(
+            z.object({
+              provider: z.string().describe("Provider that gave the answer (openai, gemini, qwen, deepseek, ...)"),
+              response: z.string().describe("The answer text"),
+            })
+          )
+          .min(2)
+          .describe("Answers to compare, e.g. the answers of concilium_consult"),
+        question: z
+          .string()
+          .optional()
+          .describe("The question the answers respond to (recommended)"),
+        judge: z
+          .enum(PROVIDER_NAMES)
+          .default("gemini")
+          .describe("Provider that writes the synthesis (default: gemini)"),
+        fallback: z
+          .array(z.enum(PROVIDER_NAMES))
+          .default(FALLBACK)
+          .describe(`Fallback chain for the judge on QUOTA/AUTH errors (default: ${FALLBACK.join(", ") || "none"})`),
+        threshold: z
+          .number()
+          .min(0)
+          .max(1)
+          .default(DEFAULT_AGREEMENT_THRESHOLD)
+          .describe(`Agreement score below which needsIteration is true (default ${DEFAULT_AGREEMENT_THRESHOLD})`),
+        timeout: z
+          .number()
+          .default(synthesizeSettings.timeout)
+          .describe(`Timeout for the judge call in seconds (default ${synthesizeSettings.timeout})`),
+      },
+      outputSchema: {
+        ...synthesisShape(z),
+        needsIteration: z.boolean().describe("True if the agreement score is below the threshold (or unknown)"),
+        judge: z.string().describe("Provider that wrote the synthesis"),
+        attempts: z
+          .array(z.object(providerResultShape(z)).omit({ response: true }))
+          .describe("Every provider tried as judge, in order"),
+      },
+    },
+    async (
+      { answers, question, judge = "gemini", fallback = FALLBACK, threshold = DEFAULT_AGREEMENT_THRESHOLD, timeout = synthesizeSettings.timeout },
+      extra
+    ) => {
+      log(`Synthesize: ${answers.length} answers, judge: ${judge}, fallback: ${fallback.join(" → ") || "none"}`);
+
+      const labels = Object.fromEntries(answers.map(({ provider }) => [provider, PROVIDERS[provider]?.label ?? provider]));
+      const prompt = synthesisPrompt(answers, { question, labels });
+      const options = {
+        tool: "concilium_synthesize",
+        timeoutMs: timeout * 1000,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
+      };
+      const verdict = await consultParticipant({
+        participant: judge,
+        fallback,
+        claimed: new Set([judge]),
+        ask: (name) => ask(name, prompt, options),
+      });
+
+      if (!verdict.respondedBy) {
+        return { content: [{ type: "text", text: formatAnswer(verdict) }], isError: true };
+      }
+
+      const synthesis = parseSynthesis(verdict.response, { labels });
+      if (!synthesis) {
+        log(`Synthesize: no JSON synthesis from ${PROVIDERS[verdict.respondedBy].label}`);
+        return {
+          content: [{ type: "text", text: `Judge returned no JSON synthesis. Raw answer:\n\n${verdict.response}` }],
+          isError: true,
+        };
+      }
+
+      const iterate = needsIteration(synthesis, threshold);
+      log(`Synthesize: agreement ${synthesis.agreementScore ?? "unknown"}${iterate ? ", another iteration recommended" : ""}`);
+
+      return {
+        content: [{ type: "text", text: formatSynthesis(synthesis, iterate) }],
+        structuredContent: { ...synthesis, needsIteration: iterate, judge: verdict.respondedBy, attempts: verdict.attempts },
+      };
+    }
+  );
+
+  mcpServer.registerTool(
+    "concilium_report",
+    {
+      description:
+        "Export review findings as a SARIF 2.1.0 file (for code-scanning dashboards) or a grouped Markdown report (for PRs). Pass each provider's review: raw text from any review or chat tool (findings are parsed from it), or the structured findings returned by *_review tools. Findings several providers agree on are merged in the Markdown report.",
+      inputSchema: {
+        reviews: z
+          .array(
+            z.object({
+              provider: z.string().describe("Provider that wrote the review (openai, gemini, qwen, deepseek, ...)"),
+              text: z.string().optional().describe("Raw review text; findings are parsed from it"),
+              findings: z
+                .array(
+                  z
+                    .object({
+                      file: z.string().nullable().optional(),
+                      startLine: z.number().nullable().optional(),
+                      endLine: z.number().nullable().optional(),
+                      severity: z.string().optional(),
+                      category: z.string().optional(),
+                      message: z.string(),
+                      suggestion: z.string().nullable().optional(),
+                    })
+                    .passthrough()
+                )
+                .optional()
+                .describe("Structured findings (e.g. from a *_review tool); used instead of parsing text"),
+            })
+          )
+          .min(1)
+          .describe("One entry per provider review"),
+        format: z.enum(REPORT_FORMATS).describe("sarif or markdown"),
+        path: z
+          .string()
+          .optional()
+          .describe("Output path, relative to cwd (default concilium-review.sarif / concilium-review.md)"),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Repo root: base for the output path and for SARIF file locations"),
+        title: z
+          .string()
+          .optional()
+          .describe("Markdown report title (default: Concilium Review)"),
+      },
+      outputSchema: reportResultShape(z),
+    },
+    async ({ reviews, format, path, cwd, title }) => {
+      const normalized = reviews.map(({ provider, text, findings }) => ({
+        provider,
+        label: PROVIDERS[provider]?.label,
+        findings: findings ? normalizeFindings(findings) : parseFindings(text),
+        response: text,
+      }));
+
+      try {
+        const report = await writeReport(normalized, { format, path, cwd, title });
+        log(`Report: ${report.path} (${format}, ${report.findings} findings from ${reviews.length} reviews)`);
+        return {
+          content: [{ type: "text", text: `Wrote ${format} report with ${report.findings} findings to ${report.path}` }],
+          structuredContent: report,
+        };
+      } catch (error) {
+        log(`Report failed: ${error.message}`);
+        return { content: [{ type: "text", text: `Report not written: ${error.message}` }], isError: true };
+      }
+    }
+  );
+
+  mcpServer.registerTool(
+    "concilium_breaker",
+    {
+      description:
+        "Inspect or reset the quota circuit breakers of all Concilium providers. An open breaker makes that provider fail fast with QUOTA_EXCEEDED (so consultations go straight to the fallback) until its reset time or cool-down.",
+      inputSchema: {
+        provider: z
+          .enum(PROVIDER_NAMES)
+          .optional()
+          .describe("Limit to one provider (default: all)"),
+        reset: z
+          .boolean()
+          .default(false)
+          .describe("Close the selected breakers now"),
+      },
+      outputSchema: breakerResultShape(z),
+    },
+    async ({ provider, reset = false }) => breakerToolResult(provider ? [provider] : PROVIDER_NAMES, { reset, log })
+  );
+
+  mcpServer.registerTool(
+    "concilium_usage",
+    {
+      description:
+        "Usage of all Concilium providers from the local ledger: requests, prompt chars and CLI time for today and previous days, by model and user, with each provider's daily budget.",
+      inputSchema: {
+        provider: z
+          .enum(PROVIDER_NAMES)
+          .optional()
+          .describe("Limit to one provider (default: all)"),
+        days: z
+          .number()
+          .int()
+          .min(0)
+          .default(7)
+          .describe("How many previous days to include (default 7)"),
+      },
+      outputSchema: usageResultShape(z),
+    },
+    async ({ provider, days = 7 }) => usageToolResult(provider ? [provider] : PROVIDER_NAMES, { days })
+  );
+
+  mcpServer.registerTool(
+    "concilium_status",
+    {
+      description:
+        "Check every Concilium provider before a consultation: each CLI on PATH and its version, config and auth setup, the DeepSeek API key, plus quota breakers and daily budgets. Shows which participants and fallbacks can answer right now.",
+      inputSchema: {},
+      outputSchema: statusResultShape(z),
+    },
+    async () => statusToolResult(ADAPTERS)
+  );
+
+  mcpServer.registerTool(
+    "concilium_transcripts",
+    {
+      description:
+        "Search the transcript log of past consultations, debates and single-provider calls (kept when CONCILIUM_TRANSCRIPTS=1): which prompt went to which provider, what came back, errors and timings. Each match links a concilium://transcripts/{id} resource with the full prompt and response, e.g. to audit what code was sent to which vendor.",
+      inputSchema: transcriptSearchShape(z),
+      outputSchema: transcriptResultShape(z),
+    },
+    async (filters) => transcriptToolResult(filters)
+  );
+
+  mcpServer.registerResource(
+    "transcripts",
+    new ResourceTemplate(TRANSCRIPT_URI_TEMPLATE, { list: listTranscriptResources }),
+    {
+      title: "Concilium transcripts",
+      description: "Recorded provider calls with full prompt and response (CONCILIUM_TRANSCRIPTS=1), newest first",
+      mimeType: "application/json",
+    },
+    readTranscriptResource
+  );
+
+  for (const prompt of conciliumPrompts(z, { form: "full", label: "Concilium" })) {
+    mcpServer.registerPrompt(prompt.name, prompt.config, prompt.callback);
+  }
+
+  return mcpServer;
+}
+
+export const service = {
+  name: "concilium",
+  createServer,
+  transports: { StdioServerTransport, StreamableHTTPServerTransport },
+  log,
+  adapters: ADAPTERS,
+};
+
+async function main() {
+  const server = await serve(service);
+  handleShutdown(server, log);
+  log("Started and ready");
+  selfCheck(service.adapters, log);
+}
+
+if (isMain(import.meta.url)) {
+  main().catch((err) => {
+    log(err.message);
+    process.exit(1);
+  });
+}
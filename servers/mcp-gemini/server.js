@@ -15,272 +15,365 @@
  *   - Authenticated: run `gemini` in terminal to login via Google
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { z } from "zod";
-import { spawn } from "child_process";
+import {
+  toolResult,
+  providerResultShape,
+  breakerResultShape,
+  breakerToolResult,
+  usageResultShape,
+  usageToolResult,
+  statusResultShape,
+  statusToolResult,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptSearchShape,
+  transcriptResultShape,
+  transcriptToolResult,
+  TRANSCRIPT_URI_TEMPLATE,
+  conciliumPrompts,
+  selfCheck,
+  progressNotifier,
+  handleShutdown,
+  serve,
+  isMain,
+  withFindings,
+  reviewResultShape,
+  exportReview,
+  REPORT_FORMATS,
+  runReview,
+  runWithAttachments,
+  attachmentInputShape,
+  attachmentsShape,
+  runChunkedAnalysis,
+  estimateTokens,
+  maxInputTokens,
+  mapReduceShape,
+  ANALYZE_MODES,
+  DEFAULT_CHUNK_TOKENS,
+  loadConfigOrExit,
+  toolConfig,
+  gemini,
+} from "../core/index.js";
 
 function log(msg) {
   console.error(`[Gemini MCP] ${msg}`);
 }
 
-/**
- * Check output for known error patterns.
- */
-function detectError(output) {
-  const text = output.toLowerCase();
-
-  if (text.includes("quota") || text.includes("rate limit") || text.includes("resource_exhausted")) {
-    return {
-      isError: true,
-      errorType: "QUOTA_EXCEEDED",
-      message: "Gemini daily quota exceeded. Free tier: 1000 req/day. Try again tomorrow or use a fallback provider.",
-    };
-  }
-
-  if (text.includes("authentication") || text.includes("not authenticated") || text.includes("login")) {
-    return {
-      isError: true,
-      errorType: "AUTH_REQUIRED",
-      message: "Gemini not authenticated. Run 'gemini' in terminal to login via Google account.",
-    };
-  }
-
-  return null;
-}
-
-const MAX_BUFFER = 10 * 1024 * 1024; // 10MB stdout/stderr limit
-
-/**
- * Run gemini CLI with timeout and proper SIGTERM/SIGKILL cleanup.
- */
-function runGemini(prompt, options = {}) {
-  const { timeoutMs = 90000, model, outputFormat = "text" } = options;
-
-  return new Promise((resolve, reject) => {
-    const args = ["-p", prompt, "-o", outputFormat];
-
-    if (model) {
-      args.push("-m", model);
-    }
-
-    const proc = spawn("gemini", args, {
-      stdio: ["pipe", "pipe", "pipe"],
-      env: { ...process.env },
-    });
-
-    let stdout = "";
-    let stderr = "";
-    let killed = false;
-    let killTimer;
-
-    const timer = setTimeout(() => {
-      killed = true;
-      proc.kill("SIGTERM");
-      killTimer = setTimeout(() => {
-        try { if (!proc.killed) proc.kill("SIGKILL"); } catch {}
-      }, 5000);
-    }, timeoutMs);
-
-    proc.stdout.on("data", (data) => {
-      stdout += data.toString();
-      if (stdout.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    proc.stderr.on("data", (data) => {
-      stderr += data.toString();
-      if (stderr.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    proc.stdin.end();
-
-    proc.on("close", (exitCode) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      if (killed) {
-        reject(new Error(`Gemini killed after ${timeoutMs / 1000}s timeout. Partial: ${stdout.slice(-200)}`));
-      } else {
-        resolve({ stdout, stderr, exitCode });
-      }
-    });
-
-    proc.on("error", (err) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      reject(err);
-    });
-  });
-}
+const config = await loadConfigOrExit(z, log);
+const chatSettings = toolConfig(config, "gemini_chat", gemini, { timeout: 90 });
+const analyzeSettings = toolConfig(config, "gemini_analyze", gemini, { timeout: 180 });
+// ~1M tokens; anything over the context limit is map-reduced
+const ANALYZE_ATTACHMENT_BYTES = 4000000;
+const reviewSettings = toolConfig(config, "gemini_review", gemini, { timeout: 180 });
 
 // --- MCP Server ---
 
-const mcpServer = new McpServer({
-  name: "gemini-mcp",
-  version: "2.0.0",
-});
+export function createServer() {
+  const mcpServer = new McpServer({
+    name: "gemini-mcp",
+    version: "2.0.0",
+  });
 
-mcpServer.registerTool(
-  "gemini_chat",
-  {
-    description:
-      "Send a prompt to Gemini via gemini-cli. Free tier: 1000 req/day. Uses Google account auth (no API key). Good for code review, architecture questions, analysis. 1M token context window.",
-    inputSchema: {
-      prompt: z.string().describe("The prompt to send to Gemini"),
-      model: z
-        .string()
-        .optional()
-        .describe("Model override (default: gemini-2.5-pro). Options: gemini-2.5-pro, gemini-2.5-flash"),
-      timeout: z
-        .number()
-        .default(90)
-        .describe("Timeout in seconds (default 90)"),
+  mcpServer.registerTool(
+    "gemini_chat",
+    {
+      description:
+        "Send a prompt to Gemini via gemini-cli. Free tier: 1000 req/day. Uses Google account auth (no API key). Good for code review, architecture questions, analysis. 1M token context window. Attach code with files/globs instead of pasting it into the prompt.",
+      inputSchema: {
+        prompt: z.string().describe("The prompt to send to Gemini"),
+        ...attachmentInputShape(z),
+        model: z
+          .string()
+          .optional()
+          .describe("Model override (default: gemini-2.5-pro). Options: gemini-2.5-pro, gemini-2.5-flash"),
+        timeout: z
+          .number()
+          .default(chatSettings.timeout)
+          .describe(`Timeout in seconds (default ${chatSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Directory that files and globs are relative to (default: the server's working directory)"),
+      },
+      outputSchema: { ...providerResultShape(z), attachments: attachmentsShape(z) },
     },
-  },
-  async ({ prompt, model, timeout = 90 }) => {
-    const timeoutMs = timeout * 1000;
-
-    try {
+    async ({ prompt, files, globs, maxBytes, model = chatSettings.model, timeout = chatSettings.timeout, cwd }, extra) => {
       log(`Chat: ${prompt.length} chars, timeout ${timeout}s, model: ${model || "default"}`);
-      const startTime = Date.now();
 
-      const { stdout, stderr, exitCode } = await runGemini(prompt, {
-        timeoutMs,
+      const result = await runWithAttachments(chatSettings.adapter, {
+        tool: "gemini_chat",
+        prompt,
+        files,
+        globs,
+        maxBytes,
         model,
+        timeoutMs: timeout * 1000,
+        cwd,
+        log,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
       });
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      const combined = stdout + stderr;
-
-      const error = detectError(combined);
-      if (error) {
-        log(`${error.errorType}: ${error.message}`);
-        return {
-          content: [{ type: "text", text: error.message }],
-          isError: true,
-        };
-      }
-
-      const response = stdout.trim();
-
-      if (!response) {
-        log(`No response (exit: ${exitCode})`);
-        return {
-          content: [{ type: "text", text: `No response from Gemini. Exit: ${exitCode}. Stderr: ${stderr.slice(-300)}` }],
-          isError: true,
-        };
-      }
-
-      log(`OK in ${elapsed}s (${response.length} chars)`);
-
-      return {
-        content: [{ type: "text", text: response }],
-      };
-    } catch (error) {
-      const knownError = detectError(error.message);
-      if (knownError) {
-        return {
-          content: [{ type: "text", text: knownError.message }],
-          isError: true,
-        };
-      }
-
-      log(`Error: ${error.message}`);
-      return {
-        content: [{ type: "text", text: `Gemini error: ${error.message}` }],
-        isError: true,
-      };
+      return toolResult(result, log);
     }
-  }
-);
-
-mcpServer.registerTool(
-  "gemini_analyze",
-  {
-    description:
-      "Deep analysis with Gemini — sends a large context (up to 1M tokens). Use for analyzing entire files, large diffs, or complex codebases. Longer timeout (3 min).",
-    inputSchema: {
-      prompt: z.string().describe("Analysis prompt with full context/code to analyze"),
-      model: z
-        .string()
-        .optional()
-        .describe("Model: gemini-2.5-pro (default, best), gemini-2.5-flash (faster)"),
-      timeout: z
-        .number()
-        .default(180)
-        .describe("Timeout in seconds (default 180 for large contexts)"),
+  );
+
+  mcpServer.registerTool(
+    "gemini_analyze",
+    {
+      description:
+        `Deep analysis with Gemini — sends a large context (up to 1M tokens). Use for analyzing entire files, large diffs, or complex codebases. Longer timeout (${analyzeSettings.timeout}s by default). Inputs over the context limit are analyzed in parts (split at file and diff hunk boundaries) and merged into one answer that says which part each point came from.`,
+      inputSchema: {
+        prompt: z.string().describe("Analysis prompt with full context/code to analyze, or the question when the code comes from files/globs"),
+        ...attachmentInputShape(z, { maxBytes: ANALYZE_ATTACHMENT_BYTES }),
+        task: z
+          .string()
+          .optional()
+          .describe("The question, sent with every part in map-reduce mode (default: the text before the first file, or the first paragraph)"),
+        model: z
+          .string()
+          .optional()
+          .describe("Model: gemini-2.5-pro (default, best), gemini-2.5-flash (faster)"),
+        timeout: z
+          .number()
+          .default(analyzeSettings.timeout)
+          .describe(`Timeout in seconds (default ${analyzeSettings.timeout} for large contexts); per call in map-reduce mode`),
+        mode: z
+          .enum(ANALYZE_MODES)
+          .default("auto")
+          .describe(`auto: map-reduce only when the input is over ~${maxInputTokens(analyzeSettings.adapter)} tokens (default); single: always one call; map_reduce: always split`),
+        chunkTokens: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe(`Approximate tokens per part in map-reduce mode (default ${DEFAULT_CHUNK_TOKENS})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Directory that files and globs are relative to (default: the server's working directory)"),
+      },
+      outputSchema: { ...providerResultShape(z), mapReduce: mapReduceShape(z), attachments: attachmentsShape(z) },
     },
-  },
-  async ({ prompt, model, timeout = 180 }) => {
-    const timeoutMs = timeout * 1000;
-
-    try {
-      log(`Analyze: ${prompt.length} chars, timeout ${timeout}s`);
-      const startTime = Date.now();
-
-      const { stdout, stderr, exitCode } = await runGemini(prompt, {
-        timeoutMs,
+    async ({ prompt, files, globs, maxBytes, task, model = analyzeSettings.model, timeout = analyzeSettings.timeout, mode = "auto", chunkTokens, cwd }, extra) => {
+      log(`Analyze: ${prompt.length} chars (~${estimateTokens(prompt)} tokens), timeout ${timeout}s`);
+
+      const result = await runWithAttachments(
+        analyzeSettings.adapter,
+        {
+          tool: "gemini_analyze",
+          prompt,
+          files,
+          globs,
+          maxBytes,
+          task,
+          mode,
+          chunkTokens,
+          model,
+          timeoutMs: timeout * 1000,
+          cwd,
+          log,
+          onProgress: progressNotifier(extra, { total: timeout }),
+          signal: extra.signal,
+        },
+        (adapter, request) => runChunkedAnalysis(adapter, { ...request, log })
+      );
+
+      return toolResult(result, log, "Analyze");
+    }
+  );
+
+  mcpServer.registerTool(
+    "gemini_review",
+    {
+      description:
+        "Gemini code review of a git repo: collects the diff itself (uncommitted changes, changes against a base branch, or one commit) with surrounding file context, applies the review prompt template plus your instructions, and returns the review. Same scopes as openai_review; no need to paste diffs into gemini_chat.",
+      inputSchema: {
+        instructions: z
+          .string()
+          .optional()
+          .describe("Custom review instructions (e.g., 'Focus on error handling and race conditions')"),
+        uncommitted: z
+          .boolean()
+          .default(true)
+          .describe("Review uncommitted changes: staged, unstaged and untracked (default true)"),
+        base: z
+          .string()
+          .optional()
+          .describe("Review changes on HEAD since it diverged from this base branch"),
+        commit: z
+          .string()
+          .optional()
+          .describe("Review a specific commit SHA"),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Git repo to review (default: the server's working directory)"),
+        model: z
+          .string()
+          .optional()
+          .describe("Model override (default: gemini-2.5-pro). Options: gemini-2.5-pro, gemini-2.5-flash"),
+        contextLines: z
+          .number()
+          .int()
+          .min(0)
+          .default(10)
+          .describe("Lines of file context around each hunk (default 10, reduced to 3 if over budget)"),
+        maxChars: z
+          .number()
+          .int()
+          .positive()
+          .default(400000)
+          .describe("Diff size budget in chars; files beyond it are left out and listed (default 400000)"),
+        timeout: z
+          .number()
+          .default(reviewSettings.timeout)
+          .describe(`Timeout in seconds (default ${reviewSettings.timeout})`),
+        report: z
+          .enum(REPORT_FORMATS)
+          .optional()
+          .describe("Also write the findings as a report: sarif (SARIF 2.1.0, for code scanning) or markdown (for PRs)"),
+        reportPath: z
+          .string()
+          .optional()
+          .describe("Report path, relative to cwd (default concilium-review.sarif / concilium-review.md)"),
+      },
+      outputSchema: reviewResultShape(z),
+    },
+    async (
+      {
+        instructions,
+        uncommitted = true,
+        base,
+        commit,
+        cwd,
+        model = reviewSettings.model,
+        contextLines = 10,
+        maxChars = 400000,
+        timeout = reviewSettings.timeout,
+        report,
+        reportPath,
+      },
+      extra
+    ) => {
+      const result = await runReview(reviewSettings.adapter, {
+        tool: "gemini_review",
+        instructions,
+        uncommitted,
+        base,
+        commit,
+        cwd,
         model,
+        contextLines,
+        maxChars,
+        timeoutMs: timeout * 1000,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
+        log,
       });
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      const combined = stdout + stderr;
-
-      const error = detectError(combined);
-      if (error) {
-        log(`${error.errorType}: ${error.message}`);
-        return {
-          content: [{ type: "text", text: error.message }],
-          isError: true,
-        };
-      }
-
-      const response = stdout.trim();
-
-      if (!response) {
-        return {
-          content: [{ type: "text", text: `No response from Gemini. Exit: ${exitCode}. Stderr: ${stderr.slice(-300)}` }],
-          isError: true,
-        };
-      }
+      withFindings(result);
+      await exportReview(result, { format: report, path: reportPath, cwd, log });
+      return toolResult(result, log, "Review");
+    }
+  );
+
+  mcpServer.registerTool(
+    "gemini_breaker",
+    {
+      description:
+        "Inspect or reset the Gemini quota circuit breaker. After QUOTA_EXCEEDED the breaker stays open until the reported reset time (or a cool-down), and gemini_chat/gemini_analyze/gemini_review fail fast instead of spawning gemini. Set reset=true to close it early.",
+      inputSchema: {
+        reset: z
+          .boolean()
+          .default(false)
+          .describe("Close the breaker now (e.g. after upgrading your plan)"),
+      },
+      outputSchema: breakerResultShape(z),
+    },
+    async ({ reset = false }) => breakerToolResult(["gemini"], { reset, log })
+  );
+
+  mcpServer.registerTool(
+    "gemini_usage",
+    {
+      description:
+        "Gemini usage from the local ledger: requests, prompt chars and CLI time for today and previous days, broken down by model and user, plus the daily budget (GEMINI_DAILY_BUDGET).",
+      inputSchema: {
+        days: z
+          .number()
+          .int()
+          .min(0)
+          .default(7)
+          .describe("How many previous days to include (default 7)"),
+      },
+      outputSchema: usageResultShape(z),
+    },
+    async ({ days = 7 }) => usageToolResult(["gemini"], { days })
+  );
+
+  mcpServer.registerTool(
+    "gemini_status",
+    {
+      description:
+        "Check that Gemini is ready before a consultation: gemini on PATH and its version, a cached Google login or API key, plus the quota breaker and daily budget.",
+      inputSchema: {},
+      outputSchema: statusResultShape(z),
+    },
+    async () => statusToolResult([chatSettings.adapter])
+  );
+
+  mcpServer.registerTool(
+    "gemini_transcripts",
+    {
+      description:
+        "Search the transcript log of past Gemini calls and those of the other Concilium servers (kept when CONCILIUM_TRANSCRIPTS=1): prompt, response, error type and timings. Filter by provider, tool, error type, date or text; each match links a concilium://transcripts/{id} resource with the full prompt and response.",
+      inputSchema: transcriptSearchShape(z),
+      outputSchema: transcriptResultShape(z),
+    },
+    async (filters) => transcriptToolResult(filters)
+  );
+
+  mcpServer.registerResource(
+    "transcripts",
+    new ResourceTemplate(TRANSCRIPT_URI_TEMPLATE, { list: listTranscriptResources }),
+    {
+      title: "Concilium transcripts",
+      description: "Recorded provider calls with full prompt and response (CONCILIUM_TRANSCRIPTS=1), newest first",
+      mimeType: "application/json",
+    },
+    readTranscriptResource
+  );
 
-      log(`Analyze OK in ${elapsed}s (${response.length} chars)`);
+  for (const prompt of conciliumPrompts(z, { form: "full", label: "Gemini" })) {
+    mcpServer.registerPrompt(prompt.name, prompt.config, prompt.callback);
+  }
 
-      return {
-        content: [{ type: "text", text: response }],
-      };
-    } catch (error) {
-      const knownError = detectError(error.message);
-      if (knownError) {
-        return {
-          content: [{ type: "text", text: knownError.message }],
-          isError: true,
-        };
-      }
+  return mcpServer;
+}
 
-      log(`Error: ${error.message}`);
-      return {
-        content: [{ type: "text", text: `Gemini analyze error: ${error.message}` }],
-        isError: true,
-      };
-    }
-  }
-);
+export const service = {
+  name: "gemini",
+  createServer,
+  transports: { StdioServerTransport, StreamableHTTPServerTransport },
+  log,
+  adapters: [chatSettings.adapter],
+};
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
+  const server = await serve(service);
+  handleShutdown(server, log);
   log("Started and ready");
+  selfCheck(service.adapters, log);
 }
 
-process.on("SIGTERM", () => {
-  log("Shutting down...");
-  mcpServer.close().finally(() => process.exit(0));
-});
-
-main().catch(console.error);
+if (isMain(import.meta.url)) {
+  main().catch((err) => {
+    log(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * MCP server for any OpenAI-compatible chat completions API: DeepSeek,
+ * Ollama, LM Studio, vLLM, OpenRouter, ...
+ *
+ * Key features:
+ *   - Calls <base URL>/chat/completions with fetch (no CLI, no SDK)
+ *   - Presets for DeepSeek, Ollama and LM Studio; everything overridable by env
+ *   - Same error types as the CLI servers: 401 → AUTH_*, 429 → QUOTA_EXCEEDED,
+ *     unknown model → MODEL_NOT_AVAILABLE, plus TIMEOUT and CONNECTION_ERROR
+ *   - Quota circuit breaker, usage ledger and cancellation like the others
+ *   - Run it once per endpoint: tools are named after OPENAI_COMPATIBLE_NAME
+ *
+ * Environment:
+ *   OPENAI_COMPATIBLE_PRESET       deepseek | ollama | lmstudio (default ollama)
+ *   OPENAI_COMPATIBLE_NAME         Provider id and tool prefix (default: the preset)
+ *   OPENAI_COMPATIBLE_LABEL        Display name (default: the preset's)
+ *   OPENAI_COMPATIBLE_BASE_URL     API base URL, including /v1 where the API has it
+ *   OPENAI_COMPATIBLE_MODEL        Default model
+ *   OPENAI_COMPATIBLE_API_KEY_ENV  Name of the env var holding the API key
+ */
+
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { z } from "zod";
+import {
+  runProvider,
+  toolResult,
+  providerResultShape,
+  breakerResultShape,
+  breakerToolResult,
+  usageResultShape,
+  usageToolResult,
+  statusResultShape,
+  statusToolResult,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptSearchShape,
+  transcriptResultShape,
+  transcriptToolResult,
+  TRANSCRIPT_URI_TEMPLATE,
+  conciliumPrompts,
+  selfCheck,
+  progressNotifier,
+  handleShutdown,
+  serve,
+  isMain,
+  loadConfigOrExit,
+  toolConfig,
+  openAICompatible,
+  OPENAI_COMPATIBLE_PRESETS,
+} from "../core/index.js";
+
+const env = process.env;
+const presetName = env.OPENAI_COMPATIBLE_PRESET || "ollama";
+const preset = OPENAI_COMPATIBLE_PRESETS[presetName];
+const name = env.OPENAI_COMPATIBLE_NAME || presetName;
+const label = env.OPENAI_COMPATIBLE_LABEL || preset?.label || name;
+
+function log(msg) {
+  console.error(`[${label} MCP] ${msg}`);
+}
+
+if (!preset) {
+  log(`Unknown OPENAI_COMPATIBLE_PRESET "${presetName}". Use one of: ${Object.keys(OPENAI_COMPATIBLE_PRESETS).join(", ")}.`);
+  process.exit(1);
+}
+// The name becomes a tool prefix and the <NAME>_DAILY_BUDGET / _QUOTA_COOLDOWN env vars
+if (!/^[a-z][a-z0-9]*$/.test(name)) {
+  log(`OPENAI_COMPATIBLE_NAME must be lowercase letters and digits, got "${name}".`);
+  process.exit(1);
+}
+
+const provider = openAICompatible({
+  ...preset,
+  name,
+  label,
+  baseUrl: env.OPENAI_COMPATIBLE_BASE_URL || preset.baseUrl,
+  model: env.OPENAI_COMPATIBLE_MODEL || preset.model,
+  apiKeyEnv: env.OPENAI_COMPATIBLE_API_KEY_ENV || preset.apiKeyEnv || "OPENAI_COMPATIBLE_API_KEY",
+});
+
+const config = await loadConfigOrExit(z, log);
+const chatSettings = toolConfig(config, `${name}_chat`, null, { model: provider.defaultModel, timeout: 120 });
+
+// --- MCP Server ---
+
+export function createServer() {
+  const mcpServer = new McpServer({
+    name: "openai-compatible-mcp",
+    version: "2.0.0",
+  });
+
+  mcpServer.registerTool(
+    `${name}_chat`,
+    {
+      description: `Send a prompt to ${label} (OpenAI-compatible chat completions at ${provider.endpoint}). Returns clear errors for auth, rate limits and unknown models.`,
+      inputSchema: {
+        prompt: z.string().describe("The prompt to send"),
+        model: z
+          .string()
+          .default(chatSettings.model)
+          .describe(`Model (default ${chatSettings.model})`),
+        timeout: z
+          .number()
+          .default(chatSettings.timeout)
+          .describe(`Timeout in seconds (default ${chatSettings.timeout})`),
+      },
+      outputSchema: providerResultShape(z),
+    },
+    async ({ prompt, model = chatSettings.model, timeout = chatSettings.timeout }, extra) => {
+      log(`Chat: ${prompt.length} chars, model: ${model}, timeout ${timeout}s`);
+
+      const result = await runProvider(provider, {
+        tool: `${name}_chat`,
+        prompt,
+        model,
+        timeoutMs: timeout * 1000,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
+      });
+
+      return toolResult(result, log);
+    }
+  );
+
+  mcpServer.registerTool(
+    `${name}_breaker`,
+    {
+      description: `Inspect or reset the ${label} quota circuit breaker. After QUOTA_EXCEEDED (HTTP 429/402) the breaker stays open until the Retry-After time (or a cool-down), and ${name}_chat fails fast instead of calling the API. Set reset=true to close it early.`,
+      inputSchema: {
+        reset: z
+          .boolean()
+          .default(false)
+          .describe("Close the breaker now (e.g. after topping up)"),
+      },
+      outputSchema: breakerResultShape(z),
+    },
+    async ({ reset = false }) => breakerToolResult([name], { reset, log })
+  );
+
+  mcpServer.registerTool(
+    `${name}_usage`,
+    {
+      description: `${label} usage from the local ledger: requests, prompt chars and request time for today and previous days, broken down by model and user, plus the daily budget (${name.toUpperCase()}_DAILY_BUDGET).`,
+      inputSchema: {
+        days: z
+          .number()
+          .int()
+          .min(0)
+          .default(7)
+          .describe("How many previous days to include (default 7)"),
+      },
+      outputSchema: usageResultShape(z),
+    },
+    async ({ days = 7 }) => usageToolResult([name], { days })
+  );
+
+  mcpServer.registerTool(
+    `${name}_status`,
+    {
+      description: `Check that ${label} is ready: the API key is set (if required) and the server's /models endpoint answers, plus the quota breaker and daily budget (${name.toUpperCase()}_DAILY_BUDGET).`,
+      inputSchema: {},
+      outputSchema: statusResultShape(z),
+    },
+    async () => statusToolResult([provider])
+  );
+
+  mcpServer.registerTool(
+    `${name}_transcripts`,
+    {
+      description:
+        `Search the transcript log of past calls (kept when CONCILIUM_TRANSCRIPTS=1), shared with the other Concilium servers: which prompt went to which provider, what came back, errors and timings. Each match links a concilium://transcripts/{id} resource with the full prompt and response.`,
+      inputSchema: transcriptSearchShape(z),
+      outputSchema: transcriptResultShape(z),
+    },
+    async (filters) => transcriptToolResult(filters)
+  );
+
+  mcpServer.registerResource(
+    "transcripts",
+    new ResourceTemplate(TRANSCRIPT_URI_TEMPLATE, { list: listTranscriptResources }),
+    {
+      title: "Concilium transcripts",
+      description: "Recorded provider calls with full prompt and response (CONCILIUM_TRANSCRIPTS=1), newest first",
+      mimeType: "application/json",
+    },
+    readTranscriptResource
+  );
+
+  for (const prompt of conciliumPrompts(z, { form: "full", label })) {
+    mcpServer.registerPrompt(prompt.name, prompt.config, prompt.callback);
+  }
+
+  return mcpServer;
+}
+
+export const service = {
+  name: name,
+  createServer,
+  transports: { StdioServerTransport, StreamableHTTPServerTransport },
+  log,
+  adapters: [provider],
+};
+
+async function main() {
+  const server = await serve(service);
+  handleShutdown(server, log);
+  log(`Started and ready (${provider.endpoint}, model: ${provider.defaultModel})`);
+  selfCheck(service.adapters, log);
+}
+
+if (isMain(import.meta.url)) {
+  main().catch((err) => {
+    log(err.message);
+    process.exit(1);
+  });
+}
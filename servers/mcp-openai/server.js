@@ -15,385 +15,260 @@
  *   - Minimal config at CODEX_HOME (see docs/setup-openai.md)
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { z } from "zod";
-import { readFile, unlink } from "fs/promises";
-import { spawn } from "child_process";
-import { tmpdir, homedir } from "os";
-import { join } from "path";
-import { randomBytes } from "crypto";
-
-const CODEX_HOME = process.env.CODEX_HOME || join(homedir(), ".codex-minimal");
+import {
+  toolResult,
+  providerResultShape,
+  breakerResultShape,
+  breakerToolResult,
+  usageResultShape,
+  usageToolResult,
+  statusResultShape,
+  statusToolResult,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptSearchShape,
+  transcriptResultShape,
+  transcriptToolResult,
+  TRANSCRIPT_URI_TEMPLATE,
+  conciliumPrompts,
+  selfCheck,
+  progressNotifier,
+  handleShutdown,
+  serve,
+  isMain,
+  withFindings,
+  reviewResultShape,
+  exportReview,
+  REPORT_FORMATS,
+  runNativeReview,
+  runWithAttachments,
+  attachmentInputShape,
+  attachmentsShape,
+  loadConfigOrExit,
+  toolConfig,
+  codexExec,
+  codexReview,
+} from "../core/index.js";
 
 function log(msg) {
   console.error(`[OpenAI MCP] ${msg}`);
 }
 
-function tempFile(prefix) {
-  return join(tmpdir(), `${prefix}-${randomBytes(4).toString("hex")}.txt`);
-}
-
-/**
- * Check if output contains a known error pattern.
- * Returns { isError, errorType, message } or null if no error detected.
- */
-function detectError(output) {
-  const combined = output.toLowerCase();
-
-  if (combined.includes("usage limit") || combined.includes("hit your usage limit")) {
-    const match = output.match(/try again at (.+?)[\.\n]/);
-    const resetDate = match ? match[1] : "unknown";
-    return {
-      isError: true,
-      errorType: "QUOTA_EXCEEDED",
-      message: `Codex usage limit reached. Credits reset at: ${resetDate}. Use a fallback provider.`,
-    };
-  }
-
-  if (combined.includes("not supported when using codex with a chatgpt account")) {
-    return {
-      isError: true,
-      errorType: "MODEL_NOT_SUPPORTED",
-      message: "This model is not available with ChatGPT Plus. Use the default model.",
-    };
-  }
-
-  if (combined.includes("auth") && (combined.includes("expired") || combined.includes("login"))) {
-    return {
-      isError: true,
-      errorType: "AUTH_EXPIRED",
-      message: "Codex auth token expired. Run 'codex login' to re-authenticate.",
-    };
-  }
-
-  return null;
-}
-
-/**
- * Extract the actual response from codex exec output.
- * Prefers the -o file output (clean last message), falls back to stdout parsing.
- */
-function extractResponse(stdout, outputFileContent) {
-  if (outputFileContent && outputFileContent.trim()) {
-    return outputFileContent.trim();
-  }
-
-  const lines = stdout.split("\n");
-  let inResponse = false;
-  let response = [];
-
-  for (const line of lines) {
-    if (line.trim() === "codex") {
-      inResponse = true;
-      continue;
-    }
-    if (inResponse && line.startsWith("tokens used")) {
-      break;
-    }
-    if (inResponse) {
-      response.push(line);
-    }
-  }
-
-  if (response.length > 0) {
-    return response.join("\n").trim();
-  }
-
-  return stdout.trim();
-}
-
-/**
- * Run codex CLI with timeout and proper cleanup.
- * Uses CODEX_HOME for minimal config (no MCP servers = fast startup).
- */
-const MAX_BUFFER = 10 * 1024 * 1024; // 10MB stdout/stderr limit
-
-function runCodex(args, options = {}) {
-  const { timeoutMs = 90000, stdin: stdinData, cwd } = options;
-
-  return new Promise((resolve, reject) => {
-    const proc = spawn("codex", args, {
-      cwd: cwd || process.cwd(),
-      stdio: ["pipe", "pipe", "pipe"],
-      env: {
-        ...process.env,
-        CODEX_HOME,
-      },
-    });
-
-    let stdout = "";
-    let stderr = "";
-    let killed = false;
-    let killTimer;
-
-    const timer = setTimeout(() => {
-      killed = true;
-      proc.kill("SIGTERM");
-      killTimer = setTimeout(() => {
-        try { if (!proc.killed) proc.kill("SIGKILL"); } catch {}
-      }, 5000);
-    }, timeoutMs);
-
-    proc.stdout.on("data", (data) => {
-      stdout += data.toString();
-      if (stdout.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    proc.stderr.on("data", (data) => {
-      stderr += data.toString();
-      if (stderr.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    if (stdinData) {
-      proc.stdin.write(stdinData);
-      proc.stdin.end();
-    } else {
-      proc.stdin.end();
-    }
-
-    proc.on("close", (exitCode) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      if (killed) {
-        reject(new Error(`Process killed after ${timeoutMs / 1000}s timeout. Partial output: ${(stdout + stderr).slice(-200)}`));
-      } else {
-        resolve({ stdout, stderr, exitCode });
-      }
-    });
-
-    proc.on("error", (err) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      reject(err);
-    });
-  });
-}
+const config = await loadConfigOrExit(z, log);
+const chatSettings = toolConfig(config, "openai_chat", codexExec, { timeout: 180 });
+const reviewSettings = toolConfig(config, "openai_review", codexReview, { timeout: 120 });
 
 // --- MCP Server ---
 
-const mcpServer = new McpServer({
-  name: "openai-mcp",
-  version: "2.0.0",
-});
+export function createServer() {
+  const mcpServer = new McpServer({
+    name: "openai-mcp",
+    version: "2.0.0",
+  });
 
-mcpServer.registerTool(
-  "openai_chat",
-  {
-    description:
-      "Send a prompt to OpenAI via Codex exec. Non-interactive, fast startup (no MCP servers loaded), 180s default timeout. Returns clear error on quota limits. For code review, use openai_review instead.",
-    inputSchema: {
-      prompt: z.string().describe("The prompt to send"),
-      model: z
-        .string()
-        .optional()
-        .describe("Model override (optional). Note: some models may not be available on ChatGPT Plus"),
-      timeout: z
-        .number()
-        .default(180)
-        .describe("Timeout in seconds (default 180)"),
-      cwd: z
-        .string()
-        .optional()
-        .describe("Working directory for codex"),
+  mcpServer.registerTool(
+    "openai_chat",
+    {
+      description:
+        `Send a prompt to OpenAI via Codex exec. Non-interactive, fast startup (no MCP servers loaded), ${chatSettings.timeout}s default timeout. Returns clear error on quota limits. For code review, use openai_review instead. Attach code with files/globs instead of pasting it into the prompt.`,
+      inputSchema: {
+        prompt: z.string().describe("The prompt to send"),
+        ...attachmentInputShape(z),
+        model: z
+          .string()
+          .optional()
+          .describe("Model override (optional). Note: some models may not be available on ChatGPT Plus"),
+        timeout: z
+          .number()
+          .default(chatSettings.timeout)
+          .describe(`Timeout in seconds (default ${chatSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Working directory for codex; files and globs are relative to it"),
+      },
+      outputSchema: { ...providerResultShape(z), attachments: attachmentsShape(z) },
     },
-  },
-  async ({ prompt, model, timeout = 180, cwd }) => {
-    const timeoutMs = timeout * 1000;
-    const outputFile = tempFile("codex-chat");
-
-    try {
+    async ({ prompt, files, globs, maxBytes, model = chatSettings.model, timeout = chatSettings.timeout, cwd }, extra) => {
       log(`Chat: ${prompt.length} chars, timeout ${timeout}s`);
-      const startTime = Date.now();
 
-      const args = [
-        "exec",
-        "--sandbox", "read-only",
-        "--ephemeral",
-        "-o", outputFile,
-      ];
-
-      if (model) {
-        args.push("-m", model);
-      }
-
-      args.push("-");
-
-      const { stdout, stderr, exitCode } = await runCodex(args, {
-        timeoutMs,
-        stdin: prompt,
+      const result = await runWithAttachments(chatSettings.adapter, {
+        tool: "openai_chat",
+        prompt,
+        files,
+        globs,
+        maxBytes,
+        model,
+        timeoutMs: timeout * 1000,
         cwd,
+        log,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
       });
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      const combined = stdout + stderr;
-
-      const error = detectError(combined);
-      if (error) {
-        log(`${error.errorType}: ${error.message}`);
-        try { await unlink(outputFile); } catch {}
-        return {
-          content: [{ type: "text", text: error.message }],
-          isError: true,
-        };
-      }
-
-      let outputFileContent = "";
-      try {
-        outputFileContent = await readFile(outputFile, "utf-8");
-      } catch {}
-
-      try { await unlink(outputFile); } catch {}
-
-      const response = extractResponse(stdout, outputFileContent);
-
-      if (!response) {
-        log(`No response (exit: ${exitCode}, stdout: ${stdout.length}, stderr: ${stderr.length})`);
-        return {
-          content: [{ type: "text", text: `No response from Codex. Exit code: ${exitCode}. Output: ${combined.slice(-300)}` }],
-          isError: true,
-        };
-      }
-
-      log(`OK in ${elapsed}s (${response.length} chars)`);
-
-      return {
-        content: [{ type: "text", text: response }],
-      };
-    } catch (error) {
-      try { await unlink(outputFile); } catch {}
-
-      const knownError = detectError(error.message);
-      if (knownError) {
-        log(`${knownError.errorType}: ${knownError.message}`);
-        return {
-          content: [{ type: "text", text: knownError.message }],
-          isError: true,
-        };
-      }
-
-      log(`Error: ${error.message}`);
-      return {
-        content: [{ type: "text", text: `Codex error: ${error.message}` }],
-        isError: true,
-      };
+      return toolResult(result, log);
     }
-  }
-);
-
-mcpServer.registerTool(
-  "openai_review",
-  {
-    description:
-      "Code review via Codex review (non-interactive). Reviews uncommitted changes or changes against a base branch.",
-    inputSchema: {
-      instructions: z
-        .string()
-        .optional()
-        .describe("Custom review instructions (e.g., 'Focus on error handling and race conditions')"),
-      uncommitted: z
-        .boolean()
-        .default(true)
-        .describe("Review uncommitted changes (default true)"),
-      base: z
-        .string()
-        .optional()
-        .describe("Review against this base branch"),
-      commit: z
-        .string()
-        .optional()
-        .describe("Review a specific commit SHA"),
-      timeout: z
-        .number()
-        .default(120)
-        .describe("Timeout in seconds (default 120)"),
-      cwd: z
-        .string()
-        .optional()
-        .describe("Working directory (git repo root)"),
+  );
+
+  mcpServer.registerTool(
+    "openai_review",
+    {
+      description:
+        "Code review via Codex review (non-interactive). Reviews uncommitted changes or changes against a base branch. If the diff contains secrets (keys, tokens), Codex reviews a redacted copy via codex exec instead (see CONCILIUM_REDACT).",
+      inputSchema: {
+        instructions: z
+          .string()
+          .optional()
+          .describe("Custom review instructions (e.g., 'Focus on error handling and race conditions')"),
+        uncommitted: z
+          .boolean()
+          .default(true)
+          .describe("Review uncommitted changes (default true)"),
+        base: z
+          .string()
+          .optional()
+          .describe("Review against this base branch"),
+        commit: z
+          .string()
+          .optional()
+          .describe("Review a specific commit SHA"),
+        timeout: z
+          .number()
+          .default(reviewSettings.timeout)
+          .describe(`Timeout in seconds (default ${reviewSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Working directory (git repo root)"),
+        report: z
+          .enum(REPORT_FORMATS)
+          .optional()
+          .describe("Also write the findings as a report: sarif (SARIF 2.1.0, for code scanning) or markdown (for PRs)"),
+        reportPath: z
+          .string()
+          .optional()
+          .describe("Report path, relative to cwd (default concilium-review.sarif / concilium-review.md)"),
+      },
+      outputSchema: reviewResultShape(z),
     },
-  },
-  async ({ instructions, uncommitted = true, base, commit, timeout = 120, cwd }) => {
-    const timeoutMs = timeout * 1000;
-
-    try {
+    async ({ instructions, uncommitted = true, base, commit, timeout = reviewSettings.timeout, cwd, report, reportPath }, extra) => {
       log(`Review: uncommitted=${uncommitted}, base=${base || "none"}, timeout=${timeout}s`);
-      const startTime = Date.now();
-
-      const args = ["review", "--ephemeral"];
-
-      if (uncommitted) {
-        args.push("--uncommitted");
-      }
-      if (base) {
-        args.push("--base", base);
-      }
-      if (commit) {
-        args.push("--commit", commit);
-      }
 
-      if (instructions) {
-        args.push("-");
-      }
-
-      const { stdout, stderr, exitCode } = await runCodex(args, {
-        timeoutMs,
-        stdin: instructions || undefined,
+      const result = await runNativeReview(reviewSettings.adapter, chatSettings.adapter, {
+        tool: "openai_review",
+        instructions,
+        uncommitted,
+        base,
+        commit,
+        timeoutMs: timeout * 1000,
         cwd,
+        log,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
       });
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      const combined = stdout + stderr;
-
-      const error = detectError(combined);
-      if (error) {
-        log(`${error.errorType}: ${error.message}`);
-        return {
-          content: [{ type: "text", text: error.message }],
-          isError: true,
-        };
-      }
+      withFindings(result);
+      await exportReview(result, { format: report, path: reportPath, cwd, log });
+      return toolResult(result, log, "Review");
+    }
+  );
+
+  mcpServer.registerTool(
+    "openai_breaker",
+    {
+      description:
+        "Inspect or reset the Codex quota circuit breaker. After QUOTA_EXCEEDED the breaker stays open until the reported reset time (or a cool-down), and openai_chat/openai_review fail fast instead of spawning codex. Set reset=true to close it early.",
+      inputSchema: {
+        reset: z
+          .boolean()
+          .default(false)
+          .describe("Close the breaker now (e.g. after upgrading your plan)"),
+      },
+      outputSchema: breakerResultShape(z),
+    },
+    async ({ reset = false }) => breakerToolResult(["openai"], { reset, log })
+  );
+
+  mcpServer.registerTool(
+    "openai_usage",
+    {
+      description:
+        "Codex usage from the local ledger: requests, prompt chars and CLI time for today and previous days, broken down by model and user, plus the daily budget (OPENAI_DAILY_BUDGET).",
+      inputSchema: {
+        days: z
+          .number()
+          .int()
+          .min(0)
+          .default(7)
+          .describe("How many previous days to include (default 7)"),
+      },
+      outputSchema: usageResultShape(z),
+    },
+    async ({ days = 7 }) => usageToolResult(["openai"], { days })
+  );
+
+  mcpServer.registerTool(
+    "openai_status",
+    {
+      description:
+        "Check that Codex is ready before a consultation: codex on PATH and its version, CODEX_HOME with a config.toml, a login (auth.json) or API key, plus the quota breaker and daily budget. Catches `spawn codex ENOENT` and auth problems up front.",
+      inputSchema: {},
+      outputSchema: statusResultShape(z),
+    },
+    async () => statusToolResult([chatSettings.adapter])
+  );
+
+  mcpServer.registerTool(
+    "openai_transcripts",
+    {
+      description:
+        "Search the transcript log of past Codex calls and those of the other Concilium servers (kept when CONCILIUM_TRANSCRIPTS=1): prompt, response, error type and timings. Filter by provider, tool, error type, date or text; each match links a concilium://transcripts/{id} resource with the full prompt and response.",
+      inputSchema: transcriptSearchShape(z),
+      outputSchema: transcriptResultShape(z),
+    },
+    async (filters) => transcriptToolResult(filters)
+  );
+
+  mcpServer.registerResource(
+    "transcripts",
+    new ResourceTemplate(TRANSCRIPT_URI_TEMPLATE, { list: listTranscriptResources }),
+    {
+      title: "Concilium transcripts",
+      description: "Recorded provider calls with full prompt and response (CONCILIUM_TRANSCRIPTS=1), newest first",
+      mimeType: "application/json",
+    },
+    readTranscriptResource
+  );
 
-      const response = combined.trim() || "No review output";
-      log(`Review OK in ${elapsed}s (${response.length} chars)`);
+  for (const prompt of conciliumPrompts(z, { form: "short", label: "Codex" })) {
+    mcpServer.registerPrompt(prompt.name, prompt.config, prompt.callback);
+  }
 
-      return {
-        content: [{ type: "text", text: response }],
-      };
-    } catch (error) {
-      const knownError = detectError(error.message);
-      if (knownError) {
-        log(`${knownError.errorType}: ${knownError.message}`);
-        return {
-          content: [{ type: "text", text: knownError.message }],
-          isError: true,
-        };
-      }
+  return mcpServer;
+}
 
-      log(`Error: ${error.message}`);
-      return {
-        content: [{ type: "text", text: `Codex review error: ${error.message}` }],
-        isError: true,
-      };
-    }
-  }
-);
+export const service = {
+  name: "openai",
+  createServer,
+  transports: { StdioServerTransport, StreamableHTTPServerTransport },
+  log,
+  adapters: [chatSettings.adapter],
+};
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
+  const server = await serve(service);
+  handleShutdown(server, log);
   log("Started and ready");
+  selfCheck(service.adapters, log);
 }
 
-process.on("SIGTERM", () => {
-  log("Shutting down...");
-  mcpServer.close().finally(() => process.exit(0));
-});
-
-main().catch(console.error);
+if (isMain(import.meta.url)) {
+  main().catch((err) => {
+    log(err.message);
+    process.exit(1);
+  });
+}
@@ -17,228 +17,292 @@
  *     c) Set DASHSCOPE_API_KEY env var (API key auth)
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { z } from "zod";
-import { spawn } from "child_process";
-
-const QWEN_AUTH_TYPE = process.env.QWEN_AUTH_TYPE || "";
+import {
+  toolResult,
+  providerResultShape,
+  breakerResultShape,
+  breakerToolResult,
+  usageResultShape,
+  usageToolResult,
+  statusResultShape,
+  statusToolResult,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptSearchShape,
+  transcriptResultShape,
+  transcriptToolResult,
+  TRANSCRIPT_URI_TEMPLATE,
+  conciliumPrompts,
+  selfCheck,
+  progressNotifier,
+  handleShutdown,
+  serve,
+  isMain,
+  withFindings,
+  reviewResultShape,
+  exportReview,
+  REPORT_FORMATS,
+  runReview,
+  runWithAttachments,
+  attachmentInputShape,
+  attachmentsShape,
+  loadConfigOrExit,
+  toolConfig,
+  qwen,
+  QWEN_AUTH_TYPE,
+} from "../core/index.js";
 
 function log(msg) {
   console.error(`[Qwen MCP] ${msg}`);
 }
 
-/**
- * Check output for known error patterns.
- */
-function detectError(output) {
-  const text = output.toLowerCase();
-
-  if (text.includes("no auth type is selected") || text.includes("please configure an auth type")) {
-    return {
-      isError: true,
-      errorType: "AUTH_NOT_CONFIGURED",
-      message: "Qwen auth type not configured. Set QWEN_AUTH_TYPE env var (e.g., 'qwen-oauth') or run 'qwen' interactively to login.",
-    };
-  }
-
-  if (text.includes("quota") || text.includes("rate limit") || text.includes("insufficient_quota") || text.includes("resource_exhausted")) {
-    return {
-      isError: true,
-      errorType: "QUOTA_EXCEEDED",
-      message: "Qwen quota exceeded. Check your account limits or try again later.",
-    };
-  }
-
-  if (text.includes("authentication") || text.includes("invalid api key") || text.includes("unauthorized") || text.includes("token expired")) {
-    return {
-      isError: true,
-      errorType: "AUTH_EXPIRED",
-      message: "Qwen authentication failed. Run 'qwen' in terminal to re-login, or check DASHSCOPE_API_KEY.",
-    };
-  }
-
-  if (text.includes("model not found") || text.includes("model_not_found") || text.includes("model is not available")) {
-    return {
-      isError: true,
-      errorType: "MODEL_NOT_AVAILABLE",
-      message: "Qwen model not found. Available: qwen-turbo, qwen-plus, qwen-long.",
-    };
-  }
-
-  return null;
-}
-
-const MAX_BUFFER = 10 * 1024 * 1024; // 10MB stdout/stderr limit
-
-/**
- * Run qwen CLI with timeout and proper SIGTERM/SIGKILL cleanup.
- * Passes prompt via stdin (-p -) for safety and no length limits.
- */
-function runQwen(prompt, options = {}) {
-  const { timeoutMs = 120000, model = "qwen-turbo" } = options;
-
-  return new Promise((resolve, reject) => {
-    const args = [];
+const config = await loadConfigOrExit(z, log);
+const chatSettings = toolConfig(config, "qwen_chat", qwen, { model: "qwen-turbo", timeout: 120 });
+const reviewSettings = toolConfig(config, "qwen_review", qwen, { model: "qwen-plus", timeout: 180 });
 
-    // Pass --auth-type if configured via env var
-    if (QWEN_AUTH_TYPE) {
-      args.push("--auth-type", QWEN_AUTH_TYPE);
-    }
-
-    // Use stdin for prompt (-p -)
-    args.push("-p", "-");
-
-    if (model && model !== "qwen-turbo") {
-      args.push("-m", model);
-    }
+// --- MCP Server ---
 
-    const proc = spawn("qwen", args, {
-      stdio: ["pipe", "pipe", "pipe"],
-      env: { ...process.env },
-    });
-
-    let stdout = "";
-    let stderr = "";
-    let killed = false;
-    let killTimer;
-
-    const timer = setTimeout(() => {
-      killed = true;
-      proc.kill("SIGTERM");
-      killTimer = setTimeout(() => {
-        try { if (!proc.killed) proc.kill("SIGKILL"); } catch {}
-      }, 5000);
-    }, timeoutMs);
-
-    proc.stdout.on("data", (data) => {
-      stdout += data.toString();
-      if (stdout.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    proc.stderr.on("data", (data) => {
-      stderr += data.toString();
-      if (stderr.length > MAX_BUFFER) {
-        killed = true;
-        proc.kill("SIGTERM");
-      }
-    });
-
-    // Send prompt via stdin
-    proc.stdin.write(prompt);
-    proc.stdin.end();
-
-    proc.on("close", (exitCode) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      if (killed) {
-        reject(new Error(`Qwen killed after ${timeoutMs / 1000}s timeout. Partial: ${stdout.slice(-200)}`));
-      } else {
-        resolve({ stdout, stderr, exitCode });
-      }
-    });
-
-    proc.on("error", (err) => {
-      clearTimeout(timer);
-      clearTimeout(killTimer);
-      reject(err);
-    });
+export function createServer() {
+  const mcpServer = new McpServer({
+    name: "qwen-mcp",
+    version: "2.0.0",
   });
-}
-
-// --- MCP Server ---
 
-const mcpServer = new McpServer({
-  name: "qwen-mcp",
-  version: "2.0.0",
-});
-
-mcpServer.registerTool(
-  "qwen_chat",
-  {
-    description:
-      "Send a prompt to Qwen via qwen CLI. Prompt sent via stdin (safe for any content). Models: qwen-turbo (fast, default), qwen-plus (deep analysis, code review), qwen-long (large context). Detects quota/auth errors.",
-    inputSchema: {
-      prompt: z.string().describe("The prompt to send to Qwen"),
-      model: z
-        .string()
-        .default("qwen-turbo")
-        .describe("Model: qwen-turbo (fast), qwen-plus (deep analysis), qwen-long (large context)"),
-      timeout: z
-        .number()
-        .default(120)
-        .describe("Timeout in seconds (default 120)"),
+  mcpServer.registerTool(
+    "qwen_chat",
+    {
+      description:
+        "Send a prompt to Qwen via qwen CLI. Prompt sent via stdin (safe for any content). Models: qwen-turbo (fast, default), qwen-plus (deep analysis, code review), qwen-long (large context). Detects quota/auth errors. Attach code with files/globs instead of pasting it into the prompt.",
+      inputSchema: {
+        prompt: z.string().describe("The prompt to send to Qwen"),
+        ...attachmentInputShape(z),
+        model: z
+          .string()
+          .default(chatSettings.model)
+          .describe(`Model (default ${chatSettings.model}): qwen-turbo (fast), qwen-plus (deep analysis), qwen-long (large context)`),
+        timeout: z
+          .number()
+          .default(chatSettings.timeout)
+          .describe(`Timeout in seconds (default ${chatSettings.timeout})`),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Directory that files and globs are relative to (default: the server's working directory)"),
+      },
+      outputSchema: { ...providerResultShape(z), attachments: attachmentsShape(z) },
     },
-  },
-  async ({ prompt, model = "qwen-turbo", timeout = 120 }) => {
-    const timeoutMs = timeout * 1000;
-
-    try {
+    async ({ prompt, files, globs, maxBytes, model = chatSettings.model, timeout = chatSettings.timeout, cwd }, extra) => {
       log(`Chat: ${prompt.length} chars, model: ${model}, timeout ${timeout}s`);
-      const startTime = Date.now();
 
-      const { stdout, stderr, exitCode } = await runQwen(prompt, {
-        timeoutMs,
+      const result = await runWithAttachments(chatSettings.adapter, {
+        tool: "qwen_chat",
+        prompt,
+        files,
+        globs,
+        maxBytes,
         model,
+        timeoutMs: timeout * 1000,
+        cwd,
+        log,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
       });
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      const combined = stdout + stderr;
-
-      const error = detectError(combined);
-      if (error) {
-        log(`${error.errorType}: ${error.message}`);
-        return {
-          content: [{ type: "text", text: error.message }],
-          isError: true,
-        };
-      }
-
-      const response = stdout.trim();
-
-      if (!response) {
-        log(`No response (exit: ${exitCode})`);
-        return {
-          content: [{ type: "text", text: `No response from Qwen. Exit: ${exitCode}. Stderr: ${stderr.slice(-300)}` }],
-          isError: true,
-        };
-      }
-
-      log(`OK in ${elapsed}s (${response.length} chars)`);
-
-      return {
-        content: [{ type: "text", text: response }],
-      };
-    } catch (error) {
-      const knownError = detectError(error.message);
-      if (knownError) {
-        return {
-          content: [{ type: "text", text: knownError.message }],
-          isError: true,
-        };
-      }
-
-      log(`Error: ${error.message}`);
-      return {
-        content: [{ type: "text", text: `Qwen error: ${error.message}` }],
-        isError: true,
-      };
+      return toolResult(result, log);
     }
+  );
+
+  mcpServer.registerTool(
+    "qwen_review",
+    {
+      description:
+        "Qwen code review of a git repo: collects the diff itself (uncommitted changes, changes against a base branch, or one commit) with surrounding file context, applies the review prompt template plus your instructions, and returns the review. Same scopes as openai_review; no need to paste diffs into qwen_chat.",
+      inputSchema: {
+        instructions: z
+          .string()
+          .optional()
+          .describe("Custom review instructions (e.g., 'Focus on error handling and race conditions')"),
+        uncommitted: z
+          .boolean()
+          .default(true)
+          .describe("Review uncommitted changes: staged, unstaged and untracked (default true)"),
+        base: z
+          .string()
+          .optional()
+          .describe("Review changes on HEAD since it diverged from this base branch"),
+        commit: z
+          .string()
+          .optional()
+          .describe("Review a specific commit SHA"),
+        cwd: z
+          .string()
+          .optional()
+          .describe("Git repo to review (default: the server's working directory)"),
+        model: z
+          .string()
+          .default(reviewSettings.model)
+          .describe(`Model (default ${reviewSettings.model}): qwen-plus (deep analysis), qwen-turbo (fast), qwen-long (large context)`),
+        contextLines: z
+          .number()
+          .int()
+          .min(0)
+          .default(10)
+          .describe("Lines of file context around each hunk (default 10, reduced to 3 if over budget)"),
+        maxChars: z
+          .number()
+          .int()
+          .positive()
+          .default(100000)
+          .describe("Diff size budget in chars; files beyond it are left out and listed (default 100000)"),
+        timeout: z
+          .number()
+          .default(reviewSettings.timeout)
+          .describe(`Timeout in seconds (default ${reviewSettings.timeout})`),
+        report: z
+          .enum(REPORT_FORMATS)
+          .optional()
+          .describe("Also write the findings as a report: sarif (SARIF 2.1.0, for code scanning) or markdown (for PRs)"),
+        reportPath: z
+          .string()
+          .optional()
+          .describe("Report path, relative to cwd (default concilium-review.sarif / concilium-review.md)"),
+      },
+      outputSchema: reviewResultShape(z),
+    },
+    async (
+      {
+        instructions,
+        uncommitted = true,
+        base,
+        commit,
+        cwd,
+        model = reviewSettings.model,
+        contextLines = 10,
+        maxChars = 100000,
+        timeout = reviewSettings.timeout,
+        report,
+        reportPath,
+      },
+      extra
+    ) => {
+      const result = await runReview(reviewSettings.adapter, {
+        tool: "qwen_review",
+        instructions,
+        uncommitted,
+        base,
+        commit,
+        cwd,
+        model,
+        contextLines,
+        maxChars,
+        timeoutMs: timeout * 1000,
+        onProgress: progressNotifier(extra, { total: timeout }),
+        signal: extra.signal,
+        log,
+      });
+
+      withFindings(result);
+      await exportReview(result, { format: report, path: reportPath, cwd, log });
+      return toolResult(result, log, "Review");
+    }
+  );
+
+  mcpServer.registerTool(
+    "qwen_breaker",
+    {
+      description:
+        "Inspect or reset the Qwen quota circuit breaker. After QUOTA_EXCEEDED the breaker stays open until the reported reset time (or a cool-down), and qwen_chat/qwen_review fail fast instead of spawning qwen. Set reset=true to close it early.",
+      inputSchema: {
+        reset: z
+          .boolean()
+          .default(false)
+          .describe("Close the breaker now (e.g. after upgrading your plan)"),
+      },
+      outputSchema: breakerResultShape(z),
+    },
+    async ({ reset = false }) => breakerToolResult(["qwen"], { reset, log })
+  );
+
+  mcpServer.registerTool(
+    "qwen_usage",
+    {
+      description:
+        "Qwen usage from the local ledger: requests, prompt chars and CLI time for today and previous days, broken down by model and user, plus the daily budget (QWEN_DAILY_BUDGET).",
+      inputSchema: {
+        days: z
+          .number()
+          .int()
+          .min(0)
+          .default(7)
+          .describe("How many previous days to include (default 7)"),
+      },
+      outputSchema: usageResultShape(z),
+    },
+    async ({ days = 7 }) => usageToolResult(["qwen"], { days })
+  );
+
+  mcpServer.registerTool(
+    "qwen_status",
+    {
+      description:
+        "Check that Qwen is ready before a consultation: qwen on PATH and its version, an auth type (QWEN_AUTH_TYPE or ~/.qwen/settings.json) with a cached OAuth login, or DASHSCOPE_API_KEY, plus the quota breaker and daily budget.",
+      inputSchema: {},
+      outputSchema: statusResultShape(z),
+    },
+    async () => statusToolResult([chatSettings.adapter])
+  );
+
+  mcpServer.registerTool(
+    "qwen_transcripts",
+    {
+      description:
+        "Search the transcript log of past Qwen calls and those of the other Concilium servers (kept when CONCILIUM_TRANSCRIPTS=1): prompt, response, error type and timings. Filter by provider, tool, error type, date or text; each match links a concilium://transcripts/{id} resource with the full prompt and response.",
+      inputSchema: transcriptSearchShape(z),
+      outputSchema: transcriptResultShape(z),
+    },
+    async (filters) => transcriptToolResult(filters)
+  );
+
+  mcpServer.registerResource(
+    "transcripts",
+    new ResourceTemplate(TRANSCRIPT_URI_TEMPLATE, { list: listTranscriptResources }),
+    {
+      title: "Concilium transcripts",
+      description: "Recorded provider calls with full prompt and response (CONCILIUM_TRANSCRIPTS=1), newest first",
+      mimeType: "application/json",
+    },
+    readTranscriptResource
+  );
+
+  for (const prompt of conciliumPrompts(z, { form: "full", label: "Qwen" })) {
+    mcpServer.registerPrompt(prompt.name, prompt.config, prompt.callback);
   }
-);
+
+  return mcpServer;
+}
+
+export const service = {
+  name: "qwen",
+  createServer,
+  transports: { StdioServerTransport, StreamableHTTPServerTransport },
+  log,
+  adapters: [chatSettings.adapter],
+};
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
+  const server = await serve(service);
+  handleShutdown(server, log);
   log(`Started and ready (v2.0.0, auth-type: ${QWEN_AUTH_TYPE || "auto"})`);
+  selfCheck(service.adapters, log);
 }
 
-process.on("SIGTERM", () => {
-  log("Shutting down...");
-  mcpServer.close().finally(() => process.exit(0));
-});
-
-main().catch(console.error);
+if (isMain(import.meta.url)) {
+  main().catch((err) => {
+    log(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * File attachment tests: glob matching, .gitignore and binary handling in
+ * and outside git repos, the byte budget, and what the provider receives.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { mkdirSync, mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-attachments-"));
+
+const { collectAttachments, runWithAttachments, runChunkedAnalysis, globToRegExp, structuredResult } = await import("../servers/core/index.js");
+
+// Answers with the prompt it received
+const echo = {
+  name: "echo",
+  label: "Echo",
+  command: process.execPath,
+  buildArgs: () => ["-e", "process.stdin.pipe(process.stdout)"],
+  stdin: ({ prompt }) => prompt,
+  extractResponse: ({ stdout }) => stdout,
+  classifyError: () => null,
+};
+
+function tree(files) {
+  const root = mkdtempSync(join(tmpdir(), "concilium-attach-tree-"));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+  return root;
+}
+
+function repo(files) {
+  const root = tree(files);
+  execFileSync("git", ["init", "-q"], { cwd: root });
+  return root;
+}
+
+const project = {
+  ".gitignore": ".env\ndist/\n",
+  ".env": "TOKEN=abc\n",
+  "dist/bundle.js": "minified\n",
+  "src/app.js": "export const app = 1;\n",
+  "src/lib/util.ts": "export const util = 2;\n",
+  "logo.png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]),
+  "README.md": "# Project\n",
+};
+
+test("globs match within and across path segments", () => {
+  assert.ok(globToRegExp("src/*.js").test("src/app.js"));
+  assert.ok(!globToRegExp("src/*.js").test("src/lib/app.js"));
+  assert.ok(globToRegExp("src/**/*.js").test("src/app.js"));
+  assert.ok(globToRegExp("src/**/*.js").test("src/a/b/app.js"));
+  assert.ok(globToRegExp("**/*.{js,ts}").test("src/lib/util.ts"));
+  assert.ok(globToRegExp("file?.[!0-9]x").test("file1.ax"));
+  assert.ok(!globToRegExp("file?.[!0-9]x").test("file1.5x"));
+  assert.ok(globToRegExp("a+b(c).md").test("a+b(c).md"));
+});
+
+for (const [kind, make] of [["git repo", repo], ["plain directory", tree]]) {
+  test(`${kind}: ignored and binary files are skipped`, async () => {
+    const cwd = make(project);
+    const { text, attachments } = await collectAttachments({ cwd, files: [".env", "logo.png", "src", "../outside.js", "missing.js"], globs: ["**/*.js", "*.txt"] });
+
+    assert.deepEqual(attachments.files.map((f) => f.path), ["src/app.js", "src/lib/util.ts"]);
+    assert.deepEqual(attachments.skipped, [
+      { path: ".env", reason: "ignored by .gitignore" },
+      { path: "../outside.js", reason: "outside cwd" },
+      { path: "missing.js", reason: "not found" },
+      { path: "*.txt", reason: "no matches" },
+      { path: "logo.png", reason: "binary" },
+    ]);
+    assert.equal(text, '<file path="src/app.js">\nexport const app = 1;\n</file>\n\n<file path="src/lib/util.ts">\nexport const util = 2;\n</file>\n');
+  });
+}
+
+test("the byte budget truncates at a line boundary and leaves out later files", async () => {
+  const cwd = repo({ "a.txt": "1234\n5678\n90\n", "b.txt": "later\n" });
+  const { text, attachments } = await collectAttachments({ cwd, globs: ["*.txt"], maxBytes: 12 });
+
+  assert.equal(text, '<file path="a.txt" truncated="first 10 of 13 bytes">\n1234\n5678\n</file>\n');
+  assert.deepEqual(attachments.files, [{ path: "a.txt", bytes: 13, sentBytes: 10, truncated: true }]);
+  assert.deepEqual(attachments.skipped, [{ path: "b.txt", reason: "over the 12-byte budget" }]);
+  assert.equal(attachments.sentBytes, 10);
+});
+
+test("runWithAttachments appends file blocks and reports what was left out", async () => {
+  const cwd = repo(project);
+  const result = await runWithAttachments(echo, { prompt: "Explain this", cwd, files: ["src/app.js", "logo.png"], timeoutMs: 30000 });
+
+  assert.equal(result.response, 'Explain this\n\n<file path="src/app.js">\nexport const app = 1;\n</file>\n');
+  assert.equal(result.warning, "Attachments: left out logo.png (binary).");
+  assert.equal(structuredResult(result).attachments.files.length, 1);
+
+  const plain = await runWithAttachments(echo, { prompt: "No files", cwd, timeoutMs: 30000 });
+  assert.equal(plain.response, "No files");
+  assert.equal(structuredResult(plain).attachments, undefined);
+
+  const none = await runWithAttachments(echo, { prompt: "Explain", cwd, files: [".env"], globs: ["*.go"], timeoutMs: 30000 });
+  assert.equal(none.error.errorType, "NO_FILES");
+  assert.equal(none.error.message, "No files attached: .env (ignored by .gitignore), *.go (no matches).");
+  assert.equal(none.attempts, undefined, "nothing was run");
+});
+
+test("attached files are map-reduce parts", async () => {
+  const cwd = repo({ "a.js": "a\n".repeat(100), "b.js": "b\n".repeat(100) });
+  const result = await runWithAttachments(
+    echo,
+    { prompt: "Find bugs.", cwd, globs: ["*.js"], mode: "map_reduce", chunkTokens: 60, timeoutMs: 30000 },
+    runChunkedAnalysis
+  );
+
+  assert.deepEqual(result.mapReduce.chunks.map((c) => c.label), ["a.js", "b.js"]);
+  assert.equal(result.attachments.files.length, 2);
+});
@@ -0,0 +1,92 @@
+/**
+ * Quota circuit breaker tests, driven through runProvider with a fake
+ * adapter that runs `node -e` instead of a provider CLI.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-breaker-"));
+process.env.FAKE_QUOTA_COOLDOWN = "600";
+
+const { runProvider, classifyRun, breakerStatus, resetBreaker, tripBreaker, openBreaker } = await import(
+  "../servers/core/index.js"
+);
+
+let spawned = 0;
+
+function fakeAdapter(script) {
+  return {
+    name: "fake",
+    label: "Fake",
+    command: process.execPath,
+    buildArgs: () => {
+      spawned++;
+      return ["-e", script];
+    },
+    extractResponse: ({ stdout }) => stdout.trim(),
+    classifyError: (run) =>
+      classifyRun([{ errorType: "QUOTA_EXCEEDED", output: /quota exceeded/i, message: "Fake quota exceeded." }], run),
+  };
+}
+
+const quotaAdapter = fakeAdapter(`console.error("quota exceeded"); process.exit(1)`);
+const okAdapter = fakeAdapter(`console.log("fine")`);
+
+test("quota error opens the breaker for the cool-down and short-circuits", async () => {
+  await resetBreaker(["fake"]);
+  spawned = 0;
+
+  const first = await runProvider(quotaAdapter, { prompt: "x" });
+  assert.equal(first.error.errorType, "QUOTA_EXCEEDED");
+  assert.equal(spawned, 1);
+
+  const [status] = await breakerStatus(["fake"]);
+  assert.equal(status.open, true);
+  const cooldown = Date.parse(status.openUntil) - Date.parse(status.openedAt);
+  assert.equal(cooldown, 600 * 1000);
+
+  const second = await runProvider(okAdapter, { prompt: "x" });
+  assert.equal(second.error.errorType, "QUOTA_EXCEEDED");
+  assert.equal(second.error.resetAt, status.openUntil);
+  assert.equal(second.exitCode, null);
+  assert.equal(spawned, 1, "CLI must not be spawned while the breaker is open");
+});
+
+test("reset closes the breaker and calls go through again", async () => {
+  await tripBreaker("fake", { errorType: "QUOTA_EXCEEDED", message: "x" });
+  assert.deepEqual(await resetBreaker(["fake"]), ["fake"]);
+
+  const result = await runProvider(okAdapter, { prompt: "x" });
+  assert.equal(result.response, "fine");
+});
+
+test("provider reset time wins over the cool-down; past reset times do not", async () => {
+  const now = Date.now();
+  const resetAt = new Date(now + 3 * 3600 * 1000).toISOString();
+  await tripBreaker("fake", { errorType: "QUOTA_EXCEEDED", message: "x", resetAt }, now);
+  assert.equal((await openBreaker("fake", now)).openUntil, resetAt);
+
+  const stale = new Date(now - 1000).toISOString();
+  const entry = await tripBreaker("fake", { errorType: "QUOTA_EXCEEDED", message: "x", resetAt: stale }, now);
+  assert.equal(entry.openUntil, new Date(now + 600 * 1000).toISOString());
+
+  assert.equal(await openBreaker("fake", now + 601 * 1000), null, "expired breakers count as closed");
+  await resetBreaker(["fake"]);
+});
+
+test("concurrent trips all stay open", async () => {
+  const providers = ["codex", "gemini", "qwen"];
+  await Promise.all(providers.map((p) => tripBreaker(p, { errorType: "QUOTA_EXCEEDED", message: `${p} quota` })));
+
+  const status = await breakerStatus(providers);
+  assert.deepEqual(status.map((b) => b.open), [true, true, true]);
+  const temp = readdirSync(process.env.CONCILIUM_STATE_DIR).filter((f) => f.endsWith(".tmp"));
+  assert.deepEqual(temp, [], "no temp files left behind");
+  assert.deepEqual(await resetBreaker(providers), providers);
+});
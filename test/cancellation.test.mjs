@@ -0,0 +1,74 @@
+/**
+ * Cancellation and shutdown tests: an aborted request kills its CLI, and
+ * live children are reaped when the server goes away.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-cancel-"));
+
+const { runProvider, runProcess, reapChildren } = await import("../servers/core/index.js");
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const slow = {
+  name: "fake",
+  label: "Fake",
+  command: process.execPath,
+  buildArgs: () => ["-e", "setTimeout(() => console.log('done'), 30000)"],
+  extractResponse: ({ stdout }) => stdout.trim(),
+  classifyError: () => null,
+};
+
+test("aborting the request kills the CLI and reports CANCELLED", async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+
+  const startTime = Date.now();
+  const result = await runProvider(slow, { prompt: "x", timeoutMs: 30000, signal: controller.signal });
+
+  assert.equal(result.error.errorType, "CANCELLED");
+  assert.match(result.error.message, /cancelled by the client/);
+  assert.ok(Date.now() - startTime < 5000, "the child is killed, not waited for");
+});
+
+test("an already aborted request does not spawn the CLI", async () => {
+  const result = await runProvider(slow, { prompt: "x", signal: AbortSignal.abort() });
+  assert.equal(result.error.errorType, "CANCELLED");
+  assert.match(result.error.message, /cancelled before start/);
+});
+
+test("reapChildren kills every live child", async () => {
+  const runs = [1, 2].map(() =>
+    runProcess(process.execPath, ["-e", "setTimeout(() => {}, 30000)"], { timeoutMs: 30000 }).catch((err) => err)
+  );
+
+  assert.equal(await reapChildren(), 2);
+  for (const err of await Promise.all(runs)) {
+    assert.match(err.message, /server shutting down/);
+  }
+  assert.equal(await reapChildren(), 0);
+});
+
+test("server exits when the host closes stdin", { timeout: 15000 }, async () => {
+  const server = spawn(process.execPath, [join(ROOT, "servers/mcp-qwen/server.js")], {
+    stdio: ["pipe", "ignore", "pipe"],
+  });
+  let stderr = "";
+  server.stderr.on("data", (data) => (stderr += data));
+
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  server.stdin.end();
+
+  const exitCode = await new Promise((resolve) => server.on("exit", resolve));
+  assert.equal(exitCode, 0);
+  assert.match(stderr, /Shutting down \(stdin closed\)/);
+});
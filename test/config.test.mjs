@@ -0,0 +1,108 @@
+/**
+ * Central config tests: validation errors, precedence between built-in,
+ * provider and tool settings, CLI overrides applied to adapters, and a
+ * server refusing to start on an invalid config.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { createRequire } from "module";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir, homedir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-config-"));
+
+const { loadConfig, toolConfig, runProvider } = await import("../servers/core/index.js");
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+// core has no dependencies; validate with the zod the servers use
+const { z } = createRequire(join(ROOT, "servers/mcp-concilium/package.json"))("zod");
+
+const dir = mkdtempSync(join(tmpdir(), "concilium-config-files-"));
+function configFile(name, content) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof content === "string" ? content : JSON.stringify(content));
+  return path;
+}
+
+const echo = {
+  name: "qwen",
+  label: "Echo",
+  command: "echo",
+  buildArgs: ({ prompt }) => [prompt],
+  extractResponse: ({ stdout }) => stdout.trim(),
+  classifyError: () => null,
+};
+
+test("a missing config is empty unless its path was given explicitly", async () => {
+  assert.deepEqual(await loadConfig(z, { path: join(dir, "none.json") }), {});
+  await assert.rejects(loadConfig(z, { path: join(dir, "none.json"), required: true }), /Cannot read config .*none\.json/);
+});
+
+test("invalid configs are rejected with every bad key named", async () => {
+  await assert.rejects(loadConfig(z, { path: configFile("broken.json", "{ timeout: 1 }") }), /is not valid JSON/);
+
+  const path = configFile("invalid.json", {
+    fallback: ["qwen", "mistral"],
+    providers: { openai: { timeout: "fast" }, llama: {} },
+    tools: { gemini_chat: { timout: 60 }, chat: { timeout: 60 } },
+  });
+  const error = await loadConfig(z, { path }).catch((err) => err);
+  assert.match(error.message, /^Invalid config .*invalid\.json:/);
+  assert.match(error.message, /- fallback\.1: Invalid enum value/);
+  assert.match(error.message, /- providers\.openai\.timeout: Expected number, received string/);
+  assert.match(error.message, /- providers: Unrecognized key\(s\) in object: 'llama'/);
+  assert.match(error.message, /- tools\.gemini_chat: Unrecognized key\(s\) in object: 'timout'/);
+  assert.match(error.message, /- tools\.chat: Expected a tool name such as gemini_chat/);
+});
+
+test("tool settings override provider settings, which override built-in defaults", async () => {
+  const config = await loadConfig(z, {
+    path: configFile("valid.json", {
+      maxBufferMB: 20,
+      providers: { qwen: { model: "qwen-plus", timeout: 60, command: "~/bin/qwen", args: ["--debug"], env: { QWEN_HOME: "~/.qwen" } } },
+      tools: { qwen_chat: { model: "qwen-long", args: ["--yolo"], maxBufferMB: 1 } },
+    }),
+  });
+
+  const chat = toolConfig(config, "qwen_chat", echo, { model: "qwen-turbo", timeout: 120 });
+  assert.equal(chat.model, "qwen-long");
+  assert.equal(chat.timeout, 60);
+  assert.equal(chat.adapter.command, join(homedir(), "bin/qwen"));
+  assert.deepEqual(chat.adapter.buildArgs({ prompt: "hi" }, {}), ["--debug", "--yolo", "hi"]);
+  assert.deepEqual(chat.adapter.env({}), { QWEN_HOME: join(homedir(), ".qwen") });
+  assert.equal(chat.adapter.maxBuffer, 1024 * 1024);
+
+  const other = toolConfig(config, "qwen_review", echo, { timeout: 180 });
+  assert.equal(other.model, "qwen-plus");
+  assert.equal(other.adapter.maxBuffer, 20 * 1024 * 1024);
+
+  const untouched = toolConfig({}, "qwen_chat", echo, { timeout: 120 });
+  assert.equal(untouched.adapter, echo, "no settings leave the adapter as is");
+  assert.equal(untouched.timeout, 120);
+});
+
+test("a configured output limit is enforced", async () => {
+  const { adapter } = toolConfig({ tools: { qwen_chat: { maxBufferMB: 0.001 } } }, "qwen_chat", echo);
+  const result = await runProvider(adapter, { prompt: "x".repeat(5000) });
+  assert.equal(result.error.errorType, "CLI_ERROR");
+  assert.match(result.error.message, /output exceeded/);
+});
+
+test("a server with an invalid config exits with the validation error", { timeout: 15000 }, async () => {
+  const server = spawn(process.execPath, [join(ROOT, "servers/mcp-qwen/server.js")], {
+    stdio: ["pipe", "ignore", "pipe"],
+    env: { ...process.env, CONCILIUM_CONFIG: configFile("server.json", { tools: { qwen_chat: { timeout: -1 } } }) },
+  });
+  let stderr = "";
+  server.stderr.on("data", (data) => (stderr += data));
+
+  const exitCode = await new Promise((resolve) => server.on("exit", resolve));
+  assert.equal(exitCode, 1);
+  assert.match(stderr, /\[Qwen MCP\] Invalid config .*server\.json:\n {2}- tools\.qwen_chat\.timeout: Number must be greater than 0/);
+});
@@ -0,0 +1,120 @@
+/**
+ * Consultation fallback tests: the fallback chain, which errors walk it,
+ * and how failed participants share the fallbacks. Providers are fake
+ * adapters run through runProvider with `node -e` instead of a CLI.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-consult-"));
+process.env.CONCILIUM_RETRY_DELAY = "0";
+
+const { runConsultation, consultParticipant, shouldFallback, runProvider, resetBreaker, classifyRun } = await import(
+  "../servers/core/index.js"
+);
+
+const NAMES = ["openai", "gemini", "qwen", "deepseek"];
+const RULES = [
+  { errorType: "QUOTA_EXCEEDED", stderr: /quota exceeded/, message: "Quota exceeded." },
+  { errorType: "AUTH_EXPIRED", stderr: /login expired/, message: "Login expired." },
+];
+
+const SCRIPTS = {
+  ok: (name) => `console.log("answer from ${name}")`,
+  quota: () => `console.error("quota exceeded"); process.exit(1)`,
+  auth: () => `console.error("login expired"); process.exit(1)`,
+  broken: () => `console.error("segfault"); process.exit(3)`,
+};
+
+function fakeAdapter(name, behaviour) {
+  return {
+    name,
+    label: name,
+    command: process.execPath,
+    buildArgs: () => ["-e", SCRIPTS[behaviour](name)],
+    extractResponse: ({ stdout }) => stdout.trim(),
+    classifyError: (run) => classifyRun(RULES, run),
+    retries: 0,
+  };
+}
+
+/**
+ * `ask` over fake adapters: { openai: "quota", ... }, "ok" for the rest.
+ * Records the providers asked, in order.
+ */
+function providers(behaviours) {
+  const asked = [];
+  const ask = (name) => {
+    asked.push(name);
+    return runProvider(fakeAdapter(name, behaviours[name] ?? "ok"), { prompt: "Which lock?", timeoutMs: 30000 });
+  };
+  return { ask, asked };
+}
+
+// Quota errors open the breakers; start every test with them closed
+afterEach(() => resetBreaker(NAMES));
+
+test("only errors that mean the provider can't answer now walk the chain", () => {
+  for (const type of ["QUOTA_EXCEEDED", "BUDGET_EXCEEDED", "QUEUE_TIMEOUT", "AUTH_EXPIRED", "AUTH_NOT_CONFIGURED"]) {
+    assert.equal(shouldFallback(type), true, type);
+  }
+  for (const type of ["TIMEOUT", "CLI_ERROR", "NO_RESPONSE", "CANCELLED", "SECRETS_DETECTED"]) {
+    assert.equal(shouldFallback(type), false, type);
+  }
+});
+
+test("a primary over quota is answered by the next provider in the chain", async () => {
+  const { ask, asked } = providers({ openai: "quota" });
+  const answer = await consultParticipant({ participant: "openai", fallback: ["qwen", "deepseek"], claimed: new Set(["openai"]), ask });
+
+  assert.equal(answer.respondedBy, "qwen");
+  assert.equal(answer.response, "answer from qwen");
+  assert.deepEqual(answer.attempts.map((a) => [a.provider, a.errorType]), [["openai", "QUOTA_EXCEEDED"], ["qwen", null]]);
+  assert.deepEqual(asked, ["openai", "qwen"]);
+});
+
+test("other failures are reported without trying the fallbacks", async () => {
+  const { ask, asked } = providers({ gemini: "broken" });
+  const answer = await consultParticipant({ participant: "gemini", fallback: ["qwen"], claimed: new Set(["gemini"]), ask });
+
+  assert.equal(answer.respondedBy, null);
+  assert.equal(answer.attempts[0].errorType, "NO_RESPONSE");
+  assert.deepEqual(asked, ["gemini"]);
+});
+
+test("two failed participants don't claim the same fallback", async () => {
+  const { ask, asked } = providers({ openai: "quota", gemini: "auth" });
+  const answers = await runConsultation({ participants: ["openai", "gemini"], fallback: ["qwen"], ask });
+
+  const responders = answers.map((a) => a.respondedBy);
+  assert.equal(responders.filter((name) => name === "qwen").length, 1);
+  assert.ok(responders.includes(null), "only one fallback to go round");
+  assert.equal(answers.find((a) => !a.respondedBy).message, "All providers in the fallback chain failed.");
+  assert.equal(asked.filter((name) => name === "qwen").length, 1);
+});
+
+test("participants are never used as someone else's fallback", async () => {
+  const { ask, asked } = providers({ openai: "quota" });
+  const answers = await runConsultation({ participants: ["openai", "gemini"], fallback: ["gemini", "qwen"], ask });
+
+  assert.deepEqual(answers.map((a) => a.respondedBy), ["qwen", "gemini"]);
+  assert.equal(asked.filter((name) => name === "gemini").length, 1);
+});
+
+test("with both primaries unavailable, Qwen and DeepSeek answer", async () => {
+  const { ask } = providers({ openai: "quota", gemini: "quota" });
+  const answers = await runConsultation({ participants: ["openai", "gemini"], fallback: ["qwen", "deepseek"], ask });
+
+  assert.deepEqual(answers.map((a) => a.participant), ["openai", "gemini"]);
+  assert.deepEqual(answers.map((a) => a.respondedBy).sort(), ["deepseek", "qwen"]);
+  for (const answer of answers) {
+    assert.equal(answer.response, `answer from ${answer.respondedBy}`);
+    assert.equal(answer.attempts[0].errorType, "QUOTA_EXCEEDED");
+  }
+});
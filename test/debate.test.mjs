@@ -0,0 +1,84 @@
+/**
+ * Debate tests: round prompts, stance parsing, early stop on convergence,
+ * and participants dropping out. Providers are stand-in `ask` functions.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runDebate, debatePrompt, parseStance } from "../servers/core/index.js";
+
+const labels = { openai: "OpenAI", gemini: "Gemini", qwen: "Qwen" };
+
+test("parseStance reads the last POSITION and AGREEMENT lines, markdown or not", () => {
+  assert.deepEqual(parseStance("Use a mutex.\nPOSITION: use a mutex"), { position: "use a mutex", agrees: null });
+  assert.deepEqual(
+    parseStance("POSITION: old\n...\n**POSITION:** use a queue\n**AGREEMENT:** Agree"),
+    { position: "use a queue", agrees: true }
+  );
+  assert.equal(parseStance("POSITION: x\nAGREEMENT: disagree").agrees, false);
+  assert.deepEqual(parseStance("no markers"), { position: null, agrees: null });
+});
+
+test("later rounds show a participant its own answer and the others'", () => {
+  assert.match(debatePrompt("Mutex or queue?", 1, "openai", {}, labels), /^Mutex or queue\?\n[\s\S]*POSITION:/);
+
+  const previous = { openai: "A mutex.", gemini: "A queue.", qwen: "Neither." };
+  const prompt = debatePrompt("Mutex or queue?", 2, "gemini", previous, labels);
+  assert.match(prompt, /round 2 of a debate/);
+  assert.match(prompt, /previous round:\n\nA queue\.\n/);
+  assert.match(prompt, /--- OpenAI ---\nA mutex\.\n\n--- Qwen ---\nNeither\./);
+  assert.doesNotMatch(prompt, /--- Gemini ---/);
+  assert.match(prompt, /AGREEMENT: agree \| disagree/);
+});
+
+test("stops as soon as every participant agrees", async () => {
+  const prompts = [];
+  const ask = async (name, prompt) => {
+    prompts.push(prompt);
+    const round = prompts.length <= 2 ? 1 : 2;
+    return { response: round === 1 ? `${name}: it depends\nPOSITION: ${name} way` : "Fine.\nPOSITION: use a queue\nAGREEMENT: agree" };
+  };
+
+  const debate = await runDebate({ question: "Q", participants: ["openai", "gemini"], labels, maxRounds: 4, ask });
+
+  assert.equal(debate.stopReason, "converged");
+  assert.equal(debate.converged, true);
+  assert.equal(debate.rounds.length, 2);
+  assert.equal(prompts.length, 4);
+  assert.deepEqual(debate.rounds[0].answers.map((a) => a.position), ["openai way", "gemini way"]);
+  assert.deepEqual(
+    debate.positions.map((p) => [p.participant, p.position]),
+    [["openai", "use a queue"], ["gemini", "use a queue"]]
+  );
+});
+
+test("runs every round without consensus, and failed participants drop out", async () => {
+  const asked = [];
+  const ask = async (name, prompt) => {
+    asked.push(name);
+    if (name === "qwen") return { error: { errorType: "QUOTA_EXCEEDED", message: "quota" } };
+    return { response: `${name} holds.\nPOSITION: ${name}\nAGREEMENT: disagree` };
+  };
+
+  const debate = await runDebate({ question: "Q", participants: ["openai", "gemini", "qwen"], labels, maxRounds: 3, ask });
+
+  assert.equal(debate.stopReason, "max_rounds");
+  assert.equal(debate.converged, false);
+  assert.deepEqual(asked, ["openai", "gemini", "qwen", "openai", "gemini", "openai", "gemini"]);
+  assert.deepEqual(debate.rounds[0].answers[2], {
+    participant: "qwen",
+    response: null,
+    position: null,
+    agrees: null,
+    errorType: "QUOTA_EXCEEDED",
+    message: "quota",
+  });
+  assert.deepEqual(debate.positions.map((p) => p.participant), ["openai", "gemini"]);
+
+  const alone = await runDebate({ question: "Q", participants: ["openai", "qwen"], labels, ask });
+  assert.equal(alone.stopReason, "too_few_participants");
+  assert.equal(alone.rounds.length, 1);
+  assert.deepEqual(alone.positions.map((p) => p.participant), ["openai"]);
+});
@@ -0,0 +1,131 @@
+/**
+ * Error classification tests for the provider adapters.
+ *
+ * Regression cover for answers that merely discuss "login", "quota" or
+ * "auth" being reported as errors and thrown away.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { codexExec, codexReview, gemini, qwen, parseResetAt, isTransient } from "../servers/core/index.js";
+
+const AUTH_REVIEW = [
+  "The login handler refreshes the auth token, but if it has expired the",
+  "retry loop never backs off, so a client can burn through its API quota",
+  "and hit the rate limit. Consider RESOURCE_EXHAUSTED handling as well.",
+].join("\n");
+
+function geminiJson(fields) {
+  return JSON.stringify({ ...fields, stats: { models: {} } });
+}
+
+function classify(adapter, run, request) {
+  return adapter.classifyError({ stdout: "", stderr: "", exitCode: 0, response: "", ...run }, request);
+}
+
+test("successful answers that discuss auth and quota are not errors", () => {
+  assert.equal(classify(codexExec, { stdout: AUTH_REVIEW, response: AUTH_REVIEW }), null);
+  assert.equal(classify(codexReview, { stdout: AUTH_REVIEW, response: AUTH_REVIEW }), null);
+  assert.equal(classify(qwen, { stdout: AUTH_REVIEW, response: AUTH_REVIEW }), null);
+  assert.equal(
+    classify(gemini, { stdout: geminiJson({ response: AUTH_REVIEW }), response: AUTH_REVIEW }),
+    null
+  );
+});
+
+test("codex prompt echoed to stderr does not trigger errors on success", () => {
+  const stderr = `user\nWhy does my usage limit check fail after login?\n`;
+  assert.equal(classify(codexExec, { stdout: "Because...", stderr, response: "Because..." }), null);
+});
+
+test("a failed codex run is not a quota or auth error because the prompt mentions one", () => {
+  const prompt = "Why does our usage limit check break when the auth login token expired?";
+  const stderr = `user\n${prompt}\nERROR: stream disconnected before completion: error sending request: connection reset\n`;
+  const error = classify(codexExec, { stderr, exitCode: 1 }, { prompt });
+  assert.equal(error, null, "left to the generic CLI_ERROR, which is retried");
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, { stderr, exitCode: 1 }, { prompt }), true);
+
+  const quota = classify(codexExec, { stderr: `${stderr}ERROR: You've hit your usage limit.\n`, exitCode: 1 }, { prompt });
+  assert.equal(quota.errorType, "QUOTA_EXCEEDED", "the CLI's own message still counts");
+});
+
+test("gemini text output that discusses login is not an error", () => {
+  const response = gemini.extractResponse({ stdout: `${AUTH_REVIEW}\n` });
+  assert.equal(response, AUTH_REVIEW);
+  assert.equal(classify(gemini, { stdout: AUTH_REVIEW, response }), null);
+});
+
+test("gemini extracts the response field from JSON output", () => {
+  assert.equal(gemini.extractResponse({ stdout: geminiJson({ response: " Looks good. " }) }), "Looks good.");
+  assert.equal(gemini.extractResponse({ stdout: JSON.stringify({ error: { message: "x" } }) }), "");
+});
+
+test("gemini structured errors are classified by code and type", () => {
+  const quota = JSON.stringify({ error: { type: "Error", message: "Resource exhausted", code: 429 } });
+  assert.equal(classify(gemini, { stderr: quota, exitCode: 1 }).errorType, "QUOTA_EXCEEDED");
+
+  const auth = JSON.stringify({ error: { type: "FatalAuthenticationError", message: "Please sign in", code: 41 } });
+  assert.equal(classify(gemini, { stderr: `Loaded credentials.\n${auth}\n`, exitCode: 41 }).errorType, "AUTH_REQUIRED");
+
+  const other = JSON.stringify({ error: { type: "FatalInputError", message: "No input provided", code: 42 } });
+  const error = classify(gemini, { stderr: other, exitCode: 42 });
+  assert.equal(error.errorType, "CLI_ERROR");
+  assert.match(error.message, /No input provided/);
+  assert.equal(error.transient, undefined);
+
+  const unavailable = JSON.stringify({ error: { type: "ApiError", message: "The model is overloaded", code: 503 } });
+  assert.equal(classify(gemini, { stdout: unavailable, exitCode: 1 }).transient, true, "backend 5xx is retried");
+});
+
+test("gemini exit code 41 means auth even without JSON", () => {
+  assert.equal(classify(gemini, { stderr: "Something went wrong", exitCode: 41 }).errorType, "AUTH_REQUIRED");
+});
+
+test("text fallback still applies when the CLI failed", () => {
+  assert.equal(
+    classify(gemini, { stderr: "Error: 429 RESOURCE_EXHAUSTED", exitCode: 1 }).errorType,
+    "QUOTA_EXCEEDED"
+  );
+  assert.equal(
+    classify(qwen, { stderr: "No auth type is selected. Please configure an auth type", exitCode: 1 }).errorType,
+    "AUTH_NOT_CONFIGURED"
+  );
+  assert.equal(classify(qwen, { stderr: "401 Unauthorized", exitCode: 1 }).errorType, "AUTH_EXPIRED");
+  assert.equal(classify(qwen, { stderr: "model_not_found: qwen-max2", exitCode: 1 }).errorType, "MODEL_NOT_AVAILABLE");
+  assert.equal(
+    classify(codexExec, { stderr: "ERROR: Your access token could not be refreshed. Please log out and login again (auth).", exitCode: 1 }).errorType,
+    "AUTH_EXPIRED"
+  );
+  assert.equal(
+    classify(codexExec, { stderr: "Model gpt-5-pro is not supported when using Codex with a ChatGPT account.", exitCode: 1 }).errorType,
+    "MODEL_NOT_SUPPORTED"
+  );
+});
+
+test("codex usage limit reports the reset date", () => {
+  const error = classify(codexExec, {
+    stderr: "ERROR: You've hit your usage limit. Upgrade to Pro or try again at Oct 21st, 2026 9:00 AM.\n",
+    exitCode: 1,
+  });
+  assert.equal(error.errorType, "QUOTA_EXCEEDED");
+  assert.match(error.message, /Oct 21st, 2026 9:00 AM/);
+  assert.equal(error.resetAt, new Date("Oct 21, 2026 9:00 AM").toISOString());
+});
+
+test("codex reset times without a date resolve to the next occurrence", () => {
+  const now = new Date(2026, 9, 19, 16, 0);
+  assert.equal(parseResetAt("Try again at 3:45 PM.", now), new Date(2026, 9, 20, 15, 45).toISOString());
+  assert.equal(parseResetAt("try again at 17:30\n", now), new Date(2026, 9, 19, 17, 30).toISOString());
+  assert.equal(parseResetAt("try again later.", now), null);
+});
+
+test("exit 0 with an empty answer counts as a failure", () => {
+  assert.equal(classify(qwen, { stdout: "", stderr: "rate limit reached", exitCode: 0 }).errorType, "QUOTA_EXCEEDED");
+});
+
+test("killed runs are classified from their partial output", () => {
+  assert.equal(classify(qwen, { stderr: "insufficient_quota", exitCode: null }).errorType, "QUOTA_EXCEEDED");
+  assert.equal(classify(qwen, { stdout: "partial answer", exitCode: null }), null);
+});
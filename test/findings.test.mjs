@@ -0,0 +1,117 @@
+/**
+ * Review findings parser tests: the JSON block asked for by REVIEW_PROMPT,
+ * `codex review` comments, and review text with no recognizable findings.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFindings, normalizeFindings, withFindings, structuredResult } from "../servers/core/index.js";
+
+const GEMINI_REVIEW = `The retry loop is mostly fine, but two issues stand out.
+
+Verdict: REQUEST_CHANGES
+
+\`\`\`json
+[
+  {
+    "file": "src/client.js",
+    "startLine": 42,
+    "endLine": 48,
+    "severity": "critical",
+    "category": "security",
+    "message": "The auth token is logged on every retry.",
+    "suggestion": "Redact the Authorization header before logging."
+  },
+  { "file": "src/client.js", "line": 90, "severity": "low", "message": "Retry counter is shared between requests, a race under load." }
+]
+\`\`\`
+`;
+
+const CODEX_REVIEW = `OpenAI Codex v0.46.0 (research preview)
+--------
+workdir: /repo
+model: gpt-5-codex
+--------
+codex
+The change introduces a regression in the cache layer.
+
+Full review comments:
+
+- [P1] Invalidate cache on write — src/cache.js:10-14
+  Writes update the store but leave the stale entry in memory,
+  so readers see old data until the TTL expires.
+
+- [P3] Typo in log message — src/cache.js:30
+  "recieved" should be "received".
+tokens used: 1234
+`;
+
+test("json findings block is normalized", () => {
+  const [first, second] = parseFindings(GEMINI_REVIEW);
+
+  assert.deepEqual(
+    { ...first, fingerprint: undefined },
+    {
+      file: "src/client.js",
+      startLine: 42,
+      endLine: 48,
+      severity: "critical",
+      category: "security",
+      message: "The auth token is logged on every retry.",
+      suggestion: "Redact the Authorization header before logging.",
+      fingerprint: undefined,
+    }
+  );
+  assert.match(first.fingerprint, /^[0-9a-f]{12}$/);
+
+  // `line` alias, severity alias, category inferred from the message
+  assert.equal(second.startLine, 90);
+  assert.equal(second.endLine, 90);
+  assert.equal(second.severity, "info");
+  assert.equal(second.category, "concurrency");
+  assert.equal(second.suggestion, null);
+});
+
+test("codex review comments are parsed, CLI chatter is ignored", () => {
+  const findings = parseFindings(CODEX_REVIEW);
+  assert.equal(findings.length, 2);
+
+  assert.equal(findings[0].file, "src/cache.js");
+  assert.equal(findings[0].startLine, 10);
+  assert.equal(findings[0].endLine, 14);
+  assert.equal(findings[0].severity, "major");
+  assert.match(findings[0].message, /^Invalidate cache on write\nWrites update the store/);
+  assert.doesNotMatch(findings[0].message, /Typo/);
+
+  assert.equal(findings[1].severity, "info");
+  assert.equal(findings[1].endLine, 30);
+});
+
+test("the same finding gets the same fingerprint across providers, different ones do not", () => {
+  const a = parseFindings('```json\n[{"file": "a.js", "line": 3, "category": "security", "message": "SQL injection"}]\n```');
+  const b = parseFindings('```json\n[{"file": "a.js", "startLine": 3, "category": "Security", "message": "SQL  injection."}]\n```');
+  assert.equal(a[0].fingerprint, b[0].fingerprint);
+
+  const [offByOne, shadowing, validation, typo] = normalizeFindings([
+    { file: "a.js", line: 3, category: "correctness", message: "off-by-one" },
+    { file: "a.js", line: 3, category: "correctness", message: "variable shadowing" },
+    { category: "correctness", message: "Missing input validation" },
+    { category: "correctness", message: "Typo in README" },
+  ]);
+  assert.notEqual(offByOne.fingerprint, shadowing.fingerprint, "same line and category");
+  assert.notEqual(validation.fingerprint, typo.fingerprint, "no file");
+});
+
+test("prose without findings and failed runs give an empty list", () => {
+  assert.deepEqual(parseFindings("Looks good to me. APPROVE"), []);
+  assert.deepEqual(parseFindings("```json\n{ not json\n```"), []);
+  assert.deepEqual(parseFindings("```json\n[]\n```"), []);
+
+  const failed = withFindings({ provider: "gemini", model: null, error: { errorType: "TIMEOUT", message: "x" }, elapsed: "1.0" });
+  assert.deepEqual(structuredResult(failed).findings, []);
+
+  const ok = withFindings({ provider: "openai", model: null, response: CODEX_REVIEW, exitCode: 0, elapsed: "2.0" });
+  assert.equal(structuredResult(ok).findings.length, 2);
+});
@@ -0,0 +1,202 @@
+/**
+ * Streamable HTTP transport tests: option parsing, and the gateway and a
+ * single server spoken to over HTTP with raw JSON-RPC (bearer token,
+ * sessions per client, routing, health endpoint, idle expiry, the
+ * session cap and the refusal to serve a public address without a token).
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const { transportOptions } = await import("../servers/core/index.js");
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-http-transport-"));
+
+/**
+ * Start a server script on a random port; resolves { url, proc, stderr() }
+ * once it logs where it listens. stdin is closed, as in a detached container.
+ */
+function start(script, args = [], env = {}) {
+  const proc = spawn(process.execPath, [join(ROOT, script), ...args], {
+    stdio: ["ignore", "pipe", "pipe"],
+    env: { ...process.env, CONCILIUM_STATE_DIR: STATE_DIR, CONCILIUM_SELF_CHECK: "0", CONCILIUM_HTTP_PORT: "0", ...env },
+  });
+  let stderr = "";
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      proc.kill();
+      reject(new Error(`${script} did not start:\n${stderr}`));
+    }, 15000);
+    proc.stderr.on("data", (data) => {
+      stderr += data;
+      const match = stderr.match(/Listening on (http:\/\/\S+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ url: match[1], proc, stderr: () => stderr });
+      }
+    });
+    proc.on("exit", (code) => reject(new Error(`${script} exited with ${code}:\n${stderr}`)));
+  });
+}
+
+function stop(proc) {
+  return new Promise((resolve) => {
+    proc.on("exit", (code) => resolve(code));
+    proc.kill("SIGTERM");
+  });
+}
+
+/**
+ * One JSON-RPC message; resolves { status, session, message } with the
+ * message taken from a JSON or SSE response.
+ */
+async function rpc(url, message, { token, session } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(session && { "Mcp-Session-Id": session }),
+    },
+    body: JSON.stringify({ jsonrpc: "2.0", ...message }),
+  });
+  const text = await res.text();
+  const data = text.split("\n").find((line) => line.startsWith("data: "));
+  const body = data ? data.slice(6) : text;
+  return { status: res.status, session: res.headers.get("mcp-session-id"), message: body ? JSON.parse(body) : null };
+}
+
+async function openSession(url, token) {
+  const init = await rpc(
+    url,
+    { id: 1, method: "initialize", params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } } },
+    { token }
+  );
+  assert.equal(init.status, 200);
+  assert.ok(init.session, "initialize must return a session id");
+  await rpc(url, { method: "notifications/initialized" }, { token, session: init.session });
+  return init.session;
+}
+
+async function toolNames(url, token, session) {
+  const list = await rpc(url, { id: 2, method: "tools/list" }, { token, session });
+  return list.message.result.tools.map((tool) => tool.name);
+}
+
+test("transport options from flags and env", () => {
+  assert.deepEqual(transportOptions([], {}), {
+    transport: "stdio",
+    host: "127.0.0.1",
+    port: 3000,
+    token: null,
+    allowNoAuth: false,
+    maxSessions: 100,
+    sessionTimeout: 1800,
+  });
+  assert.deepEqual(
+    transportOptions(["--http", "--host=0.0.0.0", "--port=8080"], {
+      CONCILIUM_HTTP_PORT: "9000",
+      CONCILIUM_HTTP_TOKEN: "t",
+      CONCILIUM_HTTP_MAX_SESSIONS: "5",
+      CONCILIUM_HTTP_SESSION_TIMEOUT: "0",
+    }),
+    { transport: "http", host: "0.0.0.0", port: 8080, token: "t", allowNoAuth: false, maxSessions: 5, sessionTimeout: 0 }
+  );
+  assert.equal(transportOptions([], { CONCILIUM_HTTP_ALLOW_NO_AUTH: "1" }).allowNoAuth, true);
+  assert.equal(transportOptions([], { CONCILIUM_TRANSPORT: "http", CONCILIUM_HTTP_PORT: "9000" }).port, 9000);
+  assert.throws(() => transportOptions([], { CONCILIUM_TRANSPORT: "sse" }), /Unknown CONCILIUM_TRANSPORT "sse"/);
+  assert.throws(() => transportOptions(["--port=http"], {}), /Invalid HTTP port/);
+  assert.throws(() => transportOptions([], { CONCILIUM_HTTP_MAX_SESSIONS: "0" }), /Invalid CONCILIUM_HTTP_MAX_SESSIONS "0"/);
+  assert.throws(() => transportOptions([], { CONCILIUM_HTTP_SESSION_TIMEOUT: "-1" }), /Invalid CONCILIUM_HTTP_SESSION_TIMEOUT/);
+});
+
+test("gateway serves every server behind one bearer token", async () => {
+  const token = "team-secret";
+  const { url, proc } = await start("servers/gateway/server.js", [], { CONCILIUM_HTTP_TOKEN: token });
+  try {
+    const health = await fetch(`${url}/health`);
+    assert.equal(health.status, 200);
+    assert.deepEqual((await health.json()).servers, ["openai", "gemini", "qwen", "concilium"]);
+
+    const anonymous = await rpc(`${url}/concilium/mcp`, { id: 1, method: "initialize", params: {} });
+    assert.equal(anonymous.status, 401);
+    const wrong = await rpc(`${url}/concilium/mcp`, { id: 1, method: "initialize", params: {} }, { token: "guess" });
+    assert.equal(wrong.status, 401);
+
+    // Two editors, two sessions, each with its own server instance
+    const concilium = await openSession(`${url}/concilium/mcp`, token);
+    const openai = await openSession(`${url}/openai/mcp`, token);
+    assert.notEqual(concilium, openai);
+    assert.ok((await toolNames(`${url}/concilium/mcp`, token, concilium)).includes("concilium_consult"));
+    assert.ok((await toolNames(`${url}/openai/mcp`, token, openai)).includes("openai_chat"));
+
+    const crossed = await rpc(`${url}/openai/mcp`, { id: 3, method: "tools/list" }, { token, session: concilium });
+    assert.equal(crossed.status, 404);
+    const noSession = await rpc(`${url}/openai/mcp`, { id: 3, method: "tools/list" }, { token });
+    assert.equal(noSession.status, 400);
+    assert.equal((await rpc(`${url}/nope/mcp`, { id: 1, method: "initialize" }, { token })).status, 404);
+  } finally {
+    assert.equal(await stop(proc), 0);
+  }
+});
+
+test("a single server over HTTP keeps running with stdin closed", async () => {
+  const { url, proc, stderr } = await start("servers/mcp-qwen/server.js", ["--http"]);
+  try {
+    // Give a stdin-close shutdown the chance to happen
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const session = await openSession(`${url}/mcp`, undefined);
+    assert.ok((await toolNames(`${url}/qwen/mcp`, undefined, session)).includes("qwen_chat"));
+    assert.doesNotMatch(stderr(), /Shutting down/);
+  } finally {
+    assert.equal(await stop(proc), 0);
+  }
+});
+
+test("a non-loopback host without a token is refused unless explicitly allowed", async () => {
+  await assert.rejects(
+    start("servers/mcp-qwen/server.js", ["--http", "--host=0.0.0.0"]),
+    /exited with 1:[\s\S]*Refusing to listen on 0\.0\.0\.0 without CONCILIUM_HTTP_TOKEN/
+  );
+
+  const { url, proc, stderr } = await start("servers/mcp-qwen/server.js", ["--http", "--host=0.0.0.0"], {
+    CONCILIUM_HTTP_ALLOW_NO_AUTH: "1",
+  });
+  try {
+    assert.equal((await fetch(`${url}/health`)).status, 200);
+    assert.match(stderr(), /WARNING: bound to 0\.0\.0\.0 without CONCILIUM_HTTP_TOKEN/);
+  } finally {
+    assert.equal(await stop(proc), 0);
+  }
+});
+
+test("idle sessions expire and the session cap answers 503", async () => {
+  const { url, proc, stderr } = await start("servers/mcp-qwen/server.js", ["--http"], {
+    CONCILIUM_HTTP_MAX_SESSIONS: "2",
+    CONCILIUM_HTTP_SESSION_TIMEOUT: "1",
+  });
+  try {
+    const first = await openSession(`${url}/mcp`);
+    await openSession(`${url}/mcp`);
+    const full = await rpc(`${url}/mcp`, { id: 1, method: "initialize", params: {} });
+    assert.equal(full.status, 503);
+    assert.match(full.message.error.message, /Too many open sessions \(2\)/);
+
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    assert.equal((await (await fetch(`${url}/health`)).json()).sessions, 0);
+    assert.equal((await rpc(`${url}/mcp`, { id: 2, method: "tools/list" }, { session: first })).status, 404);
+    assert.match(stderr(), /HTTP session \S+ expired after 1s idle/);
+    assert.ok(await openSession(`${url}/mcp`), "expired sessions free their slots");
+  } finally {
+    assert.equal(await stop(proc), 0);
+  }
+});
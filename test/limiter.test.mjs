@@ -0,0 +1,116 @@
+/**
+ * Concurrency limiter tests: the per-provider slot limit, FIFO order of the
+ * queue, QUEUE_TIMEOUT and cancellation while queued, and queue time on
+ * runProvider results.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-limiter-"));
+process.env.ENVLIMIT_MAX_CONCURRENCY = "5";
+process.env.ENVLIMIT_QUEUE_TIMEOUT = "7";
+
+const { runProvider, acquireSlot, concurrencyLimit, queueStatus, structuredResult, toolConfig } = await import(
+  "../servers/core/index.js"
+);
+
+/**
+ * Adapter whose CLI answers with the prompt after `delay` ms.
+ */
+function sleeper(name, delay, limits = {}) {
+  return {
+    name,
+    label: name,
+    command: process.execPath,
+    buildArgs: ({ prompt }) => ["-e", `setTimeout(() => console.log(${JSON.stringify(prompt)}), ${delay})`],
+    extractResponse: ({ stdout }) => stdout.trim(),
+    classifyError: () => null,
+    ...limits,
+  };
+}
+
+test("limits come from the adapter, then env, then defaults", () => {
+  assert.deepEqual(concurrencyLimit({ name: "plain" }), { maxConcurrency: 2, queueTimeoutMs: 120000 });
+  assert.deepEqual(concurrencyLimit({ name: "envlimit" }), { maxConcurrency: 5, queueTimeoutMs: 7000 });
+  assert.deepEqual(concurrencyLimit({ name: "envlimit", maxConcurrency: 0, queueTimeout: 1.5 }), {
+    maxConcurrency: 0,
+    queueTimeoutMs: 1500,
+  });
+
+  const config = { providers: { gemini: { maxConcurrency: 1, queueTimeout: 30 } } };
+  const { adapter } = toolConfig(config, "gemini_chat", sleeper("gemini", 0));
+  assert.equal(adapter.maxConcurrency, 1);
+  assert.equal(adapter.queueTimeout, 30);
+});
+
+test("calls beyond the limit wait and start in arrival order", async () => {
+  const adapter = sleeper("fifo", 500, { maxConcurrency: 1 });
+  const finished = [];
+  const runs = ["a", "b", "c"].map((prompt) =>
+    runProvider(adapter, { prompt, timeoutMs: 10000 }).then((result) => {
+      finished.push(result.response);
+      return result;
+    })
+  );
+
+  // Past the breaker and budget checks, into the queue
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.deepEqual(queueStatus("fifo"), { active: 1, waiting: 2 });
+
+  const [a, b, c] = await Promise.all(runs);
+  assert.deepEqual(finished, ["a", "b", "c"]);
+  assert.equal(a.queued, 0);
+  assert.ok(b.queued > 0 && c.queued > b.queued, `queue time grows: ${b.queued}, ${c.queued}`);
+  assert.equal(structuredResult(c).queued, c.queued);
+  assert.deepEqual(queueStatus("fifo"), { active: 0, waiting: 0 });
+});
+
+test("a call still queued after queueTimeout fails with QUEUE_TIMEOUT", async () => {
+  const adapter = sleeper("busy", 1500, { maxConcurrency: 1, queueTimeout: 0.2 });
+  const first = runProvider(adapter, { prompt: "first", timeoutMs: 10000 });
+  const second = await runProvider(adapter, { prompt: "second", timeoutMs: 10000 });
+
+  assert.equal(second.error.errorType, "QUEUE_TIMEOUT");
+  assert.match(second.error.message, /busy: 1 call\(s\) running \(max 1\), still queued after 0.2s/);
+  assert.ok(second.queued >= 0.2);
+  assert.equal(structuredResult(second).errorType, "QUEUE_TIMEOUT");
+
+  assert.equal((await first).response, "first");
+  assert.deepEqual(queueStatus("busy"), { active: 0, waiting: 0 });
+});
+
+test("cancelling a queued call leaves the queue without running it", async () => {
+  const adapter = { name: "cancel", label: "Cancel", maxConcurrency: 1 };
+  const held = await acquireSlot(adapter);
+  const controller = new AbortController();
+  const queued = acquireSlot(adapter, { signal: controller.signal });
+  const next = acquireSlot(adapter);
+
+  controller.abort();
+  const cancelled = await queued;
+  assert.equal(cancelled.error.errorType, "CANCELLED");
+  assert.match(cancelled.error.message, /while queued/);
+  assert.deepEqual(queueStatus("cancel"), { active: 1, waiting: 1 });
+
+  held.release();
+  held.release(); // a second release is a no-op
+  const granted = await next;
+  assert.equal(typeof granted.release, "function");
+  granted.release();
+  assert.deepEqual(queueStatus("cancel"), { active: 0, waiting: 0 });
+});
+
+test("maxConcurrency 0 runs every call at once", async () => {
+  const adapter = { name: "unlimited", label: "Unlimited", maxConcurrency: 0 };
+  const slots = await Promise.all([1, 2, 3, 4].map(() => acquireSlot(adapter)));
+  assert.ok(slots.every((slot) => slot.queued === 0 && !slot.error));
+  assert.deepEqual(queueStatus("unlimited"), { active: 4, waiting: 0 });
+  slots.forEach((slot) => slot.release());
+  assert.deepEqual(queueStatus("unlimited"), { active: 0, waiting: 0 });
+});
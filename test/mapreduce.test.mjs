@@ -0,0 +1,149 @@
+/**
+ * Map-reduce analysis tests: size estimate, splitting at file and hunk
+ * boundaries, bounded map concurrency, and the reduce pass with per-part
+ * attribution, failed parts and cancellation.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-mapreduce-"));
+
+const { runChunkedAnalysis, splitInput, estimateTokens, maxInputTokens, structuredResult, toolResult } = await import("../servers/core/index.js");
+
+// Map calls answer with the part they saw; the reduce call echoes its prompt.
+// A part containing "BROKEN" fails; `delay` ms per call.
+function analyst({ delay = 0, ...fields } = {}) {
+  const script = `
+    let input = "";
+    process.stdin.on("data", (d) => (input += d)).on("end", () => setTimeout(() => {
+      const part = input.match(/^--- PART (\\S+): (.+) ---$/m);
+      if (part && input.includes("BROKEN")) process.exit(2);
+      console.log(part ? "notes on " + part[2] : input);
+    }, ${delay}));
+  `;
+  return {
+    name: "analyst",
+    label: "Analyst",
+    command: process.execPath,
+    buildArgs: () => ["-e", script],
+    stdin: ({ prompt }) => prompt,
+    extractResponse: ({ stdout, exitCode }) => (exitCode === 0 ? stdout.trim() : ""),
+    classifyError: ({ exitCode }) => (exitCode === 2 ? { errorType: "MODEL_ERROR", message: "part failed" } : null),
+    retries: 0,
+    ...fields,
+  };
+}
+
+const fileDiff = (name, hunks) =>
+  `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n` +
+  hunks.map((body, i) => `@@ -${i * 10 + 1},3 +${i * 10 + 1},3 @@\n${body}\n`).join("");
+
+test("size estimate and threshold", () => {
+  assert.equal(estimateTokens("x".repeat(4001)), 1001);
+  assert.equal(maxInputTokens({ name: "analyst" }), 800000);
+  assert.equal(maxInputTokens({ name: "analyst", maxInputTokens: 50 }), 50);
+  process.env.ANALYST_MAX_INPUT_TOKENS = "1234";
+  try {
+    assert.equal(maxInputTokens({ name: "analyst" }), 1234);
+  } finally {
+    delete process.env.ANALYST_MAX_INPUT_TOKENS;
+  }
+});
+
+test("inputs split at files, then hunks, with the question kept apart", () => {
+  const small = fileDiff("a.js", ["+a"]);
+  const big = fileDiff("big.js", ["+" + "x".repeat(200), "+" + "y".repeat(200), "+" + "z".repeat(200)]);
+  const { preamble, chunks } = splitInput(`Find the bugs.\n\n${small}${big}File: notes.md\nplain text\n`, 100);
+
+  assert.equal(preamble, "Find the bugs.\n\n");
+  assert.deepEqual(
+    chunks.map((c) => c.label),
+    ["a.js, big.js (part 1/3)", "big.js (part 2/3)", "big.js (part 3/3), notes.md"]
+  );
+  for (const chunk of chunks.slice(1)) {
+    assert.match(chunk.text, /^diff --git a\/big\.js b\/big\.js\n--- a\/big\.js\n\+\+\+ b\/big\.js\n@@ /, "each hunk keeps the file header");
+  }
+  assert.ok(chunks.every((c) => c.text.length <= 400));
+  assert.match(chunks[2].text, /File: notes\.md\nplain text\n$/);
+
+  const plain = splitInput("line\n".repeat(200), 100).chunks;
+  assert.ok(plain.length > 1 && plain.every((c) => c.text.length <= 400));
+  assert.match(plain[1].label, /^characters \d+\+$/);
+});
+
+test("small inputs go out in one call unless map_reduce is forced", async () => {
+  const single = await runChunkedAnalysis(analyst(), { prompt: "Short question", timeoutMs: 30000 });
+  assert.equal(single.response, "Short question");
+  assert.equal(single.mapReduce, undefined);
+
+  const forced = await runChunkedAnalysis(analyst(), { prompt: `Review.\n\n${fileDiff("a.js", ["+a"])}`, mode: "map_reduce", timeoutMs: 30000 });
+  assert.equal(forced.mapReduce.chunks.length, 1);
+  assert.equal(forced.attempts, 2);
+});
+
+test("oversized inputs are mapped with bounded concurrency and reduced with attribution", async () => {
+  // One slot and a queue timeout shorter than a call: only a bounded map pass avoids QUEUE_TIMEOUT
+  const adapter = analyst({ delay: 300, maxInputTokens: 150, maxConcurrency: 1, queueTimeout: 0.2 });
+  const prompt = `Find race conditions.\n\n${["a.js", "b.js", "c.js"].map((name) => fileDiff(name, ["+" + "q".repeat(250)])).join("")}`;
+  const logs = [];
+  const result = await runChunkedAnalysis(adapter, { prompt, chunkTokens: 100, timeoutMs: 30000, log: (m) => logs.push(m) });
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(result.mapReduce.chunks.map((c) => [c.part, c.label, c.errorType]), [
+    [1, "a.js", null],
+    [2, "b.js", null],
+    [3, "c.js", null],
+  ]);
+  assert.equal(result.mapReduce.estimatedTokens, estimateTokens(prompt));
+  assert.equal(result.attempts, 4);
+  assert.equal(result.mapReduce.calls, 4);
+  assert.ok(Number(result.elapsed) >= 1.2);
+  assert.match(result.response, /^Find race conditions\.\n\nThe input was too large for one pass, so it was split into 3 parts/);
+  assert.match(result.response, /--- ANALYSIS OF PART 2: b\.js ---\nnotes on b\.js/);
+  assert.match(logs[0], /^Map-reduce: ~\d+ tokens in 3 parts of up to ~100 tokens, 1 at a time$/);
+  assert.equal(structuredResult(result).mapReduce.chunks.length, 3);
+});
+
+test("failed parts are named in the reduce prompt and the warning", async () => {
+  const prompt = `Summarize.\n\n${fileDiff("ok.js", ["+fine"])}${fileDiff("bad.js", ["+BROKEN"])}`;
+  const result = await runChunkedAnalysis(analyst(), { prompt, mode: "map_reduce", chunkTokens: 20, timeoutMs: 30000 });
+
+  assert.deepEqual(result.mapReduce.chunks.map((c) => c.errorType), [null, "MODEL_ERROR"]);
+  assert.match(result.response, /These parts could not be analyzed: 2 \(bad\.js\)\. Say which/);
+  assert.equal(result.warning, "Not analyzed: part 2 (bad.js, MODEL_ERROR).");
+
+  const allBroken = await runChunkedAnalysis(analyst(), { prompt: `Summarize.\n\n${fileDiff("bad.js", ["+BROKEN"])}`, mode: "map_reduce", timeoutMs: 30000 });
+  assert.equal(allBroken.error.errorType, "MODEL_ERROR");
+  assert.equal(allBroken.mapReduce.chunks.length, 1);
+});
+
+test("a cancel after the calls finished still ends in CANCELLED", async () => {
+  const prompt = `Summarize.\n\n${fileDiff("a.js", ["+one"])}${fileDiff("b.js", ["+two"])}`;
+
+  // Every part answered, then the client cancels before the reduce pass
+  const beforeReduce = new AbortController();
+  const log = (line) => line.includes("parts analyzed") && beforeReduce.abort();
+  const early = await runChunkedAnalysis(analyst(), { prompt, mode: "map_reduce", chunkTokens: 20, timeoutMs: 30000, signal: beforeReduce.signal, log });
+  assert.equal(early.error.errorType, "CANCELLED");
+  assert.equal(early.mapReduce.calls, 2, "the reduce pass did not run");
+  assert.doesNotThrow(() => toolResult(early, () => {}));
+
+  // The reduce pass answered, but the client cancelled while it ran
+  const duringReduce = new AbortController();
+  const adapter = analyst();
+  const extract = adapter.extractResponse;
+  adapter.extractResponse = (output, request) => {
+    if (request.prompt.includes("ANALYSIS OF PART")) duringReduce.abort();
+    return extract(output, request);
+  };
+  const late = await runChunkedAnalysis(adapter, { prompt, mode: "map_reduce", chunkTokens: 20, timeoutMs: 30000, signal: duringReduce.signal });
+  assert.equal(late.error.errorType, "CANCELLED");
+  assert.equal(late.response, undefined);
+  assert.equal(late.mapReduce.calls, 3);
+});
@@ -0,0 +1,157 @@
+/**
+ * OpenAI-compatible HTTP adapter tests, against a stub chat completions
+ * server on a random local port.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-http-"));
+
+const { runProvider, openAICompatible, providerStatus } = await import("../servers/core/index.js");
+
+// The stub answers according to the prompt, so each test picks its reply
+const REPLIES = {
+  ok: (req) => [200, { choices: [{ message: { content: `  echo ${req.model} ${req.auth}  ` } }] }],
+  unauthorized: () => [401, { error: { message: "Invalid API key" } }],
+  ratelimit: () => [429, { error: { message: "Rate limit reached" } }, { "Retry-After": "120" }],
+  nomodel: (req) => [404, { error: { message: `model "${req.model}" not found, try pulling it first` } }],
+  broken: () => [500, { error: { message: "upstream exploded" } }],
+  empty: () => [200, { choices: [] }],
+};
+
+let server;
+let baseUrl;
+let requests = 0;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      requests++;
+      if (req.method === "GET" && req.url === "/v1/models") {
+        res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ data: [{ id: "tiny" }] }));
+        return;
+      }
+      const body = JSON.parse(data);
+      const prompt = body.messages[0].content;
+      if (req.url !== "/v1/chat/completions" || req.method !== "POST") {
+        res.writeHead(405).end();
+        return;
+      }
+      if (prompt === "slow") return; // never answers
+      const [status, reply, headers = {}] = REPLIES[prompt]({ model: body.model, auth: req.headers.authorization ?? "none" });
+      res.writeHead(status, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// A fresh provider name per test keeps breaker and budget state apart
+let count = 0;
+function adapter(options = {}) {
+  return openAICompatible({ name: `stub${++count}`, label: "Stub", baseUrl: `${baseUrl}/`, model: "tiny", ...options });
+}
+
+test("returns the first choice and sends model, prompt and key", async () => {
+  process.env.STUB_KEY = "sk-test";
+  const result = await runProvider(adapter({ apiKeyEnv: "STUB_KEY" }), { prompt: "ok", model: "big" });
+  assert.equal(result.error, undefined);
+  assert.equal(result.response, "echo big Bearer sk-test");
+  assert.equal(result.model, "big");
+  assert.equal(result.exitCode, null);
+
+  const local = await runProvider(adapter(), { prompt: "ok" });
+  assert.equal(local.response, "echo tiny none", "no Authorization header without a key");
+});
+
+test("401 is AUTH_NOT_CONFIGURED without a key and AUTH_EXPIRED with one", async () => {
+  delete process.env.MISSING_KEY;
+  const missing = await runProvider(adapter({ apiKeyEnv: "MISSING_KEY" }), { prompt: "unauthorized" });
+  assert.equal(missing.error.errorType, "AUTH_NOT_CONFIGURED");
+  assert.match(missing.error.message, /MISSING_KEY/);
+
+  process.env.STUB_KEY = "sk-revoked";
+  const rejected = await runProvider(adapter({ apiKeyEnv: "STUB_KEY" }), { prompt: "unauthorized" });
+  assert.equal(rejected.error.errorType, "AUTH_EXPIRED");
+});
+
+test("keyRequired skips the request when the key is missing", async () => {
+  delete process.env.MISSING_KEY;
+  const before = requests;
+  const result = await runProvider(adapter({ apiKeyEnv: "MISSING_KEY", keyRequired: true }), { prompt: "ok" });
+  assert.equal(result.error.errorType, "AUTH_NOT_CONFIGURED");
+  assert.equal(requests, before);
+});
+
+test("429 is QUOTA_EXCEEDED with Retry-After as resetAt, and opens the breaker", async () => {
+  const stub = adapter();
+  const started = Date.now();
+  const result = await runProvider(stub, { prompt: "ratelimit" });
+  assert.equal(result.error.errorType, "QUOTA_EXCEEDED");
+  const wait = Date.parse(result.error.resetAt) - started;
+  assert.ok(wait >= 119000 && wait <= 125000, `resetAt ${result.error.resetAt}`);
+
+  const before = requests;
+  const again = await runProvider(stub, { prompt: "ok" });
+  assert.equal(again.error.errorType, "QUOTA_EXCEEDED");
+  assert.equal(requests, before, "breaker must short-circuit the next call");
+});
+
+test("unknown model is MODEL_NOT_AVAILABLE; other failures keep the status", async () => {
+  const missing = await runProvider(adapter(), { prompt: "nomodel", model: "llama9" });
+  assert.equal(missing.error.errorType, "MODEL_NOT_AVAILABLE");
+  assert.match(missing.error.message, /llama9/);
+
+  const broken = await runProvider(adapter(), { prompt: "broken" });
+  assert.equal(broken.error.errorType, "HTTP_ERROR");
+  assert.match(broken.error.message, /500.*upstream exploded/);
+
+  const empty = await runProvider(adapter(), { prompt: "empty" });
+  assert.equal(empty.error.errorType, "NO_RESPONSE");
+});
+
+test("timeout, cancellation and an unreachable server", async () => {
+  const slow = await runProvider(adapter(), { prompt: "slow", timeoutMs: 300 });
+  assert.equal(slow.error.errorType, "TIMEOUT");
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+  const cancelled = await runProvider(adapter(), { prompt: "slow", timeoutMs: 10000, signal: controller.signal });
+  assert.equal(cancelled.error.errorType, "CANCELLED");
+
+  // A port that was just free is very likely still closed
+  const closed = createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  const down = await runProvider(adapter({ baseUrl: `http://127.0.0.1:${port}/v1` }), { prompt: "ok" });
+  assert.equal(down.error.errorType, "CONNECTION_ERROR");
+  assert.match(down.error.message, /ECONNREFUSED/);
+});
+
+test("status probes /models and needs a required key", async () => {
+  const up = await providerStatus(adapter());
+  assert.equal(up.ready, true);
+  assert.equal(up.cli, null);
+  assert.match(up.checks[0].message, /\/v1\/models answered HTTP 200/);
+
+  delete process.env.MISSING_KEY;
+  const noKey = await providerStatus(adapter({ apiKeyEnv: "MISSING_KEY", keyRequired: true }));
+  assert.deepEqual(noKey.checks.map((c) => [c.name, c.ok]), [["auth", false]]);
+  assert.equal(noKey.ready, false);
+});
@@ -0,0 +1,142 @@
+/**
+ * cwd allowlist tests: canonicalization, symlink escapes, missing paths,
+ * and the guard in front of CLI runs, diffs, attachments and reports.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { mkdirSync, mkdtempSync, readdirSync, realpathSync, symlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-paths-"));
+delete process.env.CONCILIUM_ALLOWED_ROOTS;
+
+const { checkCwd, setAllowedRoots, allowedRoots, runProvider, collectDiff, collectAttachments, writeReport } = await import(
+  "../servers/core/index.js"
+);
+
+// Answers with its working directory
+const pwd = {
+  name: "pwd",
+  label: "Pwd",
+  command: process.execPath,
+  buildArgs: () => ["-e", "console.log(process.cwd())"],
+  extractResponse: ({ stdout }) => stdout.trim(),
+  classifyError: () => null,
+};
+
+// base/projects/app (allowed), base/secrets (not), and symlinks between them
+const base = realpathSync(mkdtempSync(join(tmpdir(), "concilium-roots-")));
+const projects = join(base, "projects");
+const app = join(projects, "app");
+const secrets = join(base, "secrets");
+mkdirSync(app, { recursive: true });
+mkdirSync(secrets);
+writeFileSync(join(app, "index.js"), "export {};\n");
+writeFileSync(join(secrets, "id_rsa"), "not really a key\n");
+symlinkSync(secrets, join(app, "escape"));
+symlinkSync(join(secrets, "id_rsa"), join(app, "key.txt"));
+execFileSync("git", ["init", "-q"], { cwd: app });
+
+function withRoots(roots, fn) {
+  process.env.CONCILIUM_ALLOWED_ROOTS = roots.join(":");
+  return Promise.resolve(fn()).finally(() => delete process.env.CONCILIUM_ALLOWED_ROOTS);
+}
+
+test("without an allowlist any existing directory is allowed", async () => {
+  assert.equal(allowedRoots(), null);
+  assert.deepEqual(await checkCwd(undefined), { cwd: undefined });
+  assert.deepEqual(await checkCwd(join(app, "escape")), { cwd: secrets });
+
+  const missing = await checkCwd(join(base, "nope"));
+  assert.equal(missing.error.errorType, "CWD_NOT_ALLOWED");
+  assert.match(missing.error.message, /^cwd does not exist: /);
+  assert.match((await checkCwd(join(app, "index.js"))).error.message, /^cwd is not a directory: /);
+});
+
+test("cwd must resolve inside an allowed root", () =>
+  withRoots([projects], async () => {
+    assert.deepEqual(await checkCwd(app), { cwd: app });
+    assert.deepEqual(await checkCwd(join(app, "..", "app")), { cwd: app });
+    assert.equal((await checkCwd(secrets)).error.errorType, "CWD_NOT_ALLOWED");
+    assert.equal((await checkCwd(`${projects}-other`)).error.errorType, "CWD_NOT_ALLOWED");
+
+    const escaped = await checkCwd(join(app, "escape"));
+    assert.equal(
+      escaped.error.message,
+      `cwd ${join(app, "escape")} (resolves to ${secrets}) is outside the allowed project roots (${projects}). Add its project to allowedRoots in the config file or CONCILIUM_ALLOWED_ROOTS.`
+    );
+
+    // The server's own working directory (the repo) is not in a root
+    assert.equal((await checkCwd(process.cwd())).error.errorType, "CWD_NOT_ALLOWED");
+  }));
+
+test("calls without a cwd run in an empty directory under an allowlist", () =>
+  withRoots([projects], async () => {
+    const { cwd } = await checkCwd(undefined);
+    assert.notEqual(cwd, realpathSync(process.cwd()));
+    assert.deepEqual(readdirSync(cwd), []);
+    assert.deepEqual(await checkCwd(undefined), { cwd }, "one directory per process");
+
+    const result = await runProvider(pwd, { prompt: "where" });
+    assert.equal(result.error, undefined);
+    assert.equal(result.response, cwd);
+
+    // Reviews and attachments without a cwd mean the server's directory, which is not allowed
+    assert.equal((await collectDiff({ uncommitted: true })).error.errorType, "CWD_NOT_ALLOWED");
+    assert.equal((await collectAttachments({ files: ["README.md"] })).error.errorType, "CWD_NOT_ALLOWED");
+  }));
+
+test("config roots take precedence over the environment", () =>
+  withRoots([secrets], async () => {
+    setAllowedRoots([projects]);
+    try {
+      assert.deepEqual(allowedRoots(), [projects]);
+      assert.equal((await checkCwd(secrets)).error.errorType, "CWD_NOT_ALLOWED");
+    } finally {
+      setAllowedRoots(undefined);
+    }
+    assert.deepEqual(allowedRoots(), [secrets]);
+  }));
+
+test("CLI runs and diffs outside the roots fail before anything runs", () =>
+  withRoots([projects], async () => {
+    const inside = await runProvider(pwd, { prompt: "where", cwd: join(projects, ".", "app") });
+    assert.equal(inside.response, app);
+
+    const outside = await runProvider(pwd, { prompt: "where", cwd: join(app, "escape") });
+    assert.equal(outside.error.errorType, "CWD_NOT_ALLOWED");
+    assert.equal(outside.attempts, undefined, "the CLI was not spawned");
+
+    const http = {
+      ...pwd,
+      command: undefined,
+      send: async () => ({ status: 200, body: "ok", headers: new Headers(), model: "m" }),
+      extractResponse: ({ body }) => body,
+    };
+    assert.equal((await runProvider(http, { prompt: "hi" })).response, "ok", "HTTP providers have no working directory");
+
+    assert.equal((await collectDiff({ cwd: secrets, uncommitted: true })).error.errorType, "CWD_NOT_ALLOWED");
+  }));
+
+test("attachments and reports stay inside cwd, symlinks included", async () => {
+  const { attachments } = await collectAttachments({ cwd: app, files: ["index.js", "key.txt", "escape/id_rsa"] });
+  assert.deepEqual(attachments.files.map((f) => f.path), ["index.js"]);
+  assert.deepEqual(attachments.skipped, [
+    { path: "key.txt", reason: "outside cwd" },
+    { path: "escape/id_rsa", reason: "outside cwd" },
+  ]);
+
+  await withRoots([projects], async () => {
+    assert.equal((await collectAttachments({ cwd: secrets, files: ["id_rsa"] })).error.errorType, "CWD_NOT_ALLOWED");
+  });
+
+  const review = { provider: "gemini", findings: [] };
+  await assert.rejects(writeReport([review], { format: "markdown", path: "../report.md", cwd: app }), /is outside/);
+  await assert.rejects(writeReport([review], { format: "markdown", path: "escape/report.md", cwd: app }), /is outside/);
+  assert.equal((await writeReport([review], { format: "markdown", path: "out/report.md", cwd: app })).path, join(app, "out/report.md"));
+});
@@ -0,0 +1,138 @@
+/**
+ * Progress reporting tests: heartbeats and streamed partial text from
+ * runProvider, the MCP notifications built from them, and the stream
+ * parsers of the Gemini and Codex adapters.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-progress-"));
+process.env.CONCILIUM_PROGRESS_INTERVAL = "0.2";
+
+const { runProvider, progressNotifier, gemini, codexExec } = await import("../servers/core/index.js");
+
+// Prints two stream events 0.5s apart, like a CLI in a JSON-lines output mode
+const STREAM_SCRIPT = `
+  const say = (text) => console.log(JSON.stringify({ text }));
+  say("Hello");
+  setTimeout(() => say(" world"), 500);
+`;
+
+// `seen.stream` records whether runProvider asked for streaming output
+function fakeAdapter(seen) {
+  return {
+    name: "fake",
+    label: "Fake",
+    command: process.execPath,
+    buildArgs: (req, ctx) => {
+      seen.stream = ctx.stream;
+      return ["-e", STREAM_SCRIPT];
+    },
+    extractResponse: ({ stdout }) =>
+      stdout
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line).text)
+        .join(""),
+    classifyError: () => null,
+  };
+}
+
+test("streaming adapters forward partial text and heartbeats", async () => {
+  const seen = {};
+  const updates = [];
+  const adapter = fakeAdapter(seen);
+  adapter.parseStream = (line) => JSON.parse(line).text;
+
+  const result = await runProvider(adapter, { prompt: "x", onProgress: (update) => updates.push(update) });
+
+  assert.equal(result.response, "Hello world");
+  assert.equal(seen.stream, true);
+  assert.deepEqual(updates.filter((u) => u.text).map((u) => u.text), ["Hello", " world"]);
+
+  const heartbeats = updates.filter((u) => !u.text);
+  assert.ok(heartbeats.length >= 1, "a heartbeat is sent while waiting for output");
+  assert.equal(heartbeats[0].label, "Fake");
+  assert.ok(heartbeats.at(-1).bytes > 0);
+});
+
+test("adapters without parseStream get heartbeats only, in their normal output mode", async () => {
+  const seen = {};
+  const updates = [];
+  await runProvider(fakeAdapter(seen), { prompt: "x", onProgress: (update) => updates.push(update) });
+
+  assert.equal(seen.stream, false);
+  assert.ok(updates.length >= 1);
+  assert.ok(updates.every((u) => !u.text));
+});
+
+test("notifications carry the token and a strictly increasing progress value", () => {
+  assert.equal(progressNotifier({ _meta: {} }), undefined);
+
+  const sent = [];
+  const extra = { _meta: { progressToken: 7 }, sendNotification: async (n) => sent.push(n) };
+  const notify = progressNotifier(extra, { total: 90 });
+  notify({ label: "Gemini", elapsed: 12.3, bytes: 3500 });
+  notify({ label: "Gemini", elapsed: 12.3, bytes: 3500, text: "partial" });
+
+  assert.equal(sent[0].method, "notifications/progress");
+  assert.deepEqual(
+    sent.map(({ params }) => [params.progressToken, params.total, params.message]),
+    [
+      [7, 90, "Gemini: 12s, 3.4 KB received"],
+      [7, 90, "partial"],
+    ]
+  );
+  assert.ok(sent[1].params.progress > sent[0].params.progress);
+
+  const labelled = [];
+  progressNotifier({ ...extra, sendNotification: async (n) => labelled.push(n) }, { labelText: true })({
+    label: "Qwen",
+    elapsed: 1,
+    bytes: 0,
+    text: "hi",
+  });
+  assert.equal(labelled[0].params.message, "Qwen: hi");
+  assert.equal(labelled[0].params.total, undefined);
+});
+
+test("gemini stream-json output is parsed for text, answer and errors", () => {
+  const events = [
+    { type: "init", session_id: "s", model: "gemini-2.5-pro" },
+    { type: "message", role: "user", content: "What is auth?" },
+    { type: "message", role: "assistant", content: "Auth is ", delta: true },
+    { type: "message", role: "assistant", content: "login.", delta: true },
+    { type: "result", status: "success", stats: {} },
+  ];
+  const stdout = events.map((e) => JSON.stringify(e)).join("\n");
+
+  assert.deepEqual(gemini.buildArgs({ prompt: "p" }, { stream: true }), ["-p", "p", "-o", "stream-json"]);
+  assert.equal(gemini.parseStream(JSON.stringify(events[1])), undefined);
+  assert.equal(gemini.parseStream(JSON.stringify(events[2])), "Auth is ");
+  const response = gemini.extractResponse({ stdout }, {}, { stream: true });
+  assert.equal(response, "Auth is login.");
+  assert.equal(gemini.classifyError({ stdout, stderr: "", exitCode: 0, response }), null);
+
+  const failed = JSON.stringify({ type: "result", status: "error", error: { type: "Error", message: "Quota", code: 429 } });
+  assert.equal(
+    gemini.classifyError({ stdout: `${JSON.stringify(events[0])}\n${failed}`, stderr: "", exitCode: 1, response: "" }).errorType,
+    "QUOTA_EXCEEDED"
+  );
+});
+
+test("codex --json agent messages are forwarded", () => {
+  const ctx = { stream: true };
+  assert.ok(codexExec.buildArgs({}, ctx).includes("--json"));
+  assert.equal(codexExec.parseStream(JSON.stringify({ type: "turn.started" })), undefined);
+  assert.equal(
+    codexExec.parseStream(JSON.stringify({ type: "item.completed", item: { type: "agent_message", text: "Done." } })),
+    "Done."
+  );
+  assert.equal(codexExec.parseStream("not json"), undefined);
+});
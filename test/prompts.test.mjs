@@ -0,0 +1,76 @@
+/**
+ * Prompt template tests: short and full forms, optional sections, and the
+ * registration entries the servers pass to registerPrompt().
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { join } from "path";
+
+const { conciliumPrompts, PROMPT_FORMS } = await import("../servers/core/index.js");
+
+const ROOT = new URL("..", import.meta.url).pathname;
+// core has no dependencies; build the shapes with the zod the servers use
+const { z } = createRequire(join(ROOT, "servers/mcp-concilium/package.json"))("zod");
+
+function prompts(form) {
+  return Object.fromEntries(conciliumPrompts(z, { form, label: "Test" }).map((prompt) => [prompt.name, prompt]));
+}
+
+function text(prompt, args) {
+  return prompt.callback(args).messages[0].content.text;
+}
+
+test("every protocol has a prompt with typed arguments", () => {
+  const all = prompts("full");
+  assert.deepEqual(Object.keys(all), ["code_review", "bug_triage", "architecture_decision", "final_plan"]);
+  for (const prompt of Object.values(all)) {
+    assert.ok(prompt.config.title);
+    assert.match(prompt.config.description, /Default form for Test: full\.$/);
+    assert.equal(z.object(prompt.config.argsSchema).safeParse({}).success, false, `${prompt.name} requires problem`);
+    assert.deepEqual(prompt.config.argsSchema.form.unwrap().options, PROMPT_FORMS);
+  }
+  assert.equal(z.object(all.final_plan.config.argsSchema).safeParse({ problem: "x" }).success, false, "plan is required");
+});
+
+test("the short review leaves the diff to Codex", () => {
+  const review = prompts("short").code_review;
+  const short = text(review, { problem: "Fixed the refresh race in auth.js.", diff: "+ lock()", changes: "added a mutex", focus: "concurrency" });
+
+  assert.equal(
+    short,
+    "Code review: Fixed the refresh race in auth.js. Changed: added a mutex. Check: 1) fix correct? 2) new issues? 3) edge cases? Focus on: concurrency."
+  );
+  assert.equal(review.callback({ problem: "x" }).description, "Code review (short form)");
+});
+
+test("the full review inlines diff, context and focus", () => {
+  const full = text(prompts("full").code_review, {
+    problem: "Fixed the refresh race",
+    diff: "- refresh()\n+ await lock(refresh)",
+    context: "Tokens refresh from two tabs",
+    focus: "error handling",
+  });
+
+  assert.match(full, /^Senior code reviewer\. Review this change for: Fixed the refresh race\n/);
+  assert.match(full, /Diff:\n\n- refresh\(\)\n\+ await lock\(refresh\)\n/);
+  assert.match(full, /Context:\nTokens refresh from two tabs\n/);
+  assert.match(full, /5\. Error handling completeness\?\n\nFocus especially on: error handling\.\n/);
+  assert.match(full, /Verdict: APPROVE or REQUEST_CHANGES/);
+});
+
+test("the form argument overrides the server default, and empty sections vanish", () => {
+  const short = prompts("short");
+  const full = text(short.bug_triage, { problem: "TypeError in parser", form: "full" });
+  assert.match(full, /^Debug this problem: TypeError in parser\n\nTrace the code path/);
+  assert.doesNotMatch(full, /Context|Focus|\{/);
+
+  const plan = text(short.final_plan, { problem: "the cache leak", plan: "1) evict on close 2) add a test" });
+  assert.equal(plan, "Final plan for the cache leak: 1) evict on close 2) add a test. Any concerns or gaps?");
+
+  const decision = text(prompts("full").architecture_decision, { problem: "Queue or cron", options: "SQS vs cron", form: "short" });
+  assert.equal(decision, "Architecture decision: Queue or cron. Options: SQS vs cron. What are the tradeoffs? Recommend one approach and say why.");
+});
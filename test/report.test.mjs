@@ -0,0 +1,117 @@
+/**
+ * Report export tests: SARIF 2.1.0 structure, the grouped Markdown report,
+ * and writing a review tool's report next to the repo.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { normalizeFindings, sarifReport, markdownReport, exportReview } from "../servers/core/index.js";
+
+const repo = mkdtempSync(join(tmpdir(), "concilium-report-"));
+
+const reviews = [
+  {
+    provider: "openai",
+    label: "OpenAI",
+    findings: normalizeFindings([
+      { file: "src/db.js", line: 12, endLine: 15, severity: "critical", category: "security", message: "SQL built by string concatenation", suggestion: "Use a parameterized query" },
+      { file: "src/db.js", line: 40, severity: "info", category: "maintainability", message: "Rename tmp" },
+    ]),
+  },
+  {
+    provider: "gemini",
+    findings: normalizeFindings([
+      { file: "src/db.js", line: 12, severity: "major", category: "security", message: "SQL built by string concatenation." },
+      { message: "No tests cover the new path", severity: "minor", category: "testing" },
+    ]),
+  },
+  { provider: "qwen", findings: [], response: "Looks fine overall." },
+];
+
+test("SARIF has one run per provider with rules, levels, regions and fingerprints", () => {
+  const sarif = sarifReport(reviews, { cwd: repo });
+  assert.equal(sarif.version, "2.1.0");
+  assert.equal(sarif.runs.length, 3);
+
+  const [openai, gemini] = sarif.runs;
+  assert.equal(openai.tool.driver.name, "concilium-openai");
+  assert.deepEqual(openai.tool.driver.rules.map((r) => r.id), ["security", "maintainability"]);
+
+  const [sql, rename] = openai.results;
+  assert.equal(sql.ruleId, "security");
+  assert.equal(sql.level, "error");
+  assert.match(sql.message.text, /Suggested fix: Use a parameterized query/);
+  assert.deepEqual(sql.locations[0].physicalLocation, {
+    artifactLocation: { uri: "src/db.js", uriBaseId: "SRCROOT" },
+    region: { startLine: 12, endLine: 15 },
+  });
+  assert.equal(rename.level, "note");
+  assert.equal(sql.partialFingerprints.conciliumFinding, gemini.results[0].partialFingerprints.conciliumFinding);
+
+  assert.equal(gemini.results[1].locations, undefined, "findings without a file have no location");
+  assert.ok(openai.originalUriBaseIds.SRCROOT.uri.startsWith("file://"));
+});
+
+test("Markdown groups by file, merges agreeing providers and keeps raw text of the rest", () => {
+  const markdown = markdownReport(reviews, { title: "PR #42 review" });
+
+  assert.match(markdown, /^# PR #42 review\n/);
+  assert.match(markdown, /\| OpenAI \| 1 \| 0 \| 0 \| 1 \|/);
+  assert.match(markdown, /\| Gemini \| 0 \| 1 \| 1 \| 0 \|/);
+  assert.match(markdown, /## `src\/db\.js`\n\n- \*\*critical\*\* · security · L12-15 — SQL built by string concatenation _\(OpenAI, Gemini\)_\n  - Suggested fix: Use a parameterized query\n- \*\*info\*\*/);
+  assert.match(markdown, /## General\n\n- \*\*minor\*\* · testing — No tests cover the new path _\(Gemini\)_/);
+  assert.match(markdown, /<summary>Qwen — raw review \(no structured findings\)<\/summary>\n\nLooks fine overall\./);
+});
+
+test("only the same finding from different providers is merged", () => {
+  const same = { file: "a.js", line: 3, category: "correctness", message: "off-by-one" };
+  const collisions = [
+    {
+      provider: "gemini",
+      findings: normalizeFindings([
+        same,
+        { ...same, message: "variable shadowing" },
+        { category: "correctness", message: "Missing input validation" },
+        { category: "correctness", message: "Typo in README" },
+        same,
+      ]),
+    },
+    { provider: "qwen", findings: normalizeFindings([same]) },
+  ];
+
+  const markdown = markdownReport(collisions);
+  assert.equal(markdown.match(/off-by-one _\(Gemini, Qwen\)_/g).length, 1);
+  assert.equal(markdown.match(/off-by-one _\(Gemini\)_/g).length, 1, "a repeat within one review is its own entry");
+  assert.match(markdown, /variable shadowing _\(Gemini\)_/);
+  assert.match(markdown, /Missing input validation _\(Gemini\)_/);
+  assert.match(markdown, /Typo in README _\(Gemini\)_/);
+
+  const [gemini, qwen] = sarifReport(collisions, { cwd: repo }).runs;
+  const ids = gemini.results.map((r) => r.partialFingerprints.conciliumFinding);
+  assert.equal(new Set(ids).size, 5);
+  assert.equal(ids[4], `${ids[0]}:2`);
+  assert.equal(qwen.results[0].partialFingerprints.conciliumFinding, ids[0], "the same finding matches across runs");
+});
+
+test("exportReview writes the requested report relative to cwd", async () => {
+  const result = { provider: "gemini", model: null, response: "x", findings: reviews[1].findings, elapsed: "1.0" };
+  await exportReview(result, { format: "sarif", path: "reports/review.sarif", cwd: repo });
+
+  assert.equal(result.report.path, join(repo, "reports/review.sarif"));
+  assert.equal(result.report.findings, 2);
+  assert.equal(JSON.parse(readFileSync(result.report.path, "utf-8")).runs[0].results.length, 2);
+
+  const failed = { provider: "gemini", error: { errorType: "TIMEOUT", message: "x" }, findings: [] };
+  await exportReview(failed, { format: "markdown", cwd: repo });
+  assert.equal(failed.report, undefined, "failed reviews write no report");
+
+  const unwritable = { provider: "gemini", response: "x", findings: [] };
+  // the parent "directory" is the SARIF file written above
+  await exportReview(unwritable, { format: "markdown", path: "reports/review.sarif/review.md", cwd: repo });
+  assert.match(unwritable.warning, /Report not written/);
+});
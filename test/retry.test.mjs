@@ -0,0 +1,144 @@
+/**
+ * Retry tests: which failures count as transient, backoff bounds, and
+ * runProvider retrying a flaky CLI within the tool timeout.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const root = mkdtempSync(join(tmpdir(), "concilium-retry-"));
+process.env.CONCILIUM_STATE_DIR = join(root, "state");
+process.env.CONCILIUM_RETRY_DELAY = "0.01";
+
+const { runProvider, isTransient, backoffDelay, retryPolicy, usageReport, structuredResult, classifyHttpError } = await import(
+  "../servers/core/index.js"
+);
+
+let counters = 0;
+
+/**
+ * Adapter whose CLI fails `failures` times (exit 1, printing `stderr`),
+ * then answers "ok". `classify` maps a failed run to an error.
+ */
+function flaky(failures, { stderr = "", classify = () => null, ...fields } = {}) {
+  const counter = join(root, `counter-${++counters}`);
+  const script = `
+    const fs = require("fs");
+    const n = fs.existsSync(${JSON.stringify(counter)}) ? Number(fs.readFileSync(${JSON.stringify(counter)}, "utf-8")) : 0;
+    fs.writeFileSync(${JSON.stringify(counter)}, String(n + 1));
+    if (n < ${failures}) { process.stderr.write(${JSON.stringify(stderr)}); process.exit(1); }
+    console.log("ok");
+  `;
+  return {
+    name: `flaky${counters}`,
+    label: "Flaky",
+    command: process.execPath,
+    buildArgs: () => ["-e", script],
+    extractResponse: ({ stdout, exitCode }) => (exitCode === 0 ? stdout.trim() : ""),
+    classifyError: (run) => (run.exitCode !== 0 ? classify(run) : null),
+    ...fields,
+  };
+}
+
+test("transient vs permanent failures", () => {
+  const run = (exitCode, stdout = "", stderr = "") => ({ exitCode, stdout, stderr });
+
+  assert.equal(isTransient({ errorType: "CONNECTION_ERROR" }), true);
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "", "Error: read ECONNRESET")), true);
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "partial", "503 Service Unavailable")), true);
+  assert.equal(isTransient({ errorType: "NO_RESPONSE" }, run(1)), true, "non-zero exit with empty stdout");
+
+  assert.equal(isTransient({ errorType: "NO_RESPONSE" }, run(0)), false, "clean exit without an answer");
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(null)), false, "failed to spawn");
+  assert.equal(isTransient({ errorType: "NO_RESPONSE" }, run(1, "some output")), false);
+  for (const errorType of ["QUOTA_EXCEEDED", "BUDGET_EXCEEDED", "AUTH_EXPIRED", "AUTH_REQUIRED", "MODEL_NOT_AVAILABLE", "TIMEOUT", "CANCELLED", "QUEUE_TIMEOUT"]) {
+    assert.equal(isTransient({ errorType, transient: true }, run(1, "", "503")), false, errorType);
+  }
+  assert.equal(isTransient({ errorType: "CLI_ERROR", transient: false }, run(1)), false, "the adapter's verdict wins");
+
+  // Numbers and error words in answers, stats or the echoed prompt are not server errors
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, '{"stats": {"tokens": 500}}', "Error: invalid argument")), false, "Gemini stats on stdout");
+  const prompt = "Why does the proxy return 502 after ETIMEDOUT?";
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "partial", `user\n${prompt}\nError: unknown flag`), { prompt }), false, "prompt echoed on stderr");
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "partial", "Error: took 502ms")), false, "bare number");
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "partial", "unexpected status: 503")), true);
+  assert.equal(isTransient({ errorType: "CLI_ERROR" }, run(1, "partial", "HTTP/1.1 504")), true);
+
+  const http = (status) => classifyHttpError({ status, body: "{}", headers: new Headers() }, { label: "X" });
+  assert.equal(isTransient(http(502)), true);
+  assert.equal(isTransient(http(400)), false);
+});
+
+test("backoff doubles with jitter and is capped", () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, 1000);
+    const third = backoffDelay(3, 1000);
+    assert.ok(first >= 500 && first <= 1000, `${first}`);
+    assert.ok(third >= 2000 && third <= 4000, `${third}`);
+    assert.ok(backoffDelay(20, 1000) <= 30000);
+  }
+  assert.deepEqual(retryPolicy({ name: "x", retries: 5 }), { retries: 5, delayMs: 10 });
+  assert.equal(retryPolicy({ name: "x" }).retries, 2);
+});
+
+test("a flaky CLI is retried until it answers, and every attempt is counted", async () => {
+  const adapter = flaky(2, { stderr: "socket hang up" });
+  const result = await runProvider(adapter, { prompt: "x", timeoutMs: 30000 });
+
+  assert.equal(result.response, "ok");
+  assert.equal(result.attempts, 3);
+  assert.equal(structuredResult(result).attempts, 3);
+  const { today } = await usageReport(adapter.name, 0);
+  assert.equal(today.requests, 3);
+  assert.equal(today.errors, 2);
+});
+
+test("gives up after the configured retries and says so", async () => {
+  const result = await runProvider(flaky(5, { retries: 1 }), { prompt: "x", timeoutMs: 30000 });
+  assert.equal(result.error.errorType, "NO_RESPONSE");
+  assert.equal(result.attempts, 2);
+  assert.match(result.error.message, /\(failed 2 attempts\)$/);
+});
+
+test("quota and auth errors are never retried", async () => {
+  for (const errorType of ["QUOTA_EXCEEDED", "AUTH_EXPIRED"]) {
+    const adapter = flaky(1, { classify: () => ({ errorType, message: errorType }) });
+    const result = await runProvider(adapter, { prompt: "x", timeoutMs: 30000 });
+    assert.equal(result.error.errorType, errorType);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.error.message, errorType);
+  }
+});
+
+test("no retry when the backoff would overrun the tool timeout", async () => {
+  process.env.CONCILIUM_RETRY_DELAY = "10";
+  try {
+    const startTime = Date.now();
+    const result = await runProvider(flaky(1), { prompt: "x", timeoutMs: 3000 });
+    assert.equal(result.attempts, 1);
+    assert.equal(result.error.errorType, "NO_RESPONSE");
+    assert.ok(Date.now() - startTime < 3000);
+  } finally {
+    process.env.CONCILIUM_RETRY_DELAY = "0.01";
+  }
+});
+
+test("cancelling during the backoff stops retrying", async () => {
+  process.env.CONCILIUM_RETRY_DELAY = "5";
+  try {
+    const controller = new AbortController();
+    const pending = runProvider(flaky(1), { prompt: "x", timeoutMs: 60000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 1500);
+    const result = await pending;
+    assert.equal(result.error.errorType, "CANCELLED");
+    assert.match(result.error.message, /waiting to retry/);
+    assert.equal(result.attempts, 1);
+  } finally {
+    process.env.CONCILIUM_RETRY_DELAY = "0.01";
+  }
+});
@@ -0,0 +1,114 @@
+/**
+ * Git-aware review tests: diff collection for each scope, the size budget,
+ * and the prompt runReview sends to the provider. Runs git in a throwaway repo.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-review-"));
+
+const { collectDiff, runReview, gemini } = await import("../servers/core/index.js");
+
+const repo = mkdtempSync(join(tmpdir(), "concilium-repo-"));
+const git = (...args) => execFileSync("git", args, { cwd: repo, encoding: "utf-8" });
+const lines = (n, change = {}) => Array.from({ length: n }, (_, i) => change[i + 1] ?? `line ${i + 1}`).join("\n") + "\n";
+
+git("init", "-q", "-b", "main");
+git("config", "user.email", "test@example.com");
+git("config", "user.name", "Test");
+writeFileSync(join(repo, "app.js"), lines(40));
+git("add", ".");
+git("commit", "-qm", "Initial commit");
+git("checkout", "-qb", "feature");
+writeFileSync(join(repo, "app.js"), lines(40, { 20: "changed on feature" }));
+git("commit", "-qam", "Change line 20");
+writeFileSync(join(repo, "app.js"), lines(40, { 20: "changed on feature", 30: "uncommitted edit" }));
+writeFileSync(join(repo, "notes.md"), "untracked\n");
+
+test("uncommitted scope includes tracked edits and untracked files with context", async () => {
+  const { scope, diff, files, omitted } = await collectDiff({ cwd: repo, uncommitted: true, contextLines: 5 });
+  assert.equal(scope, "uncommitted changes");
+  assert.deepEqual(files, ["app.js", "notes.md"]);
+  assert.deepEqual(omitted, []);
+  assert.match(diff, /\+uncommitted edit/);
+  assert.match(diff, /^ line 25$/m, "5 lines of context before the hunk");
+  assert.doesNotMatch(diff, /changed on feature\n\+/, "committed changes are not part of the scope");
+});
+
+test("base and commit scopes", async () => {
+  const base = await collectDiff({ cwd: repo, base: "main" });
+  assert.equal(base.scope, "changes against main");
+  assert.match(base.diff, /\+changed on feature/);
+  assert.doesNotMatch(base.diff, /uncommitted edit/);
+
+  const commit = await collectDiff({ cwd: repo, commit: "HEAD" });
+  assert.match(commit.diff, /^Change line 20$/m, "commit message is included");
+  assert.match(commit.diff, /\+changed on feature/);
+});
+
+test("over budget: context shrinks first, then whole files are left out", async () => {
+  const full = await collectDiff({ cwd: repo, uncommitted: true, contextLines: 10 });
+  const tight = await collectDiff({ cwd: repo, uncommitted: true, contextLines: 10, maxChars: full.diff.length - 1 });
+  assert.deepEqual(tight.files, ["app.js", "notes.md"]);
+  assert.doesNotMatch(tight.diff, /^ line 22$/m, "fell back to 3 lines of context");
+
+  const small = await collectDiff({ cwd: repo, uncommitted: true, maxChars: tight.diff.length - 10 });
+  assert.deepEqual(small.files, ["app.js"]);
+  assert.deepEqual(small.omitted, ["notes.md"]);
+});
+
+test("git problems and empty scopes are reported without a diff", async () => {
+  assert.equal((await collectDiff({ cwd: repo, base: "no-such-branch" })).error.errorType, "GIT_ERROR");
+  assert.equal((await collectDiff({ cwd: repo, commit: "--output=/tmp/x" })).error.errorType, "GIT_ERROR");
+  assert.equal((await collectDiff({ cwd: tmpdir(), uncommitted: true })).error.errorType, "GIT_ERROR");
+  assert.equal((await collectDiff({ cwd: repo, base: "feature" })).error.errorType, "NO_CHANGES");
+  assert.equal((await collectDiff({ cwd: repo })).error.errorType, "NO_CHANGES");
+});
+
+test("runReview sends the template, instructions and diff, and warns about omitted files", async () => {
+  let prompt = "";
+  const echo = {
+    name: "fake",
+    label: "Fake",
+    command: process.execPath,
+    buildArgs: (req) => {
+      prompt = req.prompt;
+      return ["-e", `console.log("APPROVE")`];
+    },
+    extractResponse: ({ stdout }) => stdout.trim(),
+    classifyError: () => null,
+  };
+
+  // Room for app.js but not notes.md
+  const { diff } = await collectDiff({ cwd: repo, uncommitted: true, contextLines: 3 });
+  const maxChars = diff.length - 10;
+
+  const result = await runReview(echo, { cwd: repo, uncommitted: true, instructions: "Focus on naming", maxChars });
+  assert.equal(result.response, "APPROVE");
+  assert.match(prompt, /^Senior code reviewer\. Review the uncommitted changes/);
+  assert.match(prompt, /Additional instructions: Focus on naming/);
+  assert.match(prompt, /Omitted to fit the size budget \(not reviewed\): notes\.md/);
+  assert.match(prompt, /--- DIFF ---\ndiff --git a\/app\.js/);
+  assert.match(result.warning, /Not reviewed .*notes\.md/);
+
+  const failed = await runReview(echo, { cwd: repo, base: "feature", uncommitted: false });
+  assert.equal(failed.error.errorType, "NO_CHANGES");
+  assert.equal(failed.provider, "fake");
+});
+
+test("gemini gets prompts too long for argv on stdin", () => {
+  const short = { prompt: "Review this" };
+  assert.equal(gemini.buildArgs(short, {})[1], "Review this");
+  assert.equal(gemini.stdin(short), undefined);
+
+  const long = { prompt: "x".repeat(200000) };
+  assert.ok(gemini.buildArgs(long, {})[1].length < 100);
+  assert.equal(gemini.stdin(long), long.prompt);
+});
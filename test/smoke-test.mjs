@@ -116,6 +116,8 @@ async function main() {
         { dir: "servers/mcp-openai", name: "mcp-openai" },
         { dir: "servers/mcp-gemini", name: "mcp-gemini" },
         { dir: "servers/mcp-qwen", name: "mcp-qwen" },
+        { dir: "servers/mcp-concilium", name: "mcp-concilium" },
+        { dir: "servers/mcp-openai-compatible", name: "mcp-openai-compatible" },
       ];
 
   console.log("MCP Server Smoke Tests\n");
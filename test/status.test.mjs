@@ -0,0 +1,152 @@
+/**
+ * Provider readiness tests: CLI lookup, adapter setup checks against fake
+ * home directories and configured args / env, and breaker/budget state in
+ * the *_status result.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, symlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const root = mkdtempSync(join(tmpdir(), "concilium-status-"));
+const home = join(root, "home");
+mkdirSync(home);
+process.env.CONCILIUM_STATE_DIR = join(root, "state");
+process.env.CODEX_HOME = join(root, "codex-minimal");
+process.env.HOME = home;
+process.env.FAKE_DAILY_BUDGET = "1";
+for (const key of ["QWEN_AUTH_TYPE", "DASHSCOPE_API_KEY", "GEMINI_API_KEY", "GOOGLE_API_KEY", "GOOGLE_GENAI_USE_VERTEXAI", "OPENAI_API_KEY", "CODEX_API_KEY"]) {
+  delete process.env[key];
+}
+
+const { providerStatus, statusToolResult, tripBreaker, recordUsage, toolConfig, runProvider, codexExec, gemini, qwen } = await import(
+  "../servers/core/index.js"
+);
+
+const nodeAdapter = { name: "fake", label: "Fake", command: process.execPath };
+
+const failed = (status) => status.checks.filter((c) => !c.ok).map((c) => c.name);
+
+test("reports the CLI version, or that the binary is not on PATH", async () => {
+  const found = await providerStatus(nodeAdapter);
+  assert.deepEqual(found.cli, { command: process.execPath, found: true, version: process.version, message: null });
+  assert.equal(found.ready, true);
+
+  const noCli = { name: "nocli", label: "NoCli", command: "concilium-no-such-cli" };
+  const missing = await providerStatus(noCli);
+  assert.equal(missing.cli.found, false);
+  assert.equal(missing.cli.message, "concilium-no-such-cli not found on PATH");
+  assert.equal(missing.ready, false);
+
+  const { content } = await statusToolResult([noCli]);
+  assert.match(content[0].text, /NoCli: NOT READY — concilium-no-such-cli not found on PATH/);
+});
+
+test("codex: CODEX_HOME, config.toml and login", async () => {
+  assert.deepEqual(failed(await providerStatus(codexExec)), ["CODEX_HOME"]);
+
+  mkdirSync(process.env.CODEX_HOME);
+  assert.deepEqual(failed(await providerStatus(codexExec)), ["config", "auth"]);
+
+  writeFileSync(join(process.env.CODEX_HOME, "config.toml"), 'model = "gpt-5"\n[mcp_servers.big]\ncommand = "x"\n');
+  // A dangling link from a missing ~/.codex/auth.json is not a login
+  symlinkSync(join(home, ".codex", "auth.json"), join(process.env.CODEX_HOME, "auth.json"));
+  const status = await providerStatus(codexExec);
+  assert.deepEqual(failed(status), ["auth"]);
+  assert.match(status.checks.find((c) => c.name === "config").message, /MCP servers/);
+
+  mkdirSync(join(home, ".codex"));
+  writeFileSync(join(home, ".codex", "auth.json"), "{}");
+  assert.deepEqual(failed(await providerStatus(codexExec)), []);
+});
+
+test("codex: CODEX_HOME and API keys from the config file's env", async () => {
+  const configured = join(root, "codex-configured");
+  const { adapter } = toolConfig({ providers: { openai: { env: { CODEX_HOME: configured } } } }, "openai_chat", codexExec);
+  const missing = await providerStatus(adapter);
+  assert.deepEqual(failed(missing), ["CODEX_HOME"]);
+  assert.equal(missing.checks[0].message, `${configured} does not exist. Create it as in docs/setup-openai.md.`);
+
+  mkdirSync(configured);
+  writeFileSync(join(configured, "config.toml"), 'model = "gpt-5"\n');
+  assert.deepEqual(failed(await providerStatus(adapter)), ["auth"], "the process CODEX_HOME's login does not count");
+
+  const { adapter: withKey } = toolConfig({ providers: { openai: { env: { CODEX_HOME: configured, OPENAI_API_KEY: "sk" } } } }, "openai_chat", codexExec);
+  const status = await providerStatus(withKey);
+  assert.deepEqual(failed(status), []);
+  assert.deepEqual(status.checks.map((c) => c.message), [configured, "config.toml found", "OPENAI_API_KEY set"]);
+});
+
+test("gemini and qwen: auth from env, settings or cached login", async () => {
+  assert.deepEqual(failed(await providerStatus(gemini)), ["auth"]);
+  process.env.GEMINI_API_KEY = "key";
+  assert.deepEqual(failed(await providerStatus(gemini)), []);
+  delete process.env.GEMINI_API_KEY;
+
+  const qwenAuth = async () => (await providerStatus(qwen)).checks[0];
+  assert.match((await qwenAuth()).message, /No auth type selected/);
+
+  mkdirSync(join(home, ".qwen"));
+  writeFileSync(join(home, ".qwen", "settings.json"), JSON.stringify({ security: { auth: { selectedType: "qwen-oauth" } } }));
+  const noLogin = await qwenAuth();
+  assert.equal(noLogin.ok, false);
+  assert.match(noLogin.message, /qwen-oauth \(settings.json\) but no cached login/);
+
+  writeFileSync(join(home, ".qwen", "oauth_creds.json"), "{}");
+  assert.deepEqual(await qwenAuth(), { name: "auth", ok: true, message: "Auth type qwen-oauth (settings.json)" });
+});
+
+test("qwen: auth type from the configured args, then the run env, then settings.json", async () => {
+  const qwenAuth = async (config) => (await providerStatus(toolConfig(config, "qwen_chat", qwen).adapter)).checks[0];
+  rmSync(join(home, ".qwen"), { recursive: true, force: true });
+
+  // As in config/concilium.config.json.example
+  const example = { providers: { qwen: { args: ["--auth-type", "qwen-oauth"] } } };
+  assert.deepEqual(await qwenAuth(example), {
+    name: "auth",
+    ok: false,
+    message: "Auth type qwen-oauth (--auth-type in config args) but no cached login. Run 'qwen' in a terminal once.",
+  });
+  mkdirSync(join(home, ".qwen"));
+  writeFileSync(join(home, ".qwen", "oauth_creds.json"), "{}");
+  assert.equal((await qwenAuth(example)).ok, true);
+
+  const fromEnv = { providers: { qwen: { env: { QWEN_AUTH_TYPE: "openai" } } } };
+  assert.deepEqual(await qwenAuth(fromEnv), { name: "auth", ok: true, message: "Auth type openai (QWEN_AUTH_TYPE)" });
+  const both = { providers: { qwen: { args: ["--auth-type=qwen-oauth"], env: { QWEN_AUTH_TYPE: "openai" } } } };
+  assert.equal((await qwenAuth(both)).message, "Auth type qwen-oauth (--auth-type in config args)");
+});
+
+test("qwen runs pass --auth-type once, from the config args or the run env", async () => {
+  // Prints the arguments it was started with
+  const fakeQwen = join(root, "fake-qwen");
+  writeFileSync(fakeQwen, `#!${process.execPath}\nconsole.log(JSON.stringify(process.argv.slice(2)))\n`, { mode: 0o755 });
+  const argv = async (settings) => {
+    const { adapter } = toolConfig({ providers: { qwen: { command: fakeQwen, ...settings } } }, "qwen_chat", qwen);
+    return JSON.parse((await runProvider(adapter, { prompt: "hi" })).response);
+  };
+
+  assert.deepEqual(await argv({ env: { QWEN_AUTH_TYPE: "openai" } }), ["--auth-type", "openai", "-p", "-"]);
+  assert.deepEqual(await argv({ args: ["--auth-type", "qwen-oauth"], env: { QWEN_AUTH_TYPE: "openai" } }), ["--auth-type", "qwen-oauth", "-p", "-"]);
+});
+
+test("an open breaker or a used-up budget makes a provider not ready", async () => {
+  await recordUsage("fake", { model: "m" });
+  const spent = await providerStatus(nodeAdapter);
+  assert.deepEqual(spent.budget, { budget: 1, usedToday: 1, exhausted: true });
+  assert.equal(spent.ready, false);
+
+  await tripBreaker("other", { errorType: "QUOTA_EXCEEDED", message: "limit" });
+  const tripped = await providerStatus({ ...nodeAdapter, name: "other" });
+  assert.equal(tripped.breaker.open, true);
+  assert.equal(tripped.breaker.errorType, "QUOTA_EXCEEDED");
+  assert.equal(tripped.ready, false);
+
+  const { structuredContent, content } = await statusToolResult([{ ...nodeAdapter, name: "other" }]);
+  assert.equal(structuredContent.providers[0].ready, false);
+  assert.match(content[0].text, /quota breaker open until/);
+});
@@ -0,0 +1,68 @@
+/**
+ * Judge synthesis tests: the judge prompt, parsing and normalizing the
+ * judge's JSON, and the needsIteration decision.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { synthesisPrompt, parseSynthesis, needsIteration } from "../servers/core/index.js";
+
+const labels = { openai: "OpenAI", gemini: "Gemini" };
+
+test("judge prompt shows the question and every answer under its provider label", () => {
+  const prompt = synthesisPrompt(
+    [
+      { provider: "openai", response: "Use a mutex." },
+      { provider: "gemini", response: "Use a queue." },
+    ],
+    { question: "How to serialize writes?", labels }
+  );
+  assert.match(prompt, /Question the panel answered:\nHow to serialize writes\?/);
+  assert.match(prompt, /--- OpenAI ---\nUse a mutex\.\n\n--- Gemini ---\nUse a queue\./);
+  assert.match(prompt, /"agreementScore"/);
+  assert.doesNotMatch(synthesisPrompt([{ provider: "qwen", response: "x" }]), /Question the panel/);
+});
+
+test("parses the last json block and maps labels back to provider names", () => {
+  const text = `Draft:
+\`\`\`json
+{"consensus": ["ignored"]}
+\`\`\`
+Final:
+\`\`\`json
+{
+  "summary": "Both want serialized writes, not the same mechanism.",
+  "consensus": ["Writes must be serialized", " "],
+  "disagreements": [{"topic": "Mechanism", "positions": [{"provider": "OpenAI", "position": "mutex"}, {"provider": "gemini", "position": "queue"}]}],
+  "uniqueIdeas": [{"provider": "Gemini", "idea": "Batch writes"}, {"provider": "OpenAI"}],
+  "agreementScore": 60
+}
+\`\`\``;
+
+  assert.deepEqual(parseSynthesis(text, { labels }), {
+    summary: "Both want serialized writes, not the same mechanism.",
+    consensus: ["Writes must be serialized"],
+    disagreements: [
+      {
+        topic: "Mechanism",
+        positions: [
+          { provider: "openai", position: "mutex" },
+          { provider: "gemini", position: "queue" },
+        ],
+      },
+    ],
+    uniqueIdeas: [{ provider: "gemini", idea: "Batch writes" }],
+    agreementScore: 0.6,
+  });
+  assert.equal(parseSynthesis("No JSON here."), null);
+});
+
+test("missing score falls back to the consensus share; needsIteration uses the threshold", () => {
+  const synthesis = parseSynthesis('```json\n{"consensus": ["a", "b", "c"], "disagreements": [{"topic": "d"}]}\n```');
+  assert.equal(synthesis.agreementScore, 0.75);
+  assert.equal(needsIteration(synthesis), false);
+  assert.equal(needsIteration(synthesis, 0.8), true);
+  assert.equal(needsIteration(parseSynthesis("```json\n{}\n```")), true, "unknown score");
+});
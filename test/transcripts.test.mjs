@@ -0,0 +1,113 @@
+/**
+ * Transcript log tests: opt-in recording from runProvider, search filters,
+ * resource reads and retention pruning.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readdirSync, mkdirSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-transcripts-"));
+process.env.ECHO_DAILY_BUDGET = "4";
+delete process.env.CONCILIUM_TRANSCRIPTS;
+
+const {
+  runProvider,
+  searchTranscripts,
+  readTranscript,
+  pruneTranscripts,
+  listTranscriptResources,
+  readTranscriptResource,
+  transcriptToolResult,
+  TRANSCRIPT_DIR,
+} = await import("../servers/core/index.js");
+
+const echo = {
+  name: "echo",
+  label: "Echo",
+  command: process.execPath,
+  buildArgs: ({ prompt }) => ["-e", `const p = ${JSON.stringify(prompt)}; if (p === "fail") process.exit(3); console.log("re: " + p)`],
+  extractResponse: ({ stdout }) => stdout.trim(),
+  classifyError: ({ exitCode }) => (exitCode === 3 ? { errorType: "AUTH_EXPIRED", message: "Echo login expired" } : null),
+};
+
+test("nothing is recorded unless CONCILIUM_TRANSCRIPTS=1", async () => {
+  await runProvider(echo, { tool: "echo_chat", prompt: "quiet" });
+  assert.deepEqual(await searchTranscripts(), []);
+  process.env.CONCILIUM_TRANSCRIPTS = "1";
+});
+
+test("tool calls are recorded with prompt, response, error and timings", async () => {
+  await runProvider(echo, { tool: "echo_chat", prompt: "How do I fix the Cache?", cwd: process.cwd() });
+  await runProvider(echo, { tool: "echo_review", prompt: "fail" });
+  await runProvider(echo, { prompt: "no tool, not recorded" });
+
+  const [failed, ok] = await searchTranscripts();
+  assert.equal(ok.tool, "echo_chat");
+  assert.equal(ok.provider, "echo");
+  assert.equal(ok.prompt, "How do I fix the Cache?");
+  assert.equal(ok.response, "re: How do I fix the Cache?");
+  assert.equal(ok.errorType, null);
+  assert.equal(ok.cwd, process.cwd());
+  assert.equal(ok.attempts, 1);
+  assert.equal(typeof ok.elapsed, "number");
+  assert.equal(failed.errorType, "AUTH_EXPIRED");
+  assert.equal(failed.response, null);
+
+  // Budget is 4: the fifth call never reaches the CLI and is not a transcript
+  const refused = await runProvider(echo, { tool: "echo_chat", prompt: "over budget" });
+  assert.equal(refused.error.errorType, "BUDGET_EXCEEDED");
+  assert.equal((await searchTranscripts()).length, 2);
+});
+
+test("search filters by text, provider, tool, error type and date", async () => {
+  assert.deepEqual((await searchTranscripts({ query: "cache" })).map((t) => t.tool), ["echo_chat"]);
+  assert.equal((await searchTranscripts({ tool: "echo_review" })).length, 1);
+  assert.equal((await searchTranscripts({ errorType: "AUTH_EXPIRED" }))[0].prompt, "fail");
+  assert.equal((await searchTranscripts({ provider: "gemini" })).length, 0);
+  assert.equal((await searchTranscripts({ since: new Date(Date.now() + 60000).toISOString() })).length, 0);
+  assert.equal((await searchTranscripts({ limit: 1 })).length, 1);
+
+  const { structuredContent } = await transcriptToolResult({ query: "cache" });
+  assert.equal(structuredContent.enabled, true);
+  assert.match(structuredContent.transcripts[0].uri, /^concilium:\/\/transcripts\/\d{4}-\d{2}-\d{2}-\d{6}-[0-9a-f]{8}$/);
+  assert.equal((await transcriptToolResult({ since: "last week" })).isError, true);
+});
+
+test("entries are readable as resources by id", async () => {
+  const { resources } = await listTranscriptResources();
+  assert.equal(resources.length, 2);
+  const uri = new URL(resources[1].uri);
+  const id = resources[1].uri.split("/").pop();
+
+  const { contents } = await readTranscriptResource(uri, { id });
+  assert.equal(JSON.parse(contents[0].text).prompt, "How do I fix the Cache?");
+  assert.equal(await readTranscript("../usage-echo"), null);
+  await assert.rejects(readTranscriptResource(uri, { id: "2020-01-01-000000-00000000" }), /not found/);
+});
+
+test("pruning drops days past retention, then the oldest over the size limit", async () => {
+  mkdirSync(TRANSCRIPT_DIR, { recursive: true });
+  const day = (offset) => {
+    const d = new Date(Date.now() - offset * 24 * 60 * 60 * 1000);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}.jsonl`;
+  };
+  writeFileSync(join(TRANSCRIPT_DIR, day(40)), "{}\n");
+  writeFileSync(join(TRANSCRIPT_DIR, day(5)), "x".repeat(600 * 1024));
+  writeFileSync(join(TRANSCRIPT_DIR, day(3)), "x".repeat(600 * 1024));
+
+  await pruneTranscripts();
+  assert.deepEqual(readdirSync(TRANSCRIPT_DIR).sort(), [day(5), day(3), day(0)].sort());
+
+  process.env.TRANSCRIPT_MAX_MB = "1";
+  try {
+    await pruneTranscripts();
+  } finally {
+    delete process.env.TRANSCRIPT_MAX_MB;
+  }
+  assert.deepEqual(readdirSync(TRANSCRIPT_DIR).sort(), [day(3), day(0)].sort());
+});
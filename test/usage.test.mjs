@@ -0,0 +1,106 @@
+/**
+ * Usage ledger and daily budget tests, driven through runProvider with a
+ * fake adapter that runs `node -e` instead of a provider CLI.
+ *
+ * Usage:
+ *   node --test test/*.test.mjs
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { existsSync, mkdtempSync, readdirSync, utimesSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+process.env.CONCILIUM_STATE_DIR = mkdtempSync(join(tmpdir(), "concilium-usage-"));
+process.env.CONCILIUM_USER = "alice";
+process.env.FAKE_DAILY_BUDGET = "5";
+
+const { runProvider, usageReport, recordUsage, checkBudget } = await import("../servers/core/index.js");
+
+const fake = {
+  name: "fake",
+  label: "Fake",
+  command: process.execPath,
+  defaultModel: "fake-small",
+  buildArgs: () => ["-e", `console.log("ok")`],
+  extractResponse: ({ stdout }) => stdout.trim(),
+  classifyError: () => null,
+};
+
+test("calls are recorded per day, model and user", async () => {
+  await runProvider(fake, { prompt: "hello" });
+  await runProvider(fake, { prompt: "hi", model: "fake-large" });
+
+  const { today, budget } = await usageReport("fake");
+  assert.equal(budget, 5);
+  assert.equal(today.requests, 2);
+  assert.equal(today.promptChars, 7);
+  assert.equal(today.errors, 0);
+  assert.equal(today.models["fake-small"].requests, 1);
+  assert.equal(today.models["fake-large"].requests, 1);
+  assert.deepEqual(today.users, { alice: 2 });
+});
+
+test("parallel calls do not lose increments", async () => {
+  const before = (await usageReport("other")).today.requests;
+  await Promise.all(Array.from({ length: 5 }, () => recordUsage("other", { promptChars: 1 })));
+  assert.equal((await usageReport("other")).today.requests, before + 5);
+});
+
+test("server processes sharing the state dir do not lose increments", async () => {
+  const core = new URL("../servers/core/index.js", import.meta.url).href;
+  const script = `const { recordUsage } = await import(${JSON.stringify(core)});
+    for (let i = 0; i < 10; i++) await recordUsage("shared", { promptChars: 1 });`;
+  const run = () =>
+    new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ["--input-type=module", "-e", script], { stdio: "inherit" });
+      child.on("error", reject).on("exit", resolve);
+    });
+
+  assert.deepEqual(await Promise.all([run(), run(), run(), run()]), [0, 0, 0, 0]);
+  assert.equal((await usageReport("shared")).today.requests, 40);
+  assert.deepEqual(readdirSync(process.env.CONCILIUM_STATE_DIR).filter((f) => f.endsWith(".lock")), []);
+});
+
+test("a lock left by a crashed process is taken over once stale", async () => {
+  const lock = join(process.env.CONCILIUM_STATE_DIR, "usage-stale.json.lock");
+  writeFileSync(lock, "99999\n");
+  const old = new Date(Date.now() - 60000);
+  utimesSync(lock, old, old);
+
+  await recordUsage("stale", {});
+  assert.equal((await usageReport("stale")).today.requests, 1);
+  assert.equal(existsSync(lock), false);
+});
+
+test("budget warns near the limit and refuses at it", async () => {
+  // 2 used; the 4th call crosses 80% of 5
+  assert.deepEqual(await checkBudget("fake"), {});
+  await runProvider(fake, { prompt: "x" });
+  const warned = await runProvider(fake, { prompt: "x" });
+  assert.match(warned.warning, /4\/5/);
+  assert.equal(warned.response, "ok");
+
+  await runProvider(fake, { prompt: "x" });
+  const refused = await runProvider(fake, { prompt: "x" });
+  assert.equal(refused.error.errorType, "BUDGET_EXCEEDED");
+  assert.equal((await usageReport("fake")).today.requests, 5, "refused calls are not recorded");
+
+  process.env.FAKE_BUDGET_MODE = "warn";
+  const allowed = await runProvider(fake, { prompt: "x" });
+  assert.equal(allowed.response, "ok");
+  assert.match(allowed.warning, /budget reached/);
+  delete process.env.FAKE_BUDGET_MODE;
+});
+
+test("history lists previous days newest first", async () => {
+  const day = 86400000;
+  await recordUsage("hist", { promptChars: 5 }, Date.now() - 200 * day);
+  await recordUsage("hist", { promptChars: 3 }, Date.now() - 2 * day);
+  await recordUsage("hist", { promptChars: 4 }, Date.now() - day);
+
+  const { today, history } = await usageReport("hist");
+  assert.equal(today.requests, 0);
+  assert.deepEqual(history.map((d) => d.promptChars), [4, 3], "days past retention are pruned");
+});